@@ -0,0 +1,251 @@
+/**
+ * Type definitions for the programmatic API of analyze_document.js
+ *
+ * analyzeFiles() and analyzeString() return results and throw errors instead of
+ * printing and exiting. The result follows analyze_document.schema.json; file
+ * paths in it are relative to rootDir (the working directory without it) and use
+ * forward slashes.
+ */
+
+export type Severity = 'error' | 'warning';
+export type Language = 'en' | 'ja';
+export type Loading = 'auto' | 'on-demand' | 'not-loaded';
+export type ProfileId = 'agents' | 'codex' | 'claude-code' | 'copilot' | 'cursor' | 'aider';
+
+export interface AnalyzeOptions {
+  /** Sandbox root (--root-dir): links are only followed, and globs only matched, inside it */
+  rootDir?: string;
+  /** Follow internal links (default: true; requires rootDir) */
+  includeLinks?: boolean;
+  /** Max depth when following links (default: 3) */
+  maxDepth?: number;
+  /** Max files to analyze when following links (default: 30) */
+  maxCount?: number;
+  /** Skip symlink targets during link analysis */
+  noSymlinks?: boolean;
+  /** Score document length against estimated tokens instead of lines */
+  tokenBudget?: number | null;
+  /** Add nested AGENTS.md files under rootDir as entry points (requires rootDir) */
+  discover?: boolean;
+  /** Apply a tool's conventions; with no entries, its entry points under rootDir are analyzed */
+  profile?: ProfileId | null;
+  /** Rule config file (.agentdocrc.json or package.json); default: nearest one above each entry point */
+  config?: string | null;
+  /** Local modules with custom rules */
+  plugins?: string[];
+  /** Language of feedback and finding messages (default: detected per document) */
+  lang?: Language | null;
+  /** Reading simulation budget: a token count such as 4000, or a percentage such as '30%' */
+  simulateRead?: number | string | null;
+  /** Detail of each file's metrics (default: 'summary') */
+  format?: 'summary' | 'full';
+  /** Content of documents that are not on disk, by path */
+  sources?: Map<string, string> | Record<string, string>;
+}
+
+export interface Finding {
+  /** Rule id, e.g. 'anchor-links', or 'plugin-name/rule' for custom rules */
+  rule: string;
+  severity: Severity;
+  file: string;
+  /** 1-based; findings about the whole document are at line 1 */
+  line: number;
+  message: string;
+}
+
+export interface FileFinding {
+  rule: string;
+  severity: Severity;
+  line: number;
+  message: string;
+}
+
+export interface Scores {
+  lineCount: number;
+  /** Present with tokenBudget */
+  tokenCount?: number;
+  structure: number;
+  progressiveDisclosure: number;
+  overall: number;
+}
+
+export interface ReadCoverage {
+  budget: number;
+  percent?: number;
+  totalTokens: number;
+  readTokens: number;
+  /** Percentage of the content read within the budget */
+  coverage: number;
+  [key: string]: unknown;
+}
+
+export interface Evaluation {
+  scores: Scores;
+  /** Human-readable messages prefixed with ✅, ⚠️ or ❌; use findings for anything programmatic */
+  feedback: string[];
+  findings: FileFinding[];
+  limitViolations?: Array<{ limit: number; actual: number; unit: 'bytes' | 'characters' | 'lines' }>;
+  splitEstimate?: { before: number; after: number };
+  /** Entry points only, with simulateRead */
+  coverageAtBudget?: ReadCoverage;
+}
+
+/** Summary metrics; format: 'full' replaces the counts with the lists they count and adds more */
+export interface Metrics {
+  totalLines: number;
+  nonEmptyLines: number;
+  wordCount: number;
+  language: Language;
+  estimatedTokens: number;
+  sectionCount: number;
+  maxDepth: number;
+  internalLinks?: number;
+  externalLinks?: number;
+  anchorLinks?: number;
+  totalLinks?: number;
+  frontLoadedContent?: number;
+  avgSectionLength?: number;
+  redundancyCount?: number;
+  duplicateInstructionCount?: number;
+  contradictionCount?: number;
+  directiveCount?: number;
+  frontLoadedDirectives?: number;
+  lateDirectiveCount?: number;
+  staleReferenceCount?: number | null;
+  sensitiveContentCount?: number;
+  unsafeInstructionCount?: number;
+  linkQualityScore?: number | null;
+  proposedSplits?: number;
+  customFindingCount?: number;
+  [key: string]: unknown;
+}
+
+export interface AnalyzedFile {
+  file: string;
+  fullPath: string;
+  /** Links followed from the entry point (0 for entry points) */
+  depth: number;
+  /** How the profile's tool loads the file; null without a profile */
+  loading: Loading | null;
+  metrics: Metrics;
+  evaluation: Evaluation;
+}
+
+export interface Summary {
+  totalAnalyzed: number;
+  averageScore: number;
+  worstScore: number | null;
+  worstFile: string | null;
+  totalEstimatedTokens: number;
+  errors: number;
+  warnings: number;
+}
+
+export interface Located {
+  file: string;
+  line: number;
+  text: string;
+}
+
+export interface SkippedLink {
+  url: string;
+  resolvedPath: string;
+}
+
+export interface LinkGraph {
+  nodes: Array<{ id: string; depth: number | null; status: 'analyzed' | 'not-found' | 'not-analyzed'; entryPoint: boolean; fanOut?: number }>;
+  edges: Array<{ from: string; to: string; line: number; type: string }>;
+  orphans: string[];
+  cycles: string[][];
+}
+
+export interface Links {
+  /** Link targets that do not exist */
+  notFound: string[];
+  /** Links that were not followed (absolute paths) */
+  skipped: {
+    maxDepth: string[];
+    maxCount: string[];
+    outsideRoot: SkippedLink[];
+    symlinks: SkippedLink[];
+  };
+  staleReferences: Array<{ file: string; line: number; reference: string; reason: string; [key: string]: unknown }>;
+  /** Secrets, private keys, internal URLs and email addresses; the preview is the line with them masked */
+  sensitiveContent: Array<{
+    file: string;
+    line: number;
+    type: 'token' | 'private-key' | 'url-credentials' | 'env-assignment' | 'high-entropy' | 'internal-url' | 'email';
+    /** What was found, e.g. 'GitHub token' or the assigned variable name */
+    label: string;
+    preview: string;
+  }>;
+  /** Content agents could misread as commands; invisible characters in the preview are shown as <U+XXXX> */
+  unsafeInstructions: Array<{
+    file: string;
+    line: number;
+    type: 'hidden-directive' | 'invisible-character' | 'override-instructions' | 'remote-execution' | 'disable-safety';
+    label: string;
+    preview: string;
+    /** Entry point whose links lead an agent to this file */
+    entryPoint: string;
+    /** Files from the entry point to this file, in link order */
+    chain: string[];
+  }>;
+  crossFileDuplicates: Array<{ similarity: number; type: string; first: Located; second: Located }>;
+  contradictions: Array<{ type: 'value' | 'polarity'; rule: string; subject: string; values?: string[]; statements: Located[] }>;
+  graph: LinkGraph;
+  profile?: {
+    id: ProfileId;
+    name: string;
+    autoLoaded: string[];
+    onDemand: string[];
+    notLoaded: string[];
+    autoLoadedTokens: number;
+    autoLoadedBytes: number;
+    limitViolations: Array<{ file: string | null; limit: number; actual: number; unit: string }>;
+  };
+}
+
+export interface AnalysisResult {
+  schemaVersion: 1;
+  rootDir: string | null;
+  entryPoints: string[];
+  /** Entry points first, each followed by the documents first reached through its links */
+  files: AnalyzedFile[];
+  /** Findings of every file, in the order of files */
+  findings: Finding[];
+  summary: Summary;
+  /** Null without rootDir or with includeLinks: false */
+  links: Links | null;
+  /** Scope hierarchy of nested instruction files; null without discover */
+  discovery: Record<string, unknown> | null;
+  /** Files and links skipped by the sandbox ('security') or by maxCount, maxDepth and profile size limits ('warning') */
+  warnings: Array<{ type: 'security' | 'warning'; message: string }>;
+}
+
+/**
+ * Analyzes files, directories or glob patterns together, like several CLI arguments
+ * @throws Error when an option or entry is invalid, or a document cannot be analyzed
+ */
+export function analyzeFiles(entries: string[], options?: AnalyzeOptions): AnalysisResult;
+
+/**
+ * Analyzes Markdown content as if it were saved at virtualPath (default: 'document.md'),
+ * which resolves against options.rootDir and whose directory must exist
+ */
+export function analyzeString(content: string, virtualPath?: string, options?: AnalyzeOptions): AnalysisResult;
+
+/** Lower-level building blocks used by the CLI; their results are not covered by the schema */
+export function analyzeDocument(filePath: string, options?: Record<string, unknown>): Record<string, unknown>;
+export function analyzeWithLinks(filePath: string, options?: Record<string, unknown>): Record<string, unknown>;
+export function evaluateMetrics(metrics: Record<string, unknown>, options?: Record<string, unknown>): Evaluation;
+
+export interface RuleDefinition {
+  check: (document: Record<string, unknown>, options: Record<string, unknown>) => unknown;
+  severity?: Severity;
+  description?: string;
+  category?: 'length' | 'structure' | 'progressiveDisclosure';
+  options?: Record<string, unknown>;
+}
+
+export function registerRule(id: string, definition: RuleDefinition, source?: string | null): void;
@@ -8,19 +8,72 @@
  *
  * Usage: node analyze_document.js [options] <file-path> [<file-path2> ...]
  * Options:
- *   --format full        Output full analysis (default: summary; use "summary" or "full")
+ *   --format <format>    Output format: summary (default), full, markdown, html, or for CI: sarif, junit, github (annotations)
  *   --no-include-links   Skip link analysis (default: enabled with --root-dir)
  *   --root-dir <path>    Root directory for security sandboxing (REQUIRED for link analysis)
  *   --max-depth <n>      Max depth when following links (default: 3)
  *   --max-count <n>      Max files to analyze when following links (default: 30)
  *   --no-symlinks        Skip symlink targets during link analysis (best-effort)
+ *   --token-budget <n>   Score document length against estimated tokens instead of lines
+ *   --discover           Find nested AGENTS.md files under --root-dir and report their scope hierarchy
+ *   --profile <tool>     Apply a tool's conventions: agents, codex, claude-code, copilot, cursor, aider
+ *   --graph <format>     Print the link graph only: json, mermaid or dot (requires link analysis)
+ *   --fix                Rewrite files in place: anchor links, headings deeper than the heading-depth max, duplicate bullets (requires --root-dir)
+ *   --fix-dry-run        Print the --fix rewrites as a unified diff without changing files
+ *   --config <path>      Rule config (.agentdocrc.json or package.json); default: nearest one above the entry file
+ *   --plugin <path>      Load custom rules from a local JS module (repeatable; see lib/rules.js)
+ *   --min-score <n>      Exit with code 2 when an analyzed file scores below n (0-10)
+ *   --max-tokens <n>     Exit with code 2 when an analyzed file exceeds n estimated tokens
+ *   --fail-on <severity> Exit with code 2 on findings of this severity or worse: error or warning
+ *   --baseline <report>  Compare with an earlier JSON report (score, line and token deltas, new/resolved findings)
+ *   --compare <a> <b>    Compare the same entry points in two directories (e.g. two worktrees); replaces --root-dir
+ *   --fail-on-regression Exit with code 2 when a file's score drops or it gains an error finding
+ *   --simulate-read <n>  Read each entry point and its links in order until n tokens (or n%) and report what is missed
+ *   --lang <ja|en>       Language of the feedback (default: detected per document)
+ *   --watch              Re-analyze on every change and print score and finding changes (requires --root-dir)
+ *   --stdin-filename <p> Path that "-" (stdin) is analyzed as, for link resolution (default: stdin.md in --root-dir)
+ *   --mcp                Serve the analyzer as MCP tools over stdio (JSON-RPC; requires --root-dir, no file paths)
+ *   --lsp                Run as a language server over stdio: diagnostics, score lens and fix actions in editors
  *
  * Multiple file paths can be specified to analyze them together with shared deduplication.
  * Common references (e.g., COMMON.md) are analyzed only once across all entry points.
+ * A path can also be a directory (every *.md file under it, recursively), a quoted glob pattern
+ * such as 'docs/*.md' (** spans directories), or - to read one document from stdin.
+ * With --root-dir, only matches inside it are used.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { parseMarkdown, createAnalysisCache } = require('./lib/cache');
+const { estimateDocumentTokens, estimateContextCost } = require('./lib/tokens');
+const { extractInstructions, findDuplicateInstructions } = require('./lib/redundancy');
+const { DEFAULT_FILENAMES, discoverInstructionFiles, buildScopeHierarchy } = require('./lib/hierarchy');
+const { extractDirectives, analyzeDirectivePlacement } = require('./lib/directives');
+const { detectContradictions } = require('./lib/contradictions');
+const { createRepoIndex, findStaleReferences } = require('./lib/references');
+const { scanSensitiveContent } = require('./lib/secrets');
+const { scanUnsafeInstructions } = require('./lib/injection');
+const { assessLinkQuality, buildLinkGraph, toMermaid, toDot } = require('./lib/links');
+const { buildSectionSpans, planSectionSplit } = require('./lib/sections');
+const { computeFixes, unifiedDiff } = require('./lib/fixes');
+const { RULES, registerRule, loadPlugin, runCustomRules, loadConfigFile, findConfig, resolveRules, findDisabledRules } = require('./lib/rules');
+const { FAIL_ON_LEVELS, CI_FORMATS, displayPath, applyGate, toSarif, toJUnit, toGithubAnnotations } = require('./lib/ci');
+const { loadBaseline, compareAnalyses } = require('./lib/baseline');
+const { buildReportModel, toMarkdown, toHtml } = require('./lib/report');
+const { parseReadBudget, readingOrder, simulateReading } = require('./lib/reading');
+const { LANGUAGES, countWords, detectLanguage, findRepeatedPhrases, phrasePattern } = require('./lib/language');
+const { createTranslator } = require('./lib/messages');
+const { createFileWatcher, formatOverview, formatDelta } = require('./lib/watch');
+const { hasGlobMagic, expandGlob, isWithinRoot, toPosixPath } = require('./lib/glob');
+const { startMcpServer } = require('./lib/mcp');
+const { startLanguageServer } = require('./lib/lsp');
+const { PROFILE_IDS, getProfile, classifyFile, findProfileEntryPoints, extractAtImports } = require('./lib/profiles');
+
+// Files a directory given on the command line expands into
+const DOCUMENT_GLOB = '**/*.md';
+// Bumped on incompatible changes to the analyzeFiles() result (analyze_document.schema.json)
+const RESULT_SCHEMA_VERSION = 1;
 
 function uniqStrings(values) {
   return [...new Set(values)];
@@ -45,39 +98,70 @@ function normalizeMarkdownLinkTarget(rawUrl) {
   return firstToken || null;
 }
 
-function isRealPathWithinRoot(realPath, rootRealPath) {
-  const relativePath = path.relative(rootRealPath, realPath);
-  if (relativePath === '') return true;
-  if (relativePath === '..') return false;
-  return !relativePath.startsWith(`..${path.sep}`) && !path.isAbsolute(relativePath);
-}
-
 function resolveRootRealPath(rootDir) {
   return fs.realpathSync(path.resolve(rootDir));
 }
 
+/**
+ * Reads a document, preferring content that is not on disk (e.g. stdin)
+ * @param {string} filePath - Absolute path
+ * @param {Map|null} sources - Absolute path -> content
+ */
+function readSource(filePath, sources) {
+  return sources && sources.has(filePath) ? sources.get(filePath) : fs.readFileSync(filePath, 'utf-8');
+}
+
+/**
+ * Resolves the real path of a document; one that is not on disk is resolved through its directory
+ */
+function sourceRealPath(filePath, sources) {
+  if (sources && sources.has(filePath)) {
+    return path.join(fs.realpathSync(path.dirname(filePath)), path.basename(filePath));
+  }
+  return fs.realpathSync(filePath);
+}
+
+// API callers pass virtual documents as a Map or a plain object; keys become absolute paths
+function toSourceMap(sources) {
+  if (!sources) return new Map();
+  const entries = sources instanceof Map ? [...sources] : Object.entries(sources);
+  return new Map(entries.map(([filePath, content]) => [path.resolve(filePath), content]));
+}
+
 /**
  * Extracts internal links from markdown content and resolves their paths
  * @param {string} filePath - The path of the current file
- * @param {string} content - The markdown content
+ * @param {string|Object} content - The markdown content (or its tokenizeMarkdown() result)
  * @param {string|null} rootDir - The root directory for security sandboxing (optional)
  * @param {boolean} noSymlinks - Whether to skip symlinks when resolving links
- * @returns {Object} Object with 'valid', 'outsideRoot', and 'symlinks' arrays
+ * @param {string|null} importSyntax - Tool import syntax to follow besides links (e.g. 'at-path' for CLAUDE.md)
+ * @returns {Object} Object with 'valid', 'imports', 'edges', 'outsideRoot', and 'symlinks' arrays
  */
-function extractInternalLinks(filePath, content, rootDir = null, noSymlinks = false) {
+function extractInternalLinks(filePath, content, rootDir = null, noSymlinks = false, importSyntax = null) {
   const valid = [];
+  const imports = [];
+  const edges = [];
   const outsideRoot = [];
   const symlinks = [];
-  const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-  let match;
+  const tokens = typeof content === 'string' ? parseMarkdown(content) : content;
 
-  while ((match = linkRegex.exec(content)) !== null) {
-    const rawUrl = match[2];
-    const cleanUrl = normalizeMarkdownLinkTarget(rawUrl);
+  const targets = tokens.links
+    // Images are embedded assets, not documents to follow
+    .filter(link => !link.image)
+    .map(link => ({ url: link.url, lineNumber: link.lineNumber, isImport: false }));
+
+  if (importSyntax === 'at-path') {
+    targets.push(...extractAtImports(tokens).map(item => ({ url: item.url, lineNumber: item.lineNumber, isImport: true })));
+  }
+
+  for (const target of targets) {
+    const cleanUrl = normalizeMarkdownLinkTarget(target.url);
     if (!cleanUrl) continue;
 
-    // Resolve relative to the current file's directory
-    const resolvedPath = path.resolve(path.dirname(filePath), cleanUrl);
+    // Resolve relative to the current file's directory (imports may also be home-relative)
+    const resolvedPath = target.isImport && cleanUrl.startsWith('~/')
+      ? path.join(os.homedir(), cleanUrl.slice(2))
+      : path.resolve(path.dirname(filePath), cleanUrl);
 
     // Optional: skip obvious symlink targets (best-effort; full enforcement is in analyzeWithLinks)
     if (noSymlinks) {
@@ -95,27 +179,87 @@ function extractInternalLinks(filePath, content, rootDir = null, noSymlinks = fa
     // Fast path: block directory traversal by path comparison (authoritative check happens via realpath in analyzeWithLinks)
     if (rootDir) {
       const normalizedRoot = path.resolve(rootDir);
-      const relativePath = path.relative(normalizedRoot, resolvedPath);
-      if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
-        console.warn(`[SECURITY] Blocked link outside root directory: ${cleanUrl} -> ${resolvedPath}`);
+      if (!isWithinRoot(resolvedPath, normalizedRoot)) {
         outsideRoot.push({ url: cleanUrl, resolvedPath });
         continue;
       }
     }
 
     valid.push(resolvedPath);
+    if (target.isImport) imports.push(resolvedPath);
+    edges.push({ target: resolvedPath, lineNumber: target.lineNumber, type: target.isImport ? 'import' : 'link', url: cleanUrl });
   }
 
   // Return unique paths
   return {
     valid: uniqStrings(valid),
+    imports: uniqStrings(imports),
+    edges,
     outsideRoot,
     symlinks
   };
 }
 
+/**
+ * Finds Markdown links and images whose targets do not exist (targets outside rootDir are reported by extractInternalLinks)
+ * @returns {Array} [{ line, type, reference, reason }]
+ */
+function findBrokenLinks(filePath, tokens, rootDir) {
+  const broken = [];
+  const normalizedRoot = path.resolve(rootDir);
+
+  for (const link of tokens.links) {
+    const cleanUrl = normalizeMarkdownLinkTarget(link.url);
+    if (!cleanUrl) continue;
+
+    const resolvedPath = path.resolve(path.dirname(filePath), cleanUrl);
+    if (!isWithinRoot(resolvedPath, normalizedRoot)) continue;
+
+    if (!fs.existsSync(resolvedPath)) {
+      broken.push({ line: link.lineNumber, type: link.image ? 'image' : 'link', reference: link.url, reason: 'link target does not exist' });
+    }
+  }
+
+  return broken;
+}
+
+/**
+ * Picks the scalar metrics reported in summary format
+ */
+function summarizeMetrics(metrics) {
+  return {
+    totalLines: metrics.totalLines,
+    nonEmptyLines: metrics.nonEmptyLines,
+    wordCount: metrics.wordCount,
+    language: metrics.language,
+    estimatedTokens: metrics.estimatedTokens,
+    sectionCount: metrics.sectionCount,
+    maxDepth: metrics.maxDepth,
+    internalLinks: metrics.internalLinks,
+    externalLinks: metrics.externalLinks,
+    anchorLinks: metrics.anchorLinks,
+    totalLinks: metrics.totalLinks,
+    frontLoadedContent: metrics.frontLoadedContent,
+    avgSectionLength: metrics.avgSectionLength,
+    redundancyCount: metrics.redundancyIndicators.length,
+    duplicateInstructionCount: metrics.duplicateInstructions.length,
+    contradictionCount: metrics.contradictions.length,
+    directiveCount: metrics.criticalInstructions.count,
+    frontLoadedDirectives: metrics.criticalInstructions.frontLoaded,
+    lateDirectiveCount: metrics.criticalInstructions.late.length,
+    staleReferenceCount: metrics.staleReferences ? metrics.staleReferences.length : null,
+    sensitiveContentCount: metrics.sensitiveContent.length,
+    unsafeInstructionCount: metrics.unsafeInstructions.length,
+    linkQualityScore: metrics.linkQuality.score,
+    proposedSplits: metrics.splitPlan ? metrics.splitPlan.splits.length : 0,
+    customFindingCount: metrics.customFindings.length
+  };
+}
+
 /**
  * Analyzes a document and all its linked files recursively
+ * With { cache: createAnalysisCache() result }, files whose content and link context are unchanged are not analyzed again.
+ * With { sources: Map } (absolute path -> content), those documents are read from the map instead of the disk.
  */
 function analyzeWithLinks(filePath, options = {}) {
   const {
@@ -125,13 +269,29 @@ function analyzeWithLinks(filePath, options = {}) {
     rootDir = null,
     rootRealPath = null,
     noSymlinks = false,
+    tokenBudget = null,
+    lang = null,
+    profile = null,
+    loading = null,
+    repo = null,
+    config = null,
+    entryPoint = null,
+    linkedFrom = null,
+    linkChain = [],
     visited = new Set(),
-    currentDepth = 0
+    currentDepth = 0,
+    cache = null,
+    sources = null
   } = options;
 
   const result = {
     analyzed: [],
     notFound: [],
+    staleReferences: [],
+    sensitiveContent: [],
+    unsafeInstructions: [],
+    // Link graph: every followed (or followable) link, including ones to already visited files
+    edges: [],
     skipped: {
       maxDepth: [],
       maxCount: [],
@@ -142,7 +302,8 @@ function analyzeWithLinks(filePath, options = {}) {
       totalAnalyzed: 0,
       averageScore: 0,
       worstScore: 10,
-      worstFile: null
+      worstFile: null,
+      totalEstimatedTokens: 0
     }
   };
 
@@ -161,7 +322,7 @@ function analyzeWithLinks(filePath, options = {}) {
   }
 
   // Check if file exists
-  if (!fs.existsSync(normalizedPath)) {
+  if (!(sources && sources.has(normalizedPath)) && !fs.existsSync(normalizedPath)) {
     result.notFound.push(normalizedPath);
     return result;
   }
@@ -169,10 +330,9 @@ function analyzeWithLinks(filePath, options = {}) {
   // Security sandbox: enforce realpath stays within root, and optionally avoid symlinks entirely.
   if (rootDir) {
     const effectiveRootRealPath = rootRealPath || resolveRootRealPath(rootDir);
-    const fileRealPath = fs.realpathSync(normalizedPath);
+    const fileRealPath = sourceRealPath(normalizedPath, sources);
 
-    if (!isRealPathWithinRoot(fileRealPath, effectiveRootRealPath)) {
-      console.warn(`[SECURITY] Blocked file outside root directory via realpath: ${normalizedPath} -> ${fileRealPath}`);
+    if (!isWithinRoot(fileRealPath, effectiveRootRealPath)) {
       result.skipped.outsideRoot.push({ url: filePath, resolvedPath: normalizedPath });
       return result;
     }
@@ -187,33 +347,41 @@ function analyzeWithLinks(filePath, options = {}) {
   visited.add(normalizedPath);
 
   // Analyze current file
-  const content = fs.readFileSync(normalizedPath, 'utf-8');
-  const metrics = analyzeDocument(normalizedPath);
-  const evaluation = evaluateMetrics(metrics);
+  const content = readSource(normalizedPath, sources);
+  // Linked documents follow the entry point's config, with overrides matched against their own path
+  const rules = resolveRules(config, normalizedPath);
+  const linked = { depth: currentDepth, entryPoint: entryPoint || normalizedPath, linkedFrom, chain: [...linkChain, normalizedPath] };
+  // Tool size limits apply to what the tool loads automatically; combined limits are checked in main()
+  const fileLimits = profile && profile.limits && !profile.limits.combined && loading === 'auto'
+    ? { ...profile.limits, tool: profile.name }
+    : null;
+  const analyze = () => {
+    const documentMetrics = analyzeDocument(normalizedPath, { repo, tokenBudget, rules, linked, content });
+    return {
+      metrics: documentMetrics,
+      evaluation: evaluateMetrics(documentMetrics, { tokenBudget, limits: fileLimits, rules, lang })
+    };
+  };
+  const { metrics, evaluation } = cache ? cache.get(normalizedPath, content, { ...linked, loading }, analyze) : analyze();
 
   const fileResult = {
     file: path.basename(normalizedPath),
     fullPath: normalizedPath,
     depth: currentDepth,
-    metrics: format === 'summary' ? {
-      totalLines: metrics.totalLines,
-      nonEmptyLines: metrics.nonEmptyLines,
-      wordCount: metrics.wordCount,
-      sectionCount: metrics.sectionCount,
-      maxDepth: metrics.maxDepth,
-      internalLinks: metrics.internalLinks,
-      externalLinks: metrics.externalLinks,
-      anchorLinks: metrics.anchorLinks,
-      totalLinks: metrics.totalLinks,
-      frontLoadedContent: metrics.frontLoadedContent,
-      avgSectionLength: metrics.avgSectionLength,
-      redundancyCount: metrics.redundancyIndicators.length
-    } : metrics,
+    ...(profile ? { loading } : {}),
+    // Tokens for this file plus every file first reached through its links
+    cumulativeTokens: metrics.estimatedTokens,
+    metrics: format === 'summary' ? summarizeMetrics(metrics) : metrics,
     evaluation
   };
 
   result.analyzed.push(fileResult);
   result.summary.totalAnalyzed++;
+  if (metrics.staleReferences) {
+    result.staleReferences.push(...metrics.staleReferences.map(item => ({ file: normalizedPath, ...item })));
+  }
+  result.sensitiveContent.push(...metrics.sensitiveContent.map(item => ({ file: normalizedPath, ...item })));
+  result.unsafeInstructions.push(...metrics.unsafeInstructions.map(item => ({ file: normalizedPath, ...item })));
 
   // Update worst score tracking
   const score = evaluation.scores.overall;
@@ -224,8 +392,9 @@ function analyzeWithLinks(filePath, options = {}) {
 
   // If we haven't reached max depth, follow links
   if (currentDepth < maxDepth) {
-    const linkResult = extractInternalLinks(normalizedPath, content, rootDir, noSymlinks);
+    const linkResult = extractInternalLinks(normalizedPath, content, rootDir, noSymlinks, profile ? profile.importSyntax : null);
     const internalLinks = linkResult.valid;
+    result.edges.push(...linkResult.edges.map(edge => ({ from: normalizedPath, to: edge.target, line: edge.lineNumber, type: edge.type })));
 
     // Track blocked links
     result.skipped.outsideRoot.push(...linkResult.outsideRoot);
@@ -246,19 +415,36 @@ function analyzeWithLinks(filePath, options = {}) {
         rootDir,
         rootRealPath,
         noSymlinks,
+        tokenBudget,
+        lang,
+        profile,
+        // Imports are expanded into auto-loaded files; plain links are only read on demand
+        loading: loading === 'auto' && linkResult.imports.includes(linkedPath) ? 'auto' : 'on-demand',
+        repo,
+        config,
+        entryPoint: entryPoint || normalizedPath,
+        linkedFrom: normalizedPath,
+        linkChain: linked.chain,
         visited,
-        currentDepth: currentDepth + 1
+        currentDepth: currentDepth + 1,
+        cache,
+        sources
       });
 
       // Merge results
       result.analyzed.push(...linkedResult.analyzed);
       result.notFound.push(...linkedResult.notFound);
+      result.staleReferences.push(...linkedResult.staleReferences);
+      result.sensitiveContent.push(...linkedResult.sensitiveContent);
+      result.unsafeInstructions.push(...linkedResult.unsafeInstructions);
+      result.edges.push(...linkedResult.edges);
       result.skipped.maxDepth.push(...linkedResult.skipped.maxDepth);
       result.skipped.maxCount.push(...linkedResult.skipped.maxCount);
       result.skipped.outsideRoot.push(...linkedResult.skipped.outsideRoot);
       result.skipped.symlinks.push(...linkedResult.skipped.symlinks);
 
       result.summary.totalAnalyzed = result.analyzed.length;
+      fileResult.cumulativeTokens += linkedResult.summary.totalEstimatedTokens;
       if (linkedResult.summary.worstScore < result.summary.worstScore) {
         result.summary.worstScore = linkedResult.summary.worstScore;
         result.summary.worstFile = linkedResult.summary.worstFile;
@@ -266,7 +452,8 @@ function analyzeWithLinks(filePath, options = {}) {
     }
   } else if (currentDepth === maxDepth) {
     // At max depth, record any links we would have followed
-    const linkResult = extractInternalLinks(normalizedPath, content, rootDir, noSymlinks);
+    const linkResult = extractInternalLinks(normalizedPath, content, rootDir, noSymlinks, profile ? profile.importSyntax : null);
+    result.edges.push(...linkResult.edges.map(edge => ({ from: normalizedPath, to: edge.target, line: edge.lineNumber, type: edge.type })));
     result.skipped.outsideRoot.push(...linkResult.outsideRoot);
     result.skipped.symlinks.push(...linkResult.symlinks);
 
@@ -282,6 +469,7 @@ function analyzeWithLinks(filePath, options = {}) {
     const totalScore = result.analyzed.reduce((sum, item) => sum + item.evaluation.scores.overall, 0);
     result.summary.averageScore = Math.round(totalScore / result.analyzed.length * 10) / 10;
   }
+  result.summary.totalEstimatedTokens = fileResult.cumulativeTokens;
 
   // Deduplicate: Remove files from skipped arrays if they were successfully analyzed
   // Only do this at root level to avoid redundant filtering
@@ -300,16 +488,35 @@ function analyzeWithLinks(filePath, options = {}) {
 
 /**
  * Analyzes a markdown document and returns structural metrics
+ * @param {string} filePath - Document to analyze
+ * @param {Object} options - { repo: createRepoIndex() result, enables stale-reference checks },
+ *                           { tokenBudget: number|null } also plan splits until the document fits the budget,
+ *                           { rules: Object } resolveRules() result (the split target follows document-length),
+ *                           { linked: Object } { depth, entryPoint, linkedFrom, chain } where link analysis reached the file,
+ *                           { content: string } already read content of filePath
  */
-function analyzeDocument(filePath) {
-  const content = fs.readFileSync(filePath, 'utf-8');
+function analyzeDocument(filePath, options = {}) {
+  const { repo = null, tokenBudget = null, rules = resolveRules(null), linked = {} } = options;
+  const content = typeof options.content === 'string' ? options.content : fs.readFileSync(filePath, 'utf-8');
   const lines = content.split('\n');
+  const tokens = parseMarkdown(content);
+  const proseText = tokens.lines
+    .filter(line => line.kind === 'text')
+    .map(line => line.prose)
+    .join('\n');
 
   const metrics = {
     // Basic metrics
     totalLines: lines.length,
     nonEmptyLines: lines.filter(line => line.trim().length > 0).length,
-    wordCount: content.split(/\s+/).filter(w => w.length > 0).length,
+    wordCount: countWords(content), // CJK characters count as one word each (see lib/language.js)
+    characterCount: content.length,
+    byteCount: Buffer.byteLength(content, 'utf-8'),
+    language: detectLanguage(proseText), // 'ja' or 'en'; picks the feedback language unless --lang is set
+
+    // Token metrics (offline estimate; see lib/tokens.js)
+    estimatedTokens: 0,
+    contextCost: {},
 
     // Structure metrics
     sections: [],
@@ -320,85 +527,198 @@ function analyzeDocument(filePath) {
     internalLinks: 0,
     externalLinks: 0,
     anchorLinks: 0,
+    anchorLinkLines: [],
     totalLinks: 0,
+    linkQuality: null, // Descriptive link text and "when to read" triggers per internal link
+
+    // Lines inside fenced or indented code blocks
+    codeBlockLines: 0,
 
     // Content distribution
     frontLoadedContent: 0, // Content in first 20% of document
+    criticalInstructions: null, // MUST/NEVER/ALWAYS-style directives and their placement
 
     // Quality indicators
     avgSectionLength: 0,
-    redundancyIndicators: []
+    redundancyIndicators: [],
+    duplicateInstructions: [], // Verbatim or paraphrased instruction pairs
+    contradictions: [], // Conflicting statements (e.g. npm vs pnpm, "always" vs "never")
+    staleReferences: null, // Dead paths, scripts, Makefile targets and links (requires --root-dir)
+    sensitiveContent: [], // Secrets, internal URLs and email addresses, masked
+    unsafeInstructions: [], // Content agents could misread as commands, with the link chain that reaches it
+    splitPlan: null, // Sections to move into new files when the document is too long
+
+    // Rules turned off by <!-- adr-disable rule-id --> comments (see lib/rules.js)
+    disabledRules: [],
+    customFindings: [] // Findings of plugin rules: { rule, severity, line, message }
   };
 
-  // Analyze sections and depth
-  lines.forEach((line, index) => {
-    const trimmed = line.trim();
+  metrics.disabledRules = findDisabledRules(tokens);
 
-    // Section headers
-    const headerMatch = trimmed.match(/^(#+)\s+(.+)$/);
-    if (headerMatch) {
-      const depth = headerMatch[1].length;
-      const title = headerMatch[2];
+  const tokenEstimate = estimateDocumentTokens(tokens);
+  metrics.estimatedTokens = tokenEstimate.total;
+  metrics.contextCost = estimateContextCost(tokenEstimate.total);
 
-      metrics.sections.push({
-        depth,
-        title,
-        lineNumber: index + 1
-      });
-
-      metrics.maxDepth = Math.max(metrics.maxDepth, depth);
-      metrics.sectionCount++;
+  // Headings and links come from prose only (code blocks, front matter and HTML comments are skipped)
+  // Each section spans its heading subtree (see lib/sections.js)
+  metrics.sections = buildSectionSpans(tokens, tokenEstimate.perLine, {
+    maxHeadingDepth: rules.rules['heading-depth'].options.max
+  });
+  metrics.sectionCount = metrics.sections.length;
+  metrics.maxDepth = metrics.sections.reduce((max, section) => Math.max(max, section.depth), 0);
+
+  for (const link of tokens.links) {
+    if (link.image) continue;
+    metrics.totalLinks++;
+    const url = link.url;
+
+    // Anchor links (same-document navigation, meaningless for LLMs)
+    if (url.startsWith('#')) {
+      metrics.anchorLinks++;
+      metrics.anchorLinkLines.push(link.lineNumber);
+      continue;
     }
 
-    // Links
-    const linkMatches = trimmed.matchAll(/\[([^\]]+)\]\(([^)]+)\)/g);
-    for (const match of linkMatches) {
-      metrics.totalLinks++;
-      const url = match[2];
+    const normalizedTarget = normalizeMarkdownLinkTarget(url);
+    if (normalizedTarget) metrics.internalLinks++;
+    else metrics.externalLinks++;
+  }
 
-      // Anchor links (same-document navigation, meaningless for LLMs)
-      if (url.startsWith('#')) {
-        metrics.anchorLinks++;
-        continue;
-      }
+  // Can an agent tell what each internal link leads to, and when to follow it?
+  metrics.linkQuality = assessLinkQuality(tokens, url => normalizeMarkdownLinkTarget(url) !== null);
 
-      const normalizedTarget = normalizeMarkdownLinkTarget(url);
-      if (normalizedTarget) metrics.internalLinks++;
-      else metrics.externalLinks++;
-    }
-  });
+  metrics.codeBlockLines = tokens.lines.filter(line => line.kind === 'code').length;
 
   // Calculate front-loaded content (first 20% of lines)
   const frontSection = Math.floor(lines.length * 0.2);
   metrics.frontLoadedContent = lines.slice(0, frontSection)
     .filter(line => line.trim().length > 0).length;
 
+  // Critical instructions: are MUST/NEVER rules within the first 100 lines or 20%?
+  const directives = extractDirectives(tokens);
+  metrics.criticalInstructions = {
+    ...analyzeDirectivePlacement(directives, metrics.totalLines),
+    directives: directives.map(d => ({
+      lineNumber: d.lineNumber,
+      position: Math.round(d.lineNumber / Math.max(metrics.totalLines, 1) * 100),
+      keyword: d.keyword,
+      text: d.text
+    }))
+  };
+
   // Calculate average section length
   if (metrics.sectionCount > 0) {
     metrics.avgSectionLength = Math.floor(metrics.totalLines / metrics.sectionCount);
   }
 
-  // Detect potential redundancy (repeated phrases)
-  const phrases = content.match(/\b\w+\s+\w+\s+\w+\b/g) || [];
-  const phraseCount = {};
-  phrases.forEach(phrase => {
-    const normalized = phrase.toLowerCase();
-    phraseCount[normalized] = (phraseCount[normalized] || 0) + 1;
+  // Detect potential redundancy (repeated word trigrams, or character n-grams in CJK text)
+  // Each phrase is located at the first line it appears on
+  metrics.redundancyIndicators = findRepeatedPhrases(proseText, { minCount: 3, limit: 5 }).map(item => {
+    const pattern = phrasePattern(item.phrase);
+    const first = tokens.lines.find(line => line.kind === 'text' && line.prose.search(pattern) !== -1);
+    return { ...item, line: first ? first.lineNumber : 1 };
+  });
+
+  // Detect duplicated instructions (sentence-level, catches paraphrases)
+  metrics.duplicateInstructions = findDuplicateInstructions([
+    { file: filePath, instructions: extractInstructions(tokens) }
+  ]).map(pair => ({
+    similarity: pair.similarity,
+    type: pair.type,
+    first: { line: pair.first.line, text: pair.first.text },
+    second: { line: pair.second.line, text: pair.second.text }
+  }));
+
+  // Detect contradicting instructions within the document
+  metrics.contradictions = detectContradictions([{ file: filePath, tokens }]).map(contradiction => ({
+    ...contradiction,
+    statements: contradiction.statements.map(({ file, ...statement }) => statement)
+  }));
+
+  // Propose sections to split out when the document is too long
+  metrics.splitPlan = planSectionSplit(filePath, metrics, {
+    maxLines: rules.rules['document-length'].options.excellent,
+    maxTokens: tokenBudget
   });
 
-  metrics.redundancyIndicators = Object.entries(phraseCount)
-    .filter(([_, count]) => count >= 3)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([phrase, count]) => ({ phrase, count }));
+  // Detect references that no longer resolve in the repository
+  if (repo) {
+    metrics.staleReferences = [
+      ...findBrokenLinks(filePath, tokens, repo.root),
+      ...findStaleReferences(filePath, tokens, repo)
+    ].sort((a, b) => a.line - b.line);
+  }
+
+  // Detect secrets and other content that should not reach every agent session
+  const sensitiveContent = rules.rules['sensitive-content'];
+  if (sensitiveContent.severity !== 'off') {
+    metrics.sensitiveContent = scanSensitiveContent(tokens, sensitiveContent.options);
+  }
+
+  // Detect hidden or injected instructions; linked and vendored docs are read as instructions too
+  const fullPath = path.resolve(filePath);
+  const entryPoint = linked.entryPoint || fullPath;
+  const chain = linked.chain || [fullPath];
+  const unsafeInstructions = rules.rules['unsafe-instructions'];
+  if (unsafeInstructions.severity !== 'off') {
+    metrics.unsafeInstructions = scanUnsafeInstructions(tokens, unsafeInstructions.options)
+      .map(item => ({ ...item, entryPoint, chain }));
+  }
+
+  // Custom rules from plugins see the parsed document and where it sits in the link graph
+  metrics.customFindings = runCustomRules({
+    file: fullPath,
+    content,
+    tokens,
+    lines: tokens.lines,
+    headings: tokens.headings,
+    links: tokens.links,
+    sections: metrics.sections,
+    metrics,
+    linked: {
+      depth: linked.depth || 0,
+      entryPoint,
+      linkedFrom: linked.linkedFrom || null,
+      chain,
+      linkedFiles: uniqStrings(tokens.links
+        .filter(link => !link.image)
+        .map(link => normalizeMarkdownLinkTarget(link.url))
+        .filter(Boolean)
+        .map(target => path.resolve(path.dirname(fullPath), target)))
+    }
+  }, rules, metrics.disabledRules);
 
   return metrics;
 }
 
+/**
+ * Compares document size against a tool's known limits (see lib/profiles.js)
+ * @returns {Array} [{ limit, actual, unit }] for every exceeded limit
+ */
+function checkSizeLimits(metrics, limits) {
+  const checks = [
+    ['maxBytes', metrics.byteCount, 'bytes'],
+    ['maxChars', metrics.characterCount, 'characters'],
+    ['maxLines', metrics.totalLines, 'lines']
+  ];
+
+  return checks
+    .filter(([key, actual]) => limits[key] && actual > limits[key])
+    .map(([key, actual, unit]) => ({ limit: limits[key], actual, unit }));
+}
+
 /**
  * Evaluates metrics and provides scores
+ * @param {Object} metrics - Result of analyzeDocument()
+ * @param {Object} options - { tokenBudget: number|null } score length against tokens instead of lines,
+ *                           { limits: Object|null } tool size limits (see lib/profiles.js),
+ *                           { rules: Object } resolveRules() result (see lib/rules.js; defaults when omitted),
+ *                           { lang: 'en'|'ja'|null } feedback language (null: the document's detected language)
  */
-function evaluateMetrics(metrics) {
+function evaluateMetrics(metrics, options = {}) {
+  const { tokenBudget = null, limits = null, rules: ruleSet = resolveRules(null), lang = null } = options;
+  const t = createTranslator(lang || metrics.language);
+
   const scores = {
     lineCount: 0,
     structure: 0,
@@ -407,43 +727,109 @@ function evaluateMetrics(metrics) {
   };
 
   const feedback = [];
+  // Located findings for CI output: one per occurrence where a check has them, otherwise at line 1
+  const findings = [];
+
+  // Rules turned off in the document itself (<!-- adr-disable rule-id -->)
+  const disabled = new Set(metrics.disabledRules || []);
+  const rule = id => (disabled.has(id) ? { ...ruleSet.rules[id], severity: 'off' } : ruleSet.rules[id]);
+  const enabled = id => rule(id).severity !== 'off';
+  // Milder bands of graded rules stay warnings whatever the rule's severity
+  const severity = (id, mild = false) => (mild || rule(id).severity === 'warning' ? 'warning' : 'error');
+  const icon = (id, mild = false) => (severity(id, mild) === 'warning' ? '⚠️ ' : '❌');
+  const locate = (id, occurrences, mild = false) => findings.push(...occurrences.map(({ line, message }) => ({
+    rule: id, severity: severity(id, mild), line, message
+  })));
+  const report = (id, text, mild = false, occurrences = [{ line: 1, message: text }]) => {
+    feedback.push(`${icon(id, mild)} ${text}`);
+    locate(id, occurrences, mild);
+  };
 
-  // Line count evaluation
-  if (metrics.totalLines <= 200) {
+  // Line count evaluation (feedback is replaced by the token budget check when one is set)
+  let lengthReport = null;
+  const length = rule('document-length').options;
+  if (!enabled('document-length')) {
     scores.lineCount = 10;
-    feedback.push('✅ Document length is excellent (≤200 lines)');
-  } else if (metrics.totalLines <= 500) {
+  } else if (metrics.totalLines <= length.excellent) {
+    scores.lineCount = 10;
+    lengthReport = () => feedback.push(`✅ ${t('lengthExcellent', { max: length.excellent })}`);
+  } else if (metrics.totalLines <= length.acceptable) {
     scores.lineCount = 7;
-    feedback.push('⚠️  Document length is acceptable but could be shorter (200-500 lines)');
-  } else if (metrics.totalLines <= 800) {
+    lengthReport = () => report('document-length', t('lengthAcceptable', length), true);
+  } else if (metrics.totalLines <= length.long) {
     scores.lineCount = 4;
-    feedback.push('⚠️  Document is getting long (500-800 lines) - consider splitting content');
+    lengthReport = () => report('document-length', t('lengthLong', length), true);
   } else {
     scores.lineCount = 2;
-    feedback.push('❌ Document is too long (>800 lines) - high risk of AI agent missing instructions');
+    lengthReport = () => report('document-length', t('lengthTooLong', length));
+  }
+
+  // Token budget evaluation: same 1 : 2.5 : 4 bands as the 200/500/800 line thresholds
+  if (tokenBudget) {
+    const tokens = metrics.estimatedTokens;
+    const bands = rule('token-budget').options;
+    if (!enabled('token-budget')) {
+      scores.tokenCount = 10;
+    } else if (tokens <= tokenBudget) {
+      scores.tokenCount = 10;
+      feedback.push(`✅ ${t('tokensWithinBudget', { tokens, budget: tokenBudget })}`);
+    } else if (tokens <= tokenBudget * bands.acceptable) {
+      scores.tokenCount = 7;
+      report('token-budget', t('tokensOverBudget', { tokens, budget: tokenBudget }), true);
+    } else if (tokens <= tokenBudget * bands.long) {
+      scores.tokenCount = 4;
+      report('token-budget', t('tokensFarOverBudget', { tokens, budget: tokenBudget }), true);
+    } else {
+      scores.tokenCount = 2;
+      report('token-budget', t('tokensGreatlyOverBudget', { tokens, limit: Math.round(tokenBudget * bands.long) }));
+    }
+  } else if (lengthReport) {
+    lengthReport();
+  }
+
+  // Tool size limits (hard limits truncate content, so the length score is capped)
+  const limitViolations = limits ? checkSizeLimits(metrics, limits) : [];
+  if (enabled('size-limits')) {
+    for (const violation of limitViolations) {
+      report('size-limits', t('sizeLimit', { ...violation, tool: limits.tool, note: limits.note }), !limits.hard);
+    }
+    if (limits && limits.hard && limitViolations.length > 0) {
+      scores.lineCount = Math.min(scores.lineCount, 2);
+      if (tokenBudget) scores.tokenCount = Math.min(scores.tokenCount, 2);
+    }
   }
 
   // Structure evaluation
   let structureScore = 10;
 
-  if (metrics.maxDepth > 4) {
-    structureScore -= 3;
-    feedback.push(`⚠️  Deep nesting detected (depth: ${metrics.maxDepth}) - consider flattening`);
-  } else if (metrics.maxDepth <= 3) {
-    feedback.push('✅ Good heading depth (≤3)');
+  const depth = rule('heading-depth').options;
+  if (enabled('heading-depth')) {
+    if (metrics.maxDepth > depth.max) {
+      structureScore -= depth.penalty;
+      report('heading-depth', t('deepNesting', { depth: metrics.maxDepth }), false,
+        metrics.sections
+          .filter(section => section.depth > depth.max)
+          .map(section => ({ line: section.lineNumber, message: t('deepHeading', { title: section.title, depth: section.depth, max: depth.max }) })));
+    } else if (metrics.maxDepth <= depth.good) {
+      feedback.push(`✅ ${t('goodHeadingDepth', { max: depth.good })}`);
+    }
   }
 
-  if (metrics.sectionCount > 30) {
-    structureScore -= 3;
-    feedback.push(`⚠️  Many sections (${metrics.sectionCount}) - consider consolidating`);
-  } else if (metrics.sectionCount > 20) {
-    structureScore -= 1;
-    feedback.push(`⚠️  High section count (${metrics.sectionCount})`);
+  const sectionCount = rule('section-count').options;
+  if (enabled('section-count')) {
+    if (metrics.sectionCount > sectionCount.max) {
+      structureScore -= sectionCount.penalty;
+      report('section-count', t('manySections', { count: metrics.sectionCount }));
+    } else if (metrics.sectionCount > sectionCount.high) {
+      structureScore -= sectionCount.highPenalty;
+      report('section-count', t('highSectionCount', { count: metrics.sectionCount }), true);
+    }
   }
 
-  if (metrics.avgSectionLength > 0 && metrics.avgSectionLength < 15) {
-    structureScore -= 2;
-    feedback.push('⚠️  Sections are very short on average - might indicate over-fragmentation');
+  const sectionLength = rule('section-length').options;
+  if (enabled('section-length') && metrics.avgSectionLength > 0 && metrics.avgSectionLength < sectionLength.minAverage) {
+    structureScore -= sectionLength.penalty;
+    report('section-length', t('shortSections'));
   }
 
   scores.structure = Math.max(0, structureScore);
@@ -452,58 +838,899 @@ function evaluateMetrics(metrics) {
   const linkRatio = metrics.totalLinks > 0
     ? metrics.internalLinks / metrics.totalLinks
     : 0;
+  const disclosure = rule('progressive-disclosure').options;
+  const wellLinked = metrics.internalLinks >= disclosure.minInternalLinks && linkRatio >= disclosure.minLinkRatio;
 
-  if (metrics.totalLines <= 200) {
+  if (!enabled('progressive-disclosure')) {
+    scores.progressiveDisclosure = 10;
+  } else if (metrics.totalLines <= disclosure.optionalBelow) {
     // Small documents can be fully loaded; progressive disclosure is optional.
     scores.progressiveDisclosure = 10;
     if (metrics.internalLinks > 0) {
-      feedback.push('✅ Good use of internal links for progressive disclosure');
+      feedback.push(`✅ ${t('goodInternalLinks')}`);
     } else {
-      feedback.push('✅ Document is short enough that progressive disclosure is optional');
+      feedback.push(`✅ ${t('disclosureOptional')}`);
     }
-  } else if (metrics.totalLines <= 500) {
+  } else if (metrics.totalLines <= disclosure.mediumBelow) {
     // Medium documents benefit from links/hierarchy, but can still be workable without them.
-    if (metrics.internalLinks >= 3 && linkRatio >= 0.5) {
+    if (wellLinked) {
       scores.progressiveDisclosure = 10;
-      feedback.push('✅ Good use of internal links for progressive disclosure');
+      feedback.push(`✅ ${t('goodInternalLinks')}`);
     } else if (metrics.internalLinks > 0) {
       scores.progressiveDisclosure = 7;
-      feedback.push('⚠️  Some internal links present, but could be improved');
+      report('progressive-disclosure', t('someInternalLinks'), true);
     } else {
       scores.progressiveDisclosure = 6;
-      feedback.push('⚠️  No internal links detected - acceptable for small scope, otherwise consider links or tool-supported scoping (e.g., nested AGENTS.md)');
+      report('progressive-disclosure', t('noInternalLinksMedium'), true);
     }
   } else {
     // Large documents should use links/hierarchy to avoid token bloat.
-    if (metrics.internalLinks >= 3 && linkRatio >= 0.5) {
+    if (wellLinked) {
       scores.progressiveDisclosure = 10;
-      feedback.push('✅ Good use of internal links for progressive disclosure');
+      feedback.push(`✅ ${t('goodInternalLinks')}`);
     } else if (metrics.internalLinks > 0) {
       scores.progressiveDisclosure = 6;
-      feedback.push('⚠️  Some internal links present, but could be improved');
+      report('progressive-disclosure', t('someInternalLinks'), true);
     } else {
       scores.progressiveDisclosure = 3;
-      feedback.push('❌ No internal links detected - consider splitting content via links or tool-supported scoping (e.g., nested AGENTS.md)');
+      report('progressive-disclosure', t('noInternalLinksLarge'));
     }
   }
 
   // Anchor links penalty (same-document navigation is meaningless for LLMs)
-  if (metrics.anchorLinks > 0) {
-    scores.progressiveDisclosure = Math.max(0, scores.progressiveDisclosure - 2);
-    feedback.push(`❌ Anchor links (#...) are meaningless for LLMs - use separate files instead (found ${metrics.anchorLinks})`);
+  if (enabled('anchor-links') && metrics.anchorLinks > 0) {
+    scores.progressiveDisclosure = Math.max(0, scores.progressiveDisclosure - rule('anchor-links').options.penalty);
+    report('anchor-links', t('anchorLinks', { count: metrics.anchorLinks }), false,
+      (metrics.anchorLinkLines || [1]).map(line => ({ line, message: t('anchorLink') })));
+  }
+
+  // Link quality (reported separately; not part of the overall weighting)
+  const linkQuality = metrics.linkQuality;
+  if (enabled('link-quality') && linkQuality && linkQuality.links.length > 0) {
+    scores.linkQuality = linkQuality.score;
+    const vague = linkQuality.links.filter(link => !link.descriptiveText);
+    const untriggered = linkQuality.links.filter(link => !link.trigger);
+    if (vague.length > 0) {
+      report('link-quality', t('vagueLinks', { count: vague.length, line: vague[0].lineNumber, text: vague[0].text }), false,
+        vague.map(link => ({ line: link.lineNumber, message: t('vagueLink', { text: link.text }) })));
+    }
+    if (untriggered.length > 0) {
+      report('link-quality', t('untriggeredLinks', { count: untriggered.length, line: untriggered[0].lineNumber, url: untriggered[0].url }), false,
+        untriggered.map(link => ({ line: link.lineNumber, message: t('untriggeredLink', { url: link.url }) })));
+    }
+    if (vague.length === 0 && untriggered.length === 0) {
+      feedback.push(`✅ ${t('descriptiveLinks')}`);
+    }
+  }
+
+  // Critical instruction placement (reported separately; not part of the overall weighting)
+  const critical = metrics.criticalInstructions;
+  if (enabled('critical-placement') && critical && critical.count > 0) {
+    scores.criticalPlacement = critical.placementScore;
+    if (critical.late.length === 0) {
+      feedback.push(`✅ ${t('criticalFrontLoaded', { frontLoaded: critical.frontLoaded, count: critical.count, boundary: critical.frontBoundary })}`);
+    } else {
+      const first = critical.late[0];
+      report('critical-placement', t('criticalLate', { count: critical.late.length, line: first.lineNumber, text: first.text.slice(0, 60) }), false,
+        critical.late.map(directive => ({ line: directive.lineNumber, message: t('criticalLateOne', { text: directive.text.slice(0, 60) }) })));
+    }
   }
 
   // Redundancy check
-  if (metrics.redundancyIndicators.length > 0) {
-    feedback.push('⚠️  Potential redundancy detected - review repeated phrases');
+  if (enabled('duplicate-instructions') && metrics.duplicateInstructions.length > 0) {
+    const pairs = metrics.duplicateInstructions.slice(0, 3).map(pair => [pair.first.line, pair.second.line]);
+    report('duplicate-instructions', t('duplicates', { count: metrics.duplicateInstructions.length, pairs }), false,
+      metrics.duplicateInstructions.map(pair => ({ line: pair.second.line, message: t('duplicate', { line: pair.first.line }) })));
+  }
+
+  // Repeated phrases: a lighter signal than duplicate instructions, reported at each phrase's first line
+  if (enabled('repeated-phrases') && metrics.redundancyIndicators.length > 0) {
+    const first = metrics.redundancyIndicators[0];
+    report('repeated-phrases', t('repeatedPhrases', { count: metrics.redundancyIndicators.length, phrase: first.phrase, times: first.count, line: first.line }), false,
+      metrics.redundancyIndicators.map(item => ({ line: item.line, message: t('repeatedPhrase', item) })));
   }
 
-  // Overall score
-  scores.overall = Math.round(
-    (scores.lineCount * 0.4 + scores.structure * 0.3 + scores.progressiveDisclosure * 0.3)
+  // Contradiction check
+  if (enabled('contradictions') && metrics.contradictions.length > 0) {
+    const first = metrics.contradictions[0];
+    const lines = first.statements.slice(0, 3).map(statement => statement.line).join('/');
+    report('contradictions', t('contradictions', { count: metrics.contradictions.length, subject: first.subject, lines }), false,
+      metrics.contradictions.map(contradiction => ({
+        line: contradiction.statements[contradiction.statements.length - 1].line,
+        message: t('contradiction', { subject: contradiction.subject, lines: contradiction.statements.map(statement => statement.line).join('/') })
+      })));
+  }
+
+  // Stale reference check (only when a repository index was available)
+  if (enabled('stale-references') && metrics.staleReferences && metrics.staleReferences.length > 0) {
+    const first = metrics.staleReferences[0];
+    report('stale-references', t('staleReferences', { count: metrics.staleReferences.length, line: first.line, reference: first.reference, reason: first.reason }), false,
+      metrics.staleReferences.map(item => ({ line: item.line, message: t('staleReference', item) })));
+  }
+
+  // Sensitive content: reported with masked previews only
+  if (enabled('sensitive-content') && metrics.sensitiveContent && metrics.sensitiveContent.length > 0) {
+    const first = metrics.sensitiveContent[0];
+    report('sensitive-content', t('sensitiveContent', { count: metrics.sensitiveContent.length, line: first.line, label: first.label, preview: first.preview }), false,
+      metrics.sensitiveContent.map(item => ({ line: item.line, message: t('sensitiveItem', item) })));
+  }
+
+  // Unsafe instructions: linked files name the entry point and link chain that lead an agent to them
+  if (enabled('unsafe-instructions') && metrics.unsafeInstructions && metrics.unsafeInstructions.length > 0) {
+    const via = item => (item.chain.length > 1 ? item.chain.map(displayPath).join(' → ') : null);
+    const first = metrics.unsafeInstructions[0];
+    report('unsafe-instructions', t('unsafeInstructions', { count: metrics.unsafeInstructions.length, line: first.line, label: first.label, preview: first.preview, via: via(first) }), false,
+      metrics.unsafeInstructions.map(item => ({ line: item.line, message: t('unsafeInstruction', { ...item, via: via(item) }) })));
+  }
+
+  // Custom rules: one feedback line per finding, each rule's penalty applied once to its score category
+  const customFindings = (metrics.customFindings || []).filter(finding => enabled(finding.rule));
+  for (const finding of customFindings) {
+    const where = finding.line ? t('customFindingLine', { line: finding.line }) : '';
+    feedback.push(`${finding.severity === 'warning' ? '⚠️ ' : '❌'} ${finding.message}${where} [${finding.rule}]`);
+    findings.push({ rule: finding.rule, severity: finding.severity, line: finding.line || 1, message: finding.message });
+  }
+  for (const id of uniqStrings(customFindings.map(finding => finding.rule))) {
+    const category = RULES[id] ? RULES[id].category : null;
+    const penalty = rule(id).options.penalty;
+    if (!category || !penalty) continue;
+    if (category === 'length') {
+      scores.lineCount = Math.max(0, scores.lineCount - penalty);
+      if (tokenBudget) scores.tokenCount = Math.max(0, scores.tokenCount - penalty);
+    } else {
+      scores[category] = Math.max(0, scores[category] - penalty);
+    }
+  }
+
+  // Overall score (weights that do not sum to 1 are normalized to keep the 0-10 scale)
+  const lengthScore = tokenBudget ? scores.tokenCount : scores.lineCount;
+  const { weights } = ruleSet;
+  const weightTotal = weights.length + weights.structure + weights.progressiveDisclosure;
+  const weighted = lengthScore * weights.length + scores.structure * weights.structure +
+    scores.progressiveDisclosure * weights.progressiveDisclosure;
+  scores.overall = weightTotal > 0
+    ? Math.round(Math.abs(weightTotal - 1) < 1e-9 ? weighted : weighted / weightTotal)
+    : 0;
+
+  const evaluation = { scores, feedback, findings };
+  if (limits) {
+    evaluation.limitViolations = limitViolations;
+  }
+
+  // Split plan: re-evaluate the parent as it would look after moving the proposed sections out
+  if (enabled('split-plan') && metrics.splitPlan) {
+    const { splits, projected } = metrics.splitPlan;
+    const { addedInternalLinks, ...projectedMetrics } = projected;
+    const after = evaluateMetrics({
+      ...metrics,
+      ...projectedMetrics,
+      internalLinks: metrics.internalLinks + addedInternalLinks,
+      totalLinks: metrics.totalLinks + addedInternalLinks,
+      splitPlan: null
+    }, { tokenBudget, rules: ruleSet, lang }).scores.overall;
+
+    evaluation.splitEstimate = { before: scores.overall, after };
+    const moves = splits.slice(0, 3).map(split => `"${split.section}" -> ${split.file}`).join(', ');
+    report('split-plan', t('splitPlan', { count: splits.length, moves, before: scores.overall, after }), false,
+      splits.map(split => ({ line: split.startLine, message: t('splitMove', { section: split.section, file: split.file, before: scores.overall, after }) })));
+  }
+
+  return evaluation;
+}
+
+/**
+ * Adds a sequential-reading simulation to an entry point's evaluation (see lib/reading.js)
+ * @param {Object} evaluation - Result of evaluateMetrics() for the entry point
+ * @param {Object} simulation - Result of simulateReading()
+ * @param {Object} options - { rules: Object } resolveRules() result, { disabledRules: string[] } from the entry point,
+ *                           { lang: 'en'|'ja' } feedback language
+ */
+function evaluateReadCoverage(evaluation, simulation, options = {}) {
+  const { rules: ruleSet = resolveRules(null), disabledRules = [], lang = 'en' } = options;
+  const t = createTranslator(lang);
+  evaluation.coverageAtBudget = simulation;
+
+  const rule = ruleSet.rules['read-coverage'];
+  if (rule.severity === 'off' || disabledRules.includes('read-coverage')) return evaluation;
+
+  const { budget, coverage, directives, stoppedAt } = simulation;
+  if (directives.total === 0) return evaluation;
+  if (directives.unread.length === 0) {
+    evaluation.feedback.push(`✅ ${t('readCoverageComplete', { budget, coverage })}`);
+    return evaluation;
+  }
+
+  const severity = rule.severity === 'warning' ? 'warning' : 'error';
+  const first = directives.unread[0];
+  const entryFile = simulation.files.read.concat(simulation.files.partial)[0];
+  evaluation.feedback.push(`${severity === 'warning' ? '⚠️ ' : '❌'} ${t('readCoverageMissed', {
+    count: directives.unread.length,
+    budget,
+    stoppedAt: `${stoppedAt.file}:${stoppedAt.line}`,
+    location: `${first.file}:${first.line}`,
+    text: first.text.slice(0, 60)
+  })}`);
+  // Instructions in linked documents are located at the top of the entry point that leads to them
+  evaluation.findings.push(...directives.unread.map(directive => ({
+    rule: 'read-coverage',
+    severity,
+    line: directive.file === entryFile ? directive.line : 1,
+    message: t('readCoverageMissedOne', {
+      location: directive.file === entryFile ? null : `${directive.file}:${directive.line}`,
+      budget,
+      text: directive.text.slice(0, 60)
+    })
+  })));
+  return evaluation;
+}
+
+/**
+ * Reports which analyzed files a tool loads automatically vs. on demand, and checks combined size limits
+ */
+function summarizeProfileLoading(profile, analyzed, sources = null) {
+  const byteSize = filePath => (sources && sources.has(filePath)
+    ? Buffer.byteLength(sources.get(filePath), 'utf-8')
+    : fs.statSync(filePath).size);
+  const byLoading = loading => analyzed.filter(item => item.loading === loading);
+  const autoLoaded = byLoading('auto');
+
+  const report = {
+    id: profile.id,
+    name: profile.name,
+    autoLoaded: autoLoaded.map(item => item.fullPath),
+    onDemand: byLoading('on-demand').map(item => item.fullPath),
+    notLoaded: byLoading('not-loaded').map(item => item.fullPath),
+    autoLoadedTokens: autoLoaded.reduce((sum, item) => sum + item.metrics.estimatedTokens, 0),
+    autoLoadedBytes: autoLoaded.reduce((sum, item) => sum + byteSize(item.fullPath), 0),
+    limitViolations: []
+  };
+
+  for (const item of analyzed) {
+    for (const violation of item.evaluation.limitViolations || []) {
+      report.limitViolations.push({ file: item.fullPath, ...violation });
+    }
+  }
+
+  const limits = profile.limits;
+  if (limits && limits.combined && limits.maxBytes && report.autoLoadedBytes > limits.maxBytes) {
+    report.limitViolations.push({ file: null, limit: limits.maxBytes, actual: report.autoLoadedBytes, unit: 'bytes' });
+  }
+
+  return report;
+}
+
+/**
+ * Applies safe rewrites to documents, or prints them as a unified diff
+ * @param {string[]} filePaths - Documents to fix
+ * @param {Object} options - { write: boolean, rootRealPath: string|null },
+ *                           { rootDir, config } explicit loadConfigFile() result (default: nearest config above each file)
+ * @returns {Object} { diff, files: [{ file, changes }], warnings: [{ type, message }] } (see collectWarnings())
+ */
+function fixDocuments(filePaths, options = {}) {
+  const { write = false, rootRealPath = null, rootDir = null, config = null } = options;
+  const labelRoot = rootRealPath || process.cwd();
+  const report = { diff: '', files: [], warnings: [] };
+
+  for (const filePath of uniqStrings(filePaths.map(fp => path.resolve(fp)))) {
+    const realPath = fs.realpathSync(filePath);
+    // Files are only ever rewritten inside the sandbox
+    if (rootRealPath && !isWithinRoot(realPath, rootRealPath)) {
+      report.warnings.push({ type: 'security', message: `Skipped fixing file outside root directory via realpath: ${filePath} -> ${realPath}` });
+      continue;
+    }
+
+    const content = fs.readFileSync(realPath, 'utf-8');
+    const rules = resolveRules(config || findConfig(filePath, rootDir), filePath);
+    const fixed = computeFixes(content, { maxHeadingDepth: rules.rules['heading-depth'].options.max });
+    if (fixed.changes.length === 0) continue;
+
+    const relativePath = path.relative(labelRoot, realPath);
+    const label = relativePath.startsWith('..') ? realPath : toPosixPath(relativePath);
+    report.diff += unifiedDiff(label, content, fixed.lines);
+    report.files.push({ file: realPath, changes: fixed.changes });
+    if (write) {
+      fs.writeFileSync(realPath, fixed.content, 'utf-8');
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Analyzes entry points and their linked files with a shared visited set (common references are analyzed once)
+ * @param {string[]} filePaths - Entry points inside rootDir
+ * @param {Object} options - { maxDepth, maxCount, format, rootDir, rootRealPath, noSymlinks, tokenBudget, lang, profile, repo, cache, sources },
+ *                           { configs: Map } rule config per entry point (see lib/rules.js)
+ * @returns {Object} { linkedAnalysis, linkGraph, edges } (edges: followed links with absolute paths, in visiting order)
+ */
+function analyzeEntryPoints(filePaths, options) {
+  const {
+    maxDepth = 3,
+    maxCount = 30,
+    format = 'summary',
+    rootDir,
+    rootRealPath = resolveRootRealPath(rootDir),
+    noSymlinks = false,
+    tokenBudget = null,
+    lang = null,
+    profile = null,
+    repo = null,
+    configs = new Map(),
+    cache = null,
+    sources = null
+  } = options;
+
+  // Shared visited set for deduplication across all entry points
+  const sharedVisited = new Set();
+  const linkEdges = [];
+
+  const allResults = {
+    analyzed: [],
+    notFound: [],
+    skipped: {
+      maxDepth: [],
+      maxCount: [],
+      outsideRoot: [],
+      symlinks: []
+    },
+    staleReferences: [],
+    sensitiveContent: [],
+    unsafeInstructions: [],
+    redundancy: [],
+    contradictions: [],
+    summary: {
+      totalAnalyzed: 0,
+      averageScore: 0,
+      worstScore: 10,
+      worstFile: null,
+      totalEstimatedTokens: 0,
+      contextCost: {}
+    }
+  };
+
+  for (const filePath of filePaths) {
+    const linkedAnalysis = analyzeWithLinks(filePath, {
+      maxDepth,
+      maxCount,
+      format,
+      rootDir,
+      rootRealPath,
+      noSymlinks,
+      tokenBudget,
+      lang,
+      profile,
+      loading: entryLoading(profile, rootDir, filePath),
+      repo,
+      config: configs.get(filePath),
+      visited: sharedVisited,
+      currentDepth: 0,
+      cache,
+      sources
+    });
+
+    // Merge results
+    allResults.analyzed.push(...linkedAnalysis.analyzed);
+    allResults.notFound.push(...linkedAnalysis.notFound);
+    allResults.staleReferences.push(...linkedAnalysis.staleReferences);
+    allResults.sensitiveContent.push(...linkedAnalysis.sensitiveContent);
+    allResults.unsafeInstructions.push(...linkedAnalysis.unsafeInstructions);
+    linkEdges.push(...linkedAnalysis.edges);
+    allResults.skipped.maxDepth.push(...linkedAnalysis.skipped.maxDepth);
+    allResults.skipped.maxCount.push(...linkedAnalysis.skipped.maxCount);
+    allResults.skipped.outsideRoot.push(...linkedAnalysis.skipped.outsideRoot);
+    allResults.skipped.symlinks.push(...linkedAnalysis.skipped.symlinks);
+
+    // Update worst score
+    if (linkedAnalysis.summary.worstScore < allResults.summary.worstScore) {
+      allResults.summary.worstScore = linkedAnalysis.summary.worstScore;
+      allResults.summary.worstFile = linkedAnalysis.summary.worstFile;
+    }
+  }
+
+  // Calculate aggregate summary
+  allResults.summary.totalAnalyzed = allResults.analyzed.length;
+  allResults.summary.totalEstimatedTokens = allResults.analyzed
+    .reduce((sum, item) => sum + item.metrics.estimatedTokens, 0);
+  allResults.summary.contextCost = estimateContextCost(allResults.summary.totalEstimatedTokens);
+
+  const documents = allResults.analyzed.map(item => ({
+    file: item.fullPath,
+    tokens: parseMarkdown(readSource(item.fullPath, sources))
+  }));
+
+  // Duplicate instructions between linked files (within-file pairs are in each file's metrics)
+  allResults.redundancy = findDuplicateInstructions(
+    documents.map(doc => ({ file: doc.file, instructions: extractInstructions(doc.tokens) })),
+    { crossFileOnly: true }
   );
+  allResults.summary.crossFileDuplicates = allResults.redundancy.length;
+
+  // Contradictions across everything collected, including within-file ones
+  allResults.contradictions = detectContradictions(documents);
+  allResults.summary.contradictions = allResults.contradictions.length;
+  allResults.summary.staleReferences = allResults.staleReferences.length;
+  allResults.summary.sensitiveContent = allResults.sensitiveContent.length;
+  allResults.summary.unsafeInstructions = allResults.unsafeInstructions.length;
+
+  if (profile) {
+    allResults.profile = summarizeProfileLoading(profile, allResults.analyzed, sources);
+  }
+  if (allResults.analyzed.length > 0) {
+    const totalScore = allResults.analyzed.reduce((sum, item) => sum + item.evaluation.scores.overall, 0);
+    allResults.summary.averageScore = Math.round(totalScore / allResults.analyzed.length * 10) / 10;
+  }
+
+  // Cross-entrypoint deduplication of skipped/notFound based on actually analyzed files
+  const analyzedPaths = new Set(allResults.analyzed.map(a => a.fullPath));
+  allResults.notFound = uniqStrings(allResults.notFound);
+  allResults.skipped.maxDepth = uniqStrings(allResults.skipped.maxDepth)
+    .filter(p => !analyzedPaths.has(path.resolve(p)));
+  allResults.skipped.maxCount = uniqStrings(allResults.skipped.maxCount)
+    .filter(p => !analyzedPaths.has(path.resolve(p)));
+
+  // Link graph: fan-out, orphaned documents and link cycles
+  const linkGraph = buildLinkGraph({ ...allResults, edges: linkEdges }, rootDir, filePaths);
+  allResults.summary.maxFanOut = linkGraph.nodes.reduce((max, node) => Math.max(max, node.fanOut), 0);
+  allResults.summary.orphans = linkGraph.orphans.length;
+  allResults.summary.cycles = linkGraph.cycles.length;
+  if (format === 'full') {
+    allResults.linkGraph = linkGraph;
+  }
+
+  return { linkedAnalysis: allResults, linkGraph, edges: linkEdges };
+}
+
+/**
+ * Analyzes entry points, then again after every change to an analyzed document or a missing link target (--watch)
+ * Unchanged documents come from the analysis cache; each run prints only the change in scores and findings.
+ * @param {string[]} filePaths - Entry points inside rootDir
+ * @param {Object} options - Same as analyzeEntryPoints() (rootDir is required)
+ * @returns {Object} createFileWatcher() result (close() stops watching)
+ */
+function watchEntryPoints(filePaths, options) {
+  const { rootDir, noSymlinks = false } = options;
+  const entryPoints = filePaths.map(fp => path.resolve(fp));
+  const cache = createAnalysisCache();
+  let repo = options.repo;
+  let current = null;
+  let existing = new Set();
+
+  const run = watcher => {
+    current = analyzeEntryPoints(filePaths, { ...options, repo, cache }).linkedAnalysis;
+    // Missing link targets are watched too, so creating one is picked up
+    const files = uniqStrings([...entryPoints, ...current.analyzed.map(item => item.fullPath), ...current.notFound])
+      .filter(file => isWithinRoot(file, path.resolve(rootDir)));
+    existing = new Set(files.filter(file => fs.existsSync(file)));
+    watcher.update(files);
+  };
+
+  const watcher = createFileWatcher(changed => {
+    // A file that appeared or disappeared can turn references in any document stale (or valid again)
+    if (changed.some(file => fs.existsSync(file) !== existing.has(file))) {
+      cache.clear();
+      repo = createRepoIndex(rootDir, { noSymlinks });
+    }
+    const previous = current;
+    try {
+      run(watcher);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      return;
+    }
+    process.stdout.write(formatDelta(compareAnalyses(previous, current, { beforeRoot: rootDir, afterRoot: rootDir }), cache.takeStats()));
+  });
+
+  run(watcher);
+  cache.takeStats();
+  collectWarnings(current, options).forEach(printWarning);
+  process.stdout.write(formatOverview(current, rootDir));
+  return watcher;
+}
+
+// How the selected tool loads an entry point (null without a profile)
+function entryLoading(profile, rootDir, filePath) {
+  if (!profile) return null;
+  return classifyFile(profile, rootDir || process.cwd(), path.resolve(filePath)) || 'not-loaded';
+}
+
+/**
+ * Resolves entry points and what their analysis shares: expands directories and glob patterns,
+ * adds discovered and profile entry points, loads plugins and rule configs, and enforces the sandbox
+ * @param {string[]} entries - Files, directories or glob patterns (paths in sources need not exist)
+ * @param {Object} options - { rootDir, includeLinks, noSymlinks, discover, profile, config, plugins, sources } (see analyzeFiles())
+ * @returns {Object} Context for runAnalysis(): { filePaths, rootDir, rootRealPath, includeLinks, profile, discovery, configs, warnings, ... }
+ * @throws {Error} When an option or entry is invalid (the CLI prints the message and exits with code 1)
+ */
+function resolveEntries(entries, options = {}) {
+  const { includeLinks = true, noSymlinks = false, discover = false, config = null, plugins = [] } = options;
+  const rootDir = options.rootDir ? path.resolve(options.rootDir) : null;
+  const sources = toSourceMap(options.sources);
+
+  if (discover && !rootDir) {
+    throw new Error('--discover requires --root-dir');
+  }
+  const profile = options.profile ? getProfile(options.profile) : null;
+  if (options.profile && !profile) {
+    throw new Error(`Invalid --profile value: ${options.profile} (use ${PROFILE_IDS.map(id => `"${id}"`).join(', ')})`);
+  }
+  if (rootDir && !fs.existsSync(rootDir)) {
+    throw new Error(`Root directory not found: ${rootDir}`);
+  }
+
+  const warnings = [];
+  const withinSandbox = (filePath, kind = 'discovered') => {
+    const realPath = fs.realpathSync(filePath);
+    if (!isWithinRoot(realPath, resolveRootRealPath(rootDir))) {
+      warnings.push({ type: 'security', message: `Skipped ${kind} file outside root directory via realpath: ${filePath} -> ${realPath}` });
+      return false;
+    }
+    return true;
+  };
+
+  // Directories and glob patterns expand into the Markdown files they contain or match
+  const expandedPaths = [];
+  for (const entry of entries) {
+    if (sources.has(path.resolve(entry))) {
+      expandedPaths.push(path.resolve(entry));
+      continue;
+    }
+    const isDirectory = fs.existsSync(entry) && fs.statSync(entry).isDirectory();
+    if (!isDirectory && (fs.existsSync(entry) || !hasGlobMagic(entry))) {
+      expandedPaths.push(entry);
+      continue;
+    }
+    const matches = expandGlob(isDirectory ? path.join(entry, DOCUMENT_GLOB) : entry, { noSymlinks })
+      .filter(match => !rootDir || withinSandbox(match, 'matched'));
+    if (matches.length === 0) {
+      throw new Error(`No Markdown files match ${entry}${rootDir ? ' inside --root-dir' : ''}`);
+    }
+    expandedPaths.push(...matches);
+  }
+  const filePaths = uniqStrings(expandedPaths);
+  const explicitEntryCount = filePaths.length;
+  const addEntryPoints = discoveredPaths => {
+    const knownPaths = new Set(filePaths.map(fp => path.resolve(fp)));
+    for (const filePath of discoveredPaths) {
+      if (!knownPaths.has(filePath)) filePaths.push(filePath);
+    }
+  };
+
+  // Discovery: nested instruction files under the sandbox become additional entry points
+  let discovery = null;
+  if (discover) {
+    const filenames = profile ? profile.nestedFilenames : DEFAULT_FILENAMES;
+    if (filenames.length === 0) {
+      warnings.push({ type: 'warning', message: `${profile.name} does not use nested instruction files; --discover only adds its entry points` });
+    } else {
+      const discovered = discoverInstructionFiles(rootDir, { filenames, noSymlinks }).filter(filePath => withinSandbox(filePath));
+      discovery = buildScopeHierarchy(rootDir, discovered);
+      addEntryPoints(discovered);
+    }
+  }
+
+  // Profile entry points (e.g. CLAUDE.md, .github/copilot-instructions.md) when no files are given
+  if (profile && rootDir && explicitEntryCount === 0) {
+    addEntryPoints(findProfileEntryPoints(profile, rootDir, { noSymlinks })
+      .map(entry => entry.file)
+      .filter(filePath => withinSandbox(filePath)));
+  }
+
+  if (filePaths.length === 0) {
+    throw new Error(discover || profile ? `No instruction files found under ${rootDir}` : 'At least one file path is required');
+  }
+  for (const filePath of filePaths) {
+    if (!sources.has(filePath) && !fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    if (sources.has(filePath) && !fs.existsSync(path.dirname(filePath))) {
+      throw new Error(`Directory not found for ${filePath}`);
+    }
+  }
+
+  // Plugins, then the rule config: config, otherwise the nearest .agentdocrc.json / package.json above each entry point
+  plugins.forEach(loadPlugin);
+  const explicitConfig = config ? loadConfigFile(config) : null;
+  if (config && !explicitConfig) {
+    throw new Error(`No "agentDocReviewer" key in ${path.resolve(config)}`);
+  }
+  const configs = new Map(filePaths.map(filePath => [filePath, explicitConfig || findConfig(filePath, rootDir)]));
+
+  const linksEnabled = includeLinks && !!rootDir;
+  const rootRealPath = rootDir ? resolveRootRealPath(rootDir) : null;
+  if (linksEnabled) {
+    // Enforce sandbox for entry points as well
+    for (const filePath of filePaths) {
+      const normalizedPath = path.resolve(filePath);
+      const realPath = sourceRealPath(normalizedPath, sources);
+
+      if (!isWithinRoot(realPath, rootRealPath)) {
+        throw new Error(`Entry point is outside --root-dir sandbox: ${normalizedPath}`);
+      }
+      if (noSymlinks && path.resolve(realPath) !== normalizedPath) {
+        throw new Error(`Symlink entrypoints are not allowed with --no-symlinks: ${filePath}`);
+      }
+    }
+  }
+
+  return {
+    filePaths,
+    rootDir,
+    rootRealPath,
+    includeLinks: linksEnabled,
+    noSymlinks,
+    profile,
+    discovery,
+    configs,
+    explicitConfig,
+    warnings,
+    // Repository index for stale-reference checks (paths, scripts, Makefile targets)
+    repo: rootDir ? createRepoIndex(rootDir, { noSymlinks }) : null,
+    sources
+  };
+}
+
+/**
+ * Lists what link analysis skipped: links blocked by the sandbox, the --max-count and --max-depth limits
+ * and a profile's combined size limit. The CLI prints these to stderr; the API returns them.
+ * @param {Object} linkedAnalysis - linkedAnalysis of analyzeEntryPoints()
+ * @param {Object} options - { maxDepth, maxCount, profile }
+ * @returns {Array} [{ type: 'security'|'warning', message }]
+ */
+function collectWarnings(linkedAnalysis, options = {}) {
+  const { maxDepth = 3, maxCount = 30, profile = null } = options;
+  const { skipped } = linkedAnalysis;
+  const warnings = skipped.outsideRoot.map(item => ({
+    type: 'security',
+    message: `Blocked link outside root directory: ${item.url} -> ${item.resolvedPath}`
+  }));
+
+  if (skipped.maxCount.length > 0) {
+    warnings.push({
+      type: 'warning',
+      message: `Reached max file count limit (--max-count=${maxCount}): ${skipped.maxCount.length} file(s) were skipped. ` +
+        'Consider increasing --max-count to analyze more linked documents.'
+    });
+  }
+  if (skipped.maxDepth.length > 0) {
+    warnings.push({
+      type: 'warning',
+      message: `Reached max depth limit (--max-depth=${maxDepth}): ${skipped.maxDepth.length} link(s) were not followed. ` +
+        'Consider increasing --max-depth to analyze deeper link chains.'
+    });
+  }
+
+  const combined = linkedAnalysis.profile && linkedAnalysis.profile.limitViolations.find(violation => violation.file === null);
+  if (combined) {
+    warnings.push({
+      type: 'warning',
+      message: `Automatically loaded files total ${combined.actual} bytes, over the ${profile.name} limit of ${combined.limit} bytes. ` +
+        `${profile.limits.note}.`
+    });
+  }
+
+  return warnings;
+}
+
+/**
+ * Prints a collectWarnings() entry to stderr
+ */
+function printWarning(warning) {
+  console.warn(warning.type === 'security' ? `[SECURITY] ${warning.message}` : `⚠️  [WARNING] ${warning.message}`);
+}
+
+/**
+ * Analyzes resolved entry points: with links, as one link graph with shared deduplication; otherwise each file on its own
+ * @param {Object} context - Result of resolveEntries()
+ * @param {Object} options - { maxDepth, maxCount, format: 'summary'|'full', tokenBudget, lang,
+ *                           readBudget: parseReadBudget() result adds a reading simulation to each entry point }
+ * @returns {Object} { analyzed: [{ fullPath, loading, metrics, evaluation, ... }], linkedAnalysis, linkGraph, warnings }
+ *                   (linkedAnalysis and linkGraph are null without link analysis, where metrics are always full;
+ *                   warnings are the context's followed by collectWarnings())
+ */
+function runAnalysis(context, options = {}) {
+  const { filePaths, rootDir, rootRealPath, includeLinks, noSymlinks, profile, repo, configs, sources } = context;
+  const { maxDepth = 3, maxCount = 30, format = 'summary', tokenBudget = null, lang = null, readBudget = null } = options;
+
+  let linked = null;
+  let analyzed;
+  if (includeLinks) {
+    linked = analyzeEntryPoints(filePaths, {
+      maxDepth,
+      maxCount,
+      format,
+      rootDir,
+      rootRealPath,
+      noSymlinks,
+      tokenBudget,
+      lang,
+      profile,
+      repo,
+      configs,
+      sources
+    });
+    analyzed = linked.linkedAnalysis.analyzed;
+  } else {
+    analyzed = filePaths.map(filePath => {
+      const loading = entryLoading(profile, rootDir, filePath);
+      const limits = profile && profile.limits && !profile.limits.combined && loading === 'auto'
+        ? { ...profile.limits, tool: profile.name }
+        : null;
+      const rules = resolveRules(configs.get(filePath), filePath);
+      const metrics = analyzeDocument(filePath, { repo, tokenBudget, rules, content: readSource(path.resolve(filePath), sources) });
+      const evaluation = evaluateMetrics(metrics, { tokenBudget, limits, rules, lang });
+      return { fullPath: path.resolve(filePath), loading, metrics, evaluation };
+    });
+  }
+
+  // Sequential reading from each entry point (without link analysis, each file is read on its own)
+  if (readBudget) {
+    const analyzedPaths = new Set(analyzed.map(item => item.fullPath));
+    for (const filePath of filePaths) {
+      const entryPoint = path.resolve(filePath);
+      const entry = analyzed.find(item => item.fullPath === entryPoint);
+      if (!entry) continue;
+      const order = linked ? readingOrder(entryPoint, linked.edges, analyzedPaths, maxDepth) : [entryPoint];
+      evaluateReadCoverage(entry.evaluation, simulateReading(order, readBudget, { rootDir: rootDir || process.cwd(), sources }), {
+        rules: resolveRules(configs.get(filePath), entryPoint),
+        disabledRules: findDisabledRules(parseMarkdown(readSource(entryPoint, sources))),
+        lang: lang || entry.metrics.language
+      });
+    }
+  }
+
+  return {
+    analyzed,
+    linkedAnalysis: linked ? linked.linkedAnalysis : null,
+    linkGraph: linked ? linked.linkGraph : null,
+    warnings: [...context.warnings, ...(linked ? collectWarnings(linked.linkedAnalysis, { maxDepth, maxCount, profile }) : [])]
+  };
+}
+
+/**
+ * Analyzes documents and returns the result instead of printing it; never exits the process
+ * Entries are analyzed together like several CLI arguments: with rootDir, links are followed inside it
+ * and a document reached from several entry points is analyzed once.
+ * @param {string[]} entries - Files, directories or glob patterns (relative paths resolve against the working directory)
+ * @param {Object} options - { rootDir: string } sandbox, required for link analysis (--root-dir),
+ *                           { includeLinks: boolean } follow links (default: true with rootDir),
+ *                           { maxDepth, maxCount, noSymlinks, tokenBudget, discover, profile, lang } as the CLI options,
+ *                           { config: string } rule config file, { plugins: string[] } custom rule modules,
+ *                           { simulateRead: number|string } token budget such as 4000 or '30%' (--simulate-read),
+ *                           { format: 'summary'|'full' } detail of each file's metrics,
+ *                           { sources: Map|Object } path -> content of documents that are not on disk
+ * @returns {Object} Result described by analyze_document.schema.json (types in analyze_document.d.ts)
+ * @throws {Error} When an option or entry is invalid, or a document cannot be analyzed
+ */
+function analyzeFiles(entries, options = {}) {
+  const { maxDepth = 3, maxCount = 30, tokenBudget = null, lang = null, simulateRead = null, format = 'summary' } = options;
+  if (!Array.isArray(entries)) {
+    throw new TypeError('entries must be an array of file paths, directories or glob patterns');
+  }
+  if (!['summary', 'full'].includes(format)) {
+    throw new Error(`Invalid format: ${format} (use "summary" or "full")`);
+  }
+  if (lang && !LANGUAGES.includes(lang)) {
+    throw new Error(`Invalid lang: ${lang} (use ${LANGUAGES.map(id => `"${id}"`).join(' or ')})`);
+  }
+  const readBudget = simulateRead === null ? null : parseReadBudget(simulateRead);
+  if (simulateRead !== null && !readBudget) {
+    throw new Error(`Invalid simulateRead: ${simulateRead} (use a token count such as 4000, or a percentage such as '30%')`);
+  }
 
-  return { scores, feedback };
+  const context = resolveEntries(entries, options);
+  const analysis = runAnalysis(context, { maxDepth, maxCount, format, tokenBudget, lang, readBudget });
+  return buildApiResult(context, analysis, format);
+}
+
+/**
+ * Analyzes Markdown content that is not on disk (see analyzeFiles())
+ * @param {string} content - Markdown content
+ * @param {string} virtualPath - Path the content is analyzed as, for link resolution and the sandbox check
+ *                               (relative paths resolve against options.rootDir; its directory must exist)
+ * @param {Object} options - Same as analyzeFiles()
+ * @returns {Object} Same as analyzeFiles()
+ */
+function analyzeString(content, virtualPath = 'document.md', options = {}) {
+  if (typeof content !== 'string') {
+    throw new TypeError('content must be a string');
+  }
+  const filePath = path.resolve(options.rootDir || process.cwd(), virtualPath);
+  const sources = toSourceMap(options.sources);
+  sources.set(filePath, content);
+  return analyzeFiles([filePath], { ...options, sources });
+}
+
+/**
+ * Shapes an analysis for API consumers: files and findings are keyed by root-relative paths
+ * and every finding carries its file, so results can be consumed without the CLI output variants
+ */
+function buildApiResult(context, analysis, format) {
+  const root = context.rootDir || process.cwd();
+  const id = filePath => toPosixPath(path.relative(root, filePath)) || path.basename(filePath);
+
+  const files = analysis.analyzed.map(item => ({
+    file: id(item.fullPath),
+    fullPath: item.fullPath,
+    depth: item.depth || 0,
+    loading: item.loading || null,
+    metrics: format === 'summary' && !analysis.linkedAnalysis ? summarizeMetrics(item.metrics) : item.metrics,
+    evaluation: item.evaluation
+  }));
+  const findings = files.flatMap(item => item.evaluation.findings.map(finding => ({
+    rule: finding.rule,
+    severity: finding.severity,
+    file: item.file,
+    line: finding.line,
+    message: finding.message
+  })));
+
+  const worst = files.reduce((min, item) => (!min || item.evaluation.scores.overall < min.evaluation.scores.overall ? item : min), null);
+  const totalScore = files.reduce((sum, item) => sum + item.evaluation.scores.overall, 0);
+  const summary = {
+    totalAnalyzed: files.length,
+    averageScore: files.length > 0 ? Math.round(totalScore / files.length * 10) / 10 : 0,
+    worstScore: worst ? worst.evaluation.scores.overall : null,
+    worstFile: worst ? worst.file : null,
+    totalEstimatedTokens: files.reduce((sum, item) => sum + item.metrics.estimatedTokens, 0),
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length
+  };
+
+  let links = null;
+  if (analysis.linkedAnalysis) {
+    const { notFound, skipped, staleReferences, sensitiveContent, unsafeInstructions, redundancy, contradictions, profile } = analysis.linkedAnalysis;
+    const located = item => ({ ...item, file: id(item.file) });
+    links = {
+      notFound: notFound.map(id),
+      skipped,
+      staleReferences: staleReferences.map(located),
+      sensitiveContent: sensitiveContent.map(located),
+      unsafeInstructions: unsafeInstructions.map(item => ({ ...located(item), entryPoint: id(item.entryPoint), chain: item.chain.map(id) })),
+      crossFileDuplicates: redundancy.map(pair => ({ ...pair, first: located(pair.first), second: located(pair.second) })),
+      contradictions: contradictions.map(item => ({ ...item, statements: item.statements.map(located) })),
+      graph: analysis.linkGraph,
+      ...(profile ? { profile } : {})
+    };
+  }
+
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    rootDir: context.rootDir,
+    entryPoints: context.filePaths.map(filePath => id(path.resolve(filePath))),
+    files,
+    findings,
+    summary,
+    links,
+    discovery: context.discovery,
+    warnings: analysis.warnings
+  };
+}
+
+/**
+ * Analyzes one document as an editor holds it (--lsp)
+ * Missing link targets come from extractInternalLinks(), so the editor flags exactly the links
+ * analyzeWithLinks() would fail to follow; targets open in the editor count as existing before they are saved.
+ * @param {string} filePath - Absolute path of the document
+ * @param {string} content - Unsaved content
+ * @param {Object} options - { rootDir: string|null } sandbox, { repo } createRepoIndex() result,
+ *                           { config } explicit loadConfigFile() result (default: nearest config above the document),
+ *                           { tokenBudget, lang }, { isOpen: (filePath) => boolean }
+ * @returns {Object} { metrics, evaluation, rules } with metrics in full format and the resolveRules() result
+ */
+function analyzeEditorDocument(filePath, content, options = {}) {
+  const { rootDir = null, repo = null, config = null, tokenBudget = null, lang = null, isOpen = () => false } = options;
+  const rules = resolveRules(config || findConfig(filePath, rootDir), filePath);
+  const metrics = analyzeDocument(filePath, { repo, tokenBudget, rules, content });
+
+  const missingTargets = extractInternalLinks(filePath, content, rootDir).edges
+    .filter(edge => !fs.existsSync(edge.target) && !isOpen(edge.target))
+    .map(edge => ({ line: edge.lineNumber, type: 'link', reference: edge.url, reason: 'link target does not exist' }));
+  metrics.staleReferences = [
+    ...(metrics.staleReferences || []).filter(item => item.type !== 'link'),
+    ...missingTargets
+  ].sort((a, b) => a.line - b.line);
+
+  return { metrics, evaluation: evaluateMetrics(metrics, { tokenBudget, rules, lang }), rules };
 }
 
 /**
@@ -515,26 +1742,67 @@ function main() {
   if (args.includes('--help') || args.includes('-h')) {
     console.error('Usage: node analyze_document.js [options] <file-path> [<file-path2> ...]');
     console.error('Options:');
-    console.error('  --format full        Output full analysis (default: summary)');
+    console.error('  --format <format>    Output format: summary (default), full, markdown, html, or for CI: sarif, junit, github (annotations)');
     console.error('  --no-include-links   Skip link analysis (default: enabled with --root-dir)');
     console.error('  --root-dir <path>    Root directory for security sandboxing (REQUIRED for link analysis)');
     console.error('  --max-depth <n>      Max depth when following links (default: 3)');
     console.error('  --max-count <n>      Max files to analyze when following links (default: 30)');
     console.error('  --no-symlinks        Skip symlink targets during link analysis (best-effort)');
+    console.error('  --token-budget <n>   Score document length against estimated tokens instead of lines');
+    console.error('  --discover           Find nested AGENTS.md files under --root-dir and report their scope hierarchy');
+    console.error(`  --profile <tool>     Apply a tool's conventions: ${PROFILE_IDS.join(', ')}`);
+    console.error('  --graph <format>     Print the link graph only: json, mermaid or dot (requires link analysis)');
+    console.error('  --fix                Rewrite files in place: anchor links, headings deeper than the heading-depth max, duplicate bullets (requires --root-dir)');
+    console.error('  --fix-dry-run        Print the --fix rewrites as a unified diff without changing files');
+    console.error('  --config <path>      Rule config (.agentdocrc.json or package.json); default: nearest one above the entry file');
+    console.error('  --plugin <path>      Load custom rules from a local JS module (repeatable; see lib/rules.js)');
+    console.error('  --min-score <n>      Exit with code 2 when an analyzed file scores below n (0-10)');
+    console.error('  --max-tokens <n>     Exit with code 2 when an analyzed file exceeds n estimated tokens');
+    console.error('  --fail-on <severity> Exit with code 2 on findings of this severity or worse: error or warning');
+    console.error('  --baseline <report>  Compare with an earlier JSON report (score, line and token deltas, new/resolved findings)');
+    console.error('  --compare <a> <b>    Compare the same entry points in two directories (e.g. two worktrees); replaces --root-dir');
+    console.error('  --fail-on-regression Exit with code 2 when a file\'s score drops or it gains an error finding');
+    console.error('  --simulate-read <n>  Read each entry point and its links in order until n tokens (or n%) and report what is missed');
+    console.error('  --lang <ja|en>       Language of the feedback (default: detected per document)');
+    console.error('  --watch              Re-analyze on every change and print score and finding changes (requires --root-dir)');
+    console.error('  --stdin-filename <p> Path that "-" (stdin) is analyzed as, for link resolution (default: stdin.md in --root-dir)');
+    console.error('  --mcp                Serve the analyzer as MCP tools over stdio (JSON-RPC; requires --root-dir, no file paths)');
+    console.error('  --lsp                Run as a language server over stdio: diagnostics, score lens and fix actions in editors');
     console.error('');
     console.error('Multiple file paths can be specified to analyze them together (with shared deduplication).');
+    console.error('A path can also be a directory (every *.md file under it), a quoted glob such as \'docs/**/*.md\', or - for stdin.');
     process.exit(0);
   }
 
   if (args.length === 0) {
     console.error('Usage: node analyze_document.js [options] <file-path> [<file-path2> ...]');
     console.error('Options:');
-    console.error('  --format full        Output full analysis (default: summary)');
+    console.error('  --format <format>    Output format: summary (default), full, markdown, html, or for CI: sarif, junit, github (annotations)');
     console.error('  --no-include-links   Skip link analysis (default: enabled with --root-dir)');
     console.error('  --root-dir <path>    Root directory for security sandboxing (REQUIRED for link analysis)');
     console.error('  --max-depth <n>      Max depth when following links (default: 3)');
     console.error('  --max-count <n>      Max files to analyze when following links (default: 30)');
     console.error('  --no-symlinks        Skip symlink targets during link analysis (best-effort)');
+    console.error('  --token-budget <n>   Score document length against estimated tokens instead of lines');
+    console.error('  --discover           Find nested AGENTS.md files under --root-dir and report their scope hierarchy');
+    console.error(`  --profile <tool>     Apply a tool's conventions: ${PROFILE_IDS.join(', ')}`);
+    console.error('  --graph <format>     Print the link graph only: json, mermaid or dot (requires link analysis)');
+    console.error('  --fix                Rewrite files in place: anchor links, headings deeper than the heading-depth max, duplicate bullets (requires --root-dir)');
+    console.error('  --fix-dry-run        Print the --fix rewrites as a unified diff without changing files');
+    console.error('  --config <path>      Rule config (.agentdocrc.json or package.json); default: nearest one above the entry file');
+    console.error('  --plugin <path>      Load custom rules from a local JS module (repeatable; see lib/rules.js)');
+    console.error('  --min-score <n>      Exit with code 2 when an analyzed file scores below n (0-10)');
+    console.error('  --max-tokens <n>     Exit with code 2 when an analyzed file exceeds n estimated tokens');
+    console.error('  --fail-on <severity> Exit with code 2 on findings of this severity or worse: error or warning');
+    console.error('  --baseline <report>  Compare with an earlier JSON report (score, line and token deltas, new/resolved findings)');
+    console.error('  --compare <a> <b>    Compare the same entry points in two directories (e.g. two worktrees); replaces --root-dir');
+    console.error('  --fail-on-regression Exit with code 2 when a file\'s score drops or it gains an error finding');
+    console.error('  --simulate-read <n>  Read each entry point and its links in order until n tokens (or n%) and report what is missed');
+    console.error('  --lang <ja|en>       Language of the feedback (default: detected per document)');
+    console.error('  --watch              Re-analyze on every change and print score and finding changes (requires --root-dir)');
+    console.error('  --stdin-filename <p> Path that "-" (stdin) is analyzed as, for link resolution (default: stdin.md in --root-dir)');
+    console.error('  --mcp                Serve the analyzer as MCP tools over stdio (JSON-RPC; requires --root-dir, no file paths)');
+    console.error('  --lsp                Run as a language server over stdio: diagnostics, score lens and fix actions in editors');
     process.exit(1);
   }
 
@@ -545,6 +1813,25 @@ function main() {
   let linkMaxDepth = 3;
   let linkMaxCount = 30;
   let rootDir = null;
+  let tokenBudget = null;
+  let discover = false;
+  let profileId = null;
+  let graphFormat = null;
+  let fixMode = null;
+  let configPath = null;
+  let minScore = null;
+  let maxTokens = null;
+  let failOn = null;
+  let baselinePath = null;
+  let compareDirs = null;
+  let failOnRegression = false;
+  let readBudget = null;
+  let lang = null;
+  let watch = false;
+  let stdinFilename = null;
+  let mcp = false;
+  let lsp = false;
+  const pluginPaths = [];
   const filePaths = [];
   const skipIndices = new Set();
 
@@ -573,227 +1860,439 @@ function main() {
         linkMaxCount = parsed;
       }
       skipIndices.add(i + 1);
+    } else if (args[i] === '--token-budget' && i + 1 < args.length) {
+      const parsed = Number.parseInt(args[i + 1], 10);
+      if (Number.isFinite(parsed) && parsed > 0) {
+        tokenBudget = parsed;
+      }
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--discover') {
+      discover = true;
+    } else if (args[i] === '--profile' && i + 1 < args.length) {
+      profileId = args[i + 1];
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--graph' && i + 1 < args.length) {
+      graphFormat = args[i + 1];
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--fix') {
+      fixMode = 'write';
+    } else if (args[i] === '--fix-dry-run') {
+      fixMode = 'dry-run';
+    } else if (args[i] === '--config' && i + 1 < args.length) {
+      configPath = args[i + 1];
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--plugin' && i + 1 < args.length) {
+      pluginPaths.push(args[i + 1]);
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--min-score' && i + 1 < args.length) {
+      // Invalid thresholds are errors rather than ignored: a gate that silently passes is worse than none
+      minScore = Number(args[i + 1]);
+      if (!args[i + 1].trim() || !Number.isFinite(minScore) || minScore < 0 || minScore > 10) {
+        console.error(`Error: Invalid --min-score value: ${args[i + 1]} (use a number from 0 to 10)`);
+        process.exit(1);
+      }
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--max-tokens' && i + 1 < args.length) {
+      maxTokens = Number(args[i + 1]);
+      if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+        console.error(`Error: Invalid --max-tokens value: ${args[i + 1]} (use a positive integer)`);
+        process.exit(1);
+      }
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--fail-on' && i + 1 < args.length) {
+      failOn = args[i + 1];
+      if (!FAIL_ON_LEVELS.includes(failOn)) {
+        console.error(`Error: Invalid --fail-on value: ${failOn} (use ${FAIL_ON_LEVELS.map(level => `"${level}"`).join(' or ')})`);
+        process.exit(1);
+      }
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--baseline' && i + 1 < args.length) {
+      baselinePath = args[i + 1];
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--compare' && i + 2 < args.length) {
+      compareDirs = [path.resolve(args[i + 1]), path.resolve(args[i + 2])];
+      skipIndices.add(i + 1);
+      skipIndices.add(i + 2);
+    } else if (args[i] === '--fail-on-regression') {
+      failOnRegression = true;
+    } else if (args[i] === '--watch') {
+      watch = true;
+    } else if (args[i] === '--mcp') {
+      mcp = true;
+    } else if (args[i] === '--lsp') {
+      lsp = true;
+    } else if (args[i] === '--stdio' && args.includes('--lsp')) {
+      // Added by editor clients that launch servers over stdio; it is the only transport
+    } else if (args[i] === '--stdin-filename' && i + 1 < args.length) {
+      stdinFilename = args[i + 1];
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--simulate-read' && i + 1 < args.length) {
+      readBudget = parseReadBudget(args[i + 1]);
+      if (!readBudget) {
+        console.error(`Error: Invalid --simulate-read value: ${args[i + 1]} (use a token count such as 4000, or a percentage such as 30%)`);
+        process.exit(1);
+      }
+      skipIndices.add(i + 1);
+    } else if (args[i] === '--lang' && i + 1 < args.length) {
+      lang = args[i + 1];
+      if (!LANGUAGES.includes(lang)) {
+        console.error(`Error: Invalid --lang value: ${lang} (use ${LANGUAGES.map(id => `"${id}"`).join(' or ')})`);
+        process.exit(1);
+      }
+      skipIndices.add(i + 1);
     } else {
       // Collect all non-option arguments as file paths
       filePaths.push(args[i]);
     }
   }
 
-  if (filePaths.length === 0) {
-    console.error('Error: At least one file path is required');
-    console.error('Usage: node analyze_document.js [options] <file-path> [<file-path2> ...]');
+  // The --lsp and --mcp stdout carries only protocol messages; anything a rule or plugin logs goes to stderr
+  if (lsp || mcp) console.log = console.error;
+
+  // --lsp takes its documents from the editor and keeps running until the client exits
+  if (lsp) {
+    if (filePaths.length > 0 || mcp || fixMode || watch || baselinePath || compareDirs || graphFormat || discover || readBudget || profileId) {
+      console.error('Error: --lsp takes documents from the editor; do not combine it with file paths, --mcp, --fix, --fix-dry-run, ' +
+        '--watch, --baseline, --compare, --graph, --discover, --simulate-read or --profile');
+      process.exit(1);
+    }
+    if (rootDir && !fs.existsSync(rootDir)) {
+      console.error(`Error: Root directory not found: ${rootDir}`);
+      process.exit(1);
+    }
+    let explicitConfig = null;
+    try {
+      pluginPaths.forEach(loadPlugin);
+      explicitConfig = configPath ? loadConfigFile(configPath) : null;
+      if (configPath && !explicitConfig) {
+        throw new Error(`No "agentDocReviewer" key in ${path.resolve(configPath)}`);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    // Without --root-dir, the editor's workspace folder is the sandbox
+    startLanguageServer({
+      rootDir,
+      analyze: analyzeEditorDocument,
+      noSymlinks,
+      config: explicitConfig,
+      tokenBudget,
+      lang
+    });
+    return;
+  }
+
+  // --mcp takes its paths from tool calls and keeps running until stdin closes
+  if (mcp) {
+    if (!rootDir || noIncludeLinks) {
+      console.error('Error: --mcp requires link analysis (--root-dir without --no-include-links)');
+      process.exit(1);
+    }
+    if (filePaths.length > 0 || fixMode || watch || baselinePath || compareDirs || graphFormat || discover || readBudget) {
+      console.error('Error: --mcp takes paths from tool calls; do not combine it with file paths, --fix, --fix-dry-run, --watch, ' +
+        '--baseline, --compare, --graph, --discover or --simulate-read');
+      process.exit(1);
+    }
+    if (!fs.existsSync(rootDir)) {
+      console.error(`Error: Root directory not found: ${rootDir}`);
+      process.exit(1);
+    }
+    if (profileId && !getProfile(profileId)) {
+      console.error(`Error: Invalid --profile value: ${profileId} (use ${PROFILE_IDS.map(id => `"${id}"`).join(', ')})`);
+      process.exit(1);
+    }
+    startMcpServer({
+      rootDir,
+      analyzeFiles,
+      analyzeString,
+      defaults: {
+        maxDepth: linkMaxDepth,
+        maxCount: linkMaxCount,
+        noSymlinks,
+        tokenBudget,
+        lang,
+        profile: profileId,
+        config: configPath,
+        plugins: pluginPaths
+      }
+    });
+    return;
+  }
+
+  // "-" reads one document from stdin; links in it resolve as if it were saved at --stdin-filename
+  const sources = new Map();
+  const stdinCount = filePaths.filter(fp => fp === '-').length;
+  if (stdinCount > 1) {
+    console.error('Error: "-" (stdin) can only be given once');
+    process.exit(1);
+  }
+  if (stdinCount === 1) {
+    if (fixMode || watch || compareDirs) {
+      console.error('Error: stdin input ("-") cannot be combined with --fix, --fix-dry-run, --watch or --compare');
+      process.exit(1);
+    }
+    const virtualPath = stdinFilename ? path.resolve(stdinFilename) : path.join(rootDir || process.cwd(), 'stdin.md');
+    if (!fs.existsSync(path.dirname(virtualPath))) {
+      console.error(`Error: Directory not found for --stdin-filename: ${path.dirname(virtualPath)}`);
+      process.exit(1);
+    }
+    sources.set(virtualPath, fs.readFileSync(0, 'utf-8'));
+    filePaths[filePaths.indexOf('-')] = virtualPath;
+  } else if (stdinFilename) {
+    console.error('Error: --stdin-filename requires "-" among the file paths');
     process.exit(1);
   }
 
-  // Validate all file paths exist
-  for (const filePath of filePaths) {
-    if (!fs.existsSync(filePath)) {
-      console.error(`Error: File not found: ${filePath}`);
+  // --compare analyzes the entry points in the second directory against the same paths in the first
+  if (compareDirs) {
+    if (baselinePath || rootDir) {
+      console.error('Error: --compare sets the root directories; do not combine it with --baseline or --root-dir');
       process.exit(1);
     }
+    const missingDir = compareDirs.find(dir => !fs.existsSync(dir));
+    if (missingDir) {
+      console.error(`Error: Directory not found: ${missingDir}`);
+      process.exit(1);
+    }
+    rootDir = compareDirs[1];
+    filePaths.forEach((fp, index) => { filePaths[index] = path.resolve(rootDir, fp); });
+  }
+  if ((baselinePath || compareDirs) && (!rootDir || noIncludeLinks)) {
+    console.error(`Error: ${baselinePath ? '--baseline' : '--compare'} requires link analysis (--root-dir without --no-include-links)`);
+    process.exit(1);
+  }
+  if (failOnRegression && !baselinePath && !compareDirs) {
+    console.error('Error: --fail-on-regression requires --baseline or --compare');
+    process.exit(1);
+  }
+  if (watch && (!rootDir || noIncludeLinks)) {
+    console.error('Error: --watch requires link analysis (--root-dir without --no-include-links)');
+    process.exit(1);
+  }
+  if (watch && (fixMode || baselinePath || compareDirs)) {
+    console.error('Error: --watch prints its own change reports; do not combine it with --fix, --fix-dry-run, --baseline or --compare');
+    process.exit(1);
   }
 
-  if (format !== 'summary' && format !== 'full') {
-    console.error(`Error: Invalid --format value: ${format} (use "summary" or "full")`);
+  if (graphFormat && !['json', 'mermaid', 'dot'].includes(graphFormat)) {
+    console.error(`Error: Invalid --graph value: ${graphFormat} (use "json", "mermaid" or "dot")`);
+    process.exit(1);
+  }
+  if (graphFormat && (!rootDir || noIncludeLinks)) {
+    console.error('Error: --graph requires link analysis (--root-dir without --no-include-links)');
     process.exit(1);
   }
 
-  // Validation: rootDir must exist if specified
-  if (rootDir && !fs.existsSync(rootDir)) {
-    console.error(`Error: Root directory not found: ${rootDir}`);
+  if (fixMode === 'write' && !rootDir) {
+    console.error('Error: --fix requires --root-dir (files are only rewritten inside it)');
     process.exit(1);
   }
 
-  const includeLinks = noIncludeLinks ? false : !!rootDir;
+  const reportFormats = ['markdown', 'html'];
+  const formats = ['summary', 'full', ...reportFormats, ...CI_FORMATS];
+  if (!formats.includes(format)) {
+    console.error(`Error: Invalid --format value: ${format} (use ${formats.map(f => `"${f}"`).join(', ')})`);
+    process.exit(1);
+  }
+  // Reports need section spans and duplicate pairs; CI formats only print findings
+  const metricsFormat = format === 'full' || reportFormats.includes(format) ? 'full' : 'summary';
+  const gateOptions = minScore !== null || maxTokens !== null || failOn !== null;
 
-  const rootRealPath = rootDir ? resolveRootRealPath(rootDir) : null;
+  if (filePaths.length === 0 && !discover && !profileId) {
+    console.error('Error: At least one file path is required');
+    console.error('Usage: node analyze_document.js [options] <file-path> [<file-path2> ...]');
+    process.exit(1);
+  }
 
-  if (includeLinks) {
-    // Enforce sandbox for entry points as well
-    for (const filePath of filePaths) {
-      const normalizedPath = path.resolve(filePath);
-      const realPath = fs.realpathSync(normalizedPath);
+  // Entry points, plugins and rule configs, then the baseline
+  let context;
+  let baseline = null;
+  try {
+    context = resolveEntries(filePaths, {
+      rootDir,
+      includeLinks: !noIncludeLinks,
+      noSymlinks,
+      discover,
+      profile: profileId,
+      config: configPath,
+      plugins: pluginPaths,
+      sources
+    });
+    baseline = baselinePath ? loadBaseline(baselinePath) : null;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  const { filePaths: entryPaths, includeLinks, profile, repo, rootRealPath } = context;
+
+  if (watch) {
+    context.warnings.forEach(printWarning);
+    watchEntryPoints(entryPaths, {
+      maxDepth: linkMaxDepth,
+      maxCount: linkMaxCount,
+      format: metricsFormat,
+      rootDir,
+      rootRealPath,
+      noSymlinks,
+      tokenBudget,
+      lang,
+      profile,
+      repo,
+      configs: context.configs
+    });
+    return;
+  }
 
-      if (!isRealPathWithinRoot(realPath, rootRealPath)) {
-        console.error(`Error: Entry point is outside --root-dir sandbox: ${normalizedPath}`);
-        process.exit(1);
+  try {
+    if (fixMode) {
+      // Linked documents are fixed too when links are followed
+      let fixTargets = entryPaths;
+      if (includeLinks) {
+        const visited = new Set();
+        fixTargets = entryPaths.flatMap(filePath => {
+          const linked = analyzeWithLinks(filePath, {
+            maxDepth: linkMaxDepth,
+            maxCount: linkMaxCount,
+            rootDir,
+            rootRealPath,
+            noSymlinks,
+            profile,
+            loading: entryLoading(profile, rootDir, filePath),
+            visited,
+            currentDepth: 0
+          });
+          collectWarnings(linked, { maxDepth: linkMaxDepth, maxCount: linkMaxCount }).forEach(printWarning);
+          return linked.analyzed.map(item => item.fullPath);
+        });
       }
 
-      if (noSymlinks && path.resolve(realPath) !== normalizedPath) {
-        console.error(`Error: Symlink entrypoints are not allowed with --no-symlinks: ${filePath}`);
-        process.exit(1);
+      const fixes = fixDocuments(fixTargets, {
+        write: fixMode === 'write',
+        rootRealPath,
+        rootDir,
+        config: context.explicitConfig
+      });
+      fixes.warnings.forEach(printWarning);
+      if (fixMode === 'dry-run') {
+        process.stdout.write(fixes.diff);
+        return;
+      }
+      for (const item of fixes.files) {
+        console.error(`Fixed ${item.changes.length} line(s) in ${item.file}`);
       }
     }
-  }
 
-  try {
+    // Every analyzed file, for the quality gate and CI formats: [{ fullPath, metrics, evaluation }]
+    const { analyzed: analyzedFiles, linkedAnalysis: allResults, linkGraph, warnings } = runAnalysis(context, {
+      maxDepth: linkMaxDepth,
+      maxCount: linkMaxCount,
+      format: metricsFormat,
+      tokenBudget,
+      lang,
+      readBudget
+    });
+    warnings.forEach(printWarning);
     let result;
+    let comparison = null;
 
     if (includeLinks) {
-      // Analyze with linked files (shared visited set for deduplication across all entry points)
-      const sharedVisited = new Set();
-
-      const allResults = {
-        analyzed: [],
-        notFound: [],
-        skipped: {
-          maxDepth: [],
-          maxCount: [],
-          outsideRoot: [],
-          symlinks: []
-        },
-        summary: {
-          totalAnalyzed: 0,
-          averageScore: 0,
-          worstScore: 10,
-          worstFile: null
-        }
-      };
-
-      for (const filePath of filePaths) {
-        const linkedAnalysis = analyzeWithLinks(filePath, {
+      if (baseline) {
+        comparison = compareAnalyses(baseline, allResults, { beforeRoot: rootDir, afterRoot: rootDir });
+      } else if (compareDirs) {
+        // Entry points that do not exist in the first directory are reported as added files
+        const beforeRoot = compareDirs[0];
+        const beforeEntries = entryPaths
+          .map(fp => path.join(beforeRoot, path.relative(rootDir, path.resolve(fp))))
+          .filter(fp => fs.existsSync(fp));
+        const before = analyzeEntryPoints(beforeEntries, {
           maxDepth: linkMaxDepth,
           maxCount: linkMaxCount,
-          format,
-          rootDir,
-          rootRealPath,
+          format: metricsFormat,
+          rootDir: beforeRoot,
           noSymlinks,
-          visited: sharedVisited,
-          currentDepth: 0
+          tokenBudget,
+          lang,
+          profile,
+          repo: createRepoIndex(beforeRoot, { noSymlinks }),
+          configs: new Map(beforeEntries.map(fp => [fp, context.explicitConfig || findConfig(fp, beforeRoot)]))
         });
-
-        // Merge results
-        allResults.analyzed.push(...linkedAnalysis.analyzed);
-        allResults.notFound.push(...linkedAnalysis.notFound);
-        allResults.skipped.maxDepth.push(...linkedAnalysis.skipped.maxDepth);
-        allResults.skipped.maxCount.push(...linkedAnalysis.skipped.maxCount);
-        allResults.skipped.outsideRoot.push(...linkedAnalysis.skipped.outsideRoot);
-        allResults.skipped.symlinks.push(...linkedAnalysis.skipped.symlinks);
-
-        // Update worst score
-        if (linkedAnalysis.summary.worstScore < allResults.summary.worstScore) {
-          allResults.summary.worstScore = linkedAnalysis.summary.worstScore;
-          allResults.summary.worstFile = linkedAnalysis.summary.worstFile;
-        }
+        comparison = compareAnalyses(before.linkedAnalysis, allResults, { beforeRoot, afterRoot: rootDir });
       }
 
-      // Calculate aggregate summary
-      allResults.summary.totalAnalyzed = allResults.analyzed.length;
-      if (allResults.analyzed.length > 0) {
-        const totalScore = allResults.analyzed.reduce((sum, item) => sum + item.evaluation.scores.overall, 0);
-        allResults.summary.averageScore = Math.round(totalScore / allResults.analyzed.length * 10) / 10;
-      }
-
-      // Cross-entrypoint deduplication of skipped/notFound based on actually analyzed files
-      const analyzedPaths = new Set(allResults.analyzed.map(a => a.fullPath));
-      allResults.notFound = uniqStrings(allResults.notFound);
-      allResults.skipped.maxDepth = uniqStrings(allResults.skipped.maxDepth)
-        .filter(p => !analyzedPaths.has(path.resolve(p)));
-      allResults.skipped.maxCount = uniqStrings(allResults.skipped.maxCount)
-        .filter(p => !analyzedPaths.has(path.resolve(p)));
-
       // Format output based on number of entry points
-      if (filePaths.length === 1) {
+      if (entryPaths.length === 1) {
         // Single file: backward compatible format
         result = {
-          file: path.basename(filePaths[0]),
+          file: path.basename(entryPaths[0]),
           linkedAnalysis: allResults
         };
       } else {
         // Multiple files: unified format with entry points
         result = {
-          entryPoints: filePaths.map(fp => path.basename(fp)),
+          entryPoints: entryPaths.map(fp => path.basename(fp)),
           linkedAnalysis: allResults
         };
       }
+    } else {
+      // No link analysis: one result per file
+      const results = analyzedFiles.map(item => ({
+        file: path.basename(item.fullPath),
+        ...(profile ? { loading: item.loading } : {}),
+        metrics: metricsFormat === 'summary' ? summarizeMetrics(item.metrics) : item.metrics,
+        evaluation: item.evaluation
+      }));
+      // Single file: backward compatible format; multiple files: array of results
+      result = results.length === 1 ? results[0] : { results };
+    }
 
-      // Warn if analysis was incomplete due to limits
-      if (allResults.skipped.maxCount.length > 0) {
-        console.warn(`⚠️  [WARNING] Reached max file count limit (--max-count=${linkMaxCount})`);
-        console.warn(`   ${allResults.skipped.maxCount.length} files were skipped during analysis.`);
-        console.warn(`   Consider increasing --max-count to analyze more linked documents.`);
-        console.warn('');
-      }
+    if (context.discovery) {
+      result.discovery = context.discovery;
+    }
 
-      if (allResults.skipped.maxDepth.length > 0) {
-        console.warn(`⚠️  [WARNING] Reached max depth limit (--max-depth=${linkMaxDepth})`);
-        console.warn(`   ${allResults.skipped.maxDepth.length} links were not followed.`);
-        console.warn(`   Consider increasing --max-depth to analyze deeper link chains.`);
-        console.warn('');
-      }
+    if (graphFormat) {
+      if (graphFormat === 'mermaid') process.stdout.write(toMermaid(linkGraph));
+      else if (graphFormat === 'dot') process.stdout.write(toDot(linkGraph));
+      else console.log(JSON.stringify(linkGraph, null, 2));
+      return;
+    }
+
+    const gate = applyGate(analyzedFiles, { minScore, maxTokens, failOn });
+    if (format === 'sarif') {
+      process.stdout.write(toSarif(gate.findings));
+    } else if (format === 'junit') {
+      process.stdout.write(toJUnit(analyzedFiles.map(item => displayPath(item.fullPath)), gate.findings));
+    } else if (format === 'github') {
+      process.stdout.write(toGithubAnnotations(gate.findings));
+    } else if (reportFormats.includes(format)) {
+      const model = buildReportModel(analyzedFiles, {
+        rootDir: rootDir || process.cwd(),
+        linkedAnalysis: result.linkedAnalysis || null,
+        linkGraph,
+        comparison,
+        gate: gateOptions ? gate : null
+      });
+      process.stdout.write(format === 'html' ? toHtml(model) : toMarkdown(model));
     } else {
-      // No link analysis: process each file independently
-      if (filePaths.length === 1) {
-        // Single file: backward compatible format
-        const filePath = filePaths[0];
-        const metrics = analyzeDocument(filePath);
-        const evaluation = evaluateMetrics(metrics);
-
-        if (format === 'summary') {
-          result = {
-            file: path.basename(filePath),
-            metrics: {
-              totalLines: metrics.totalLines,
-              nonEmptyLines: metrics.nonEmptyLines,
-              wordCount: metrics.wordCount,
-              sectionCount: metrics.sectionCount,
-              maxDepth: metrics.maxDepth,
-              internalLinks: metrics.internalLinks,
-              externalLinks: metrics.externalLinks,
-              anchorLinks: metrics.anchorLinks,
-              totalLinks: metrics.totalLinks,
-              frontLoadedContent: metrics.frontLoadedContent,
-              avgSectionLength: metrics.avgSectionLength,
-              redundancyCount: metrics.redundancyIndicators.length
-            },
-            evaluation
-          };
-        } else {
-          result = {
-            file: path.basename(filePath),
-            metrics,
-            evaluation
-          };
-        }
-      } else {
-        // Multiple files: return array of results
-        const results = [];
-        for (const filePath of filePaths) {
-          const metrics = analyzeDocument(filePath);
-          const evaluation = evaluateMetrics(metrics);
-
-          if (format === 'summary') {
-            results.push({
-              file: path.basename(filePath),
-              metrics: {
-                totalLines: metrics.totalLines,
-                nonEmptyLines: metrics.nonEmptyLines,
-                wordCount: metrics.wordCount,
-                sectionCount: metrics.sectionCount,
-                maxDepth: metrics.maxDepth,
-                internalLinks: metrics.internalLinks,
-                externalLinks: metrics.externalLinks,
-                anchorLinks: metrics.anchorLinks,
-                totalLinks: metrics.totalLinks,
-                frontLoadedContent: metrics.frontLoadedContent,
-                avgSectionLength: metrics.avgSectionLength,
-                redundancyCount: metrics.redundancyIndicators.length
-              },
-              evaluation
-            });
-          } else {
-            results.push({
-              file: path.basename(filePath),
-              metrics,
-              evaluation
-            });
-          }
-        }
-        result = { results };
+      if (gateOptions) {
+        result.gate = { passed: gate.passed, minScore, maxTokens, failOn, failures: gate.failures };
       }
+      if (comparison) {
+        result.comparison = comparison;
+      }
+      console.log(JSON.stringify(result, null, 2));
     }
 
-    console.log(JSON.stringify(result, null, 2));
+    // Exit code 1 stays reserved for usage and analysis errors
+    if (!gate.passed) {
+      console.error(`Quality gate failed: ${gate.failures.length} finding(s) (${uniqStrings(gate.failures.map(f => f.rule)).join(', ')})`);
+      process.exitCode = 2;
+    }
+    if (failOnRegression && comparison.summary.regressed) {
+      const reasons = comparison.regressions.slice(0, 3).map(item => `${item.file}: ${item.reason}`).join('; ');
+      console.error(`Regression against baseline: ${comparison.regressions.length} (${reasons})`);
+      process.exitCode = 2;
+    }
 
   } catch (error) {
     console.error(`Error analyzing document: ${error.message}`);
@@ -806,4 +2305,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { analyzeDocument, evaluateMetrics };
+module.exports = { analyzeFiles, analyzeString, analyzeDocument, analyzeWithLinks, evaluateMetrics, registerRule };
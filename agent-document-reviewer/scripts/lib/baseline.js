@@ -0,0 +1,152 @@
+/**
+ * Compares two linked analyses (--baseline <report.json>, --compare <dirA> <dirB>)
+ *
+ * Files are matched by their path relative to the root directory of each run.
+ * Findings are matched by rule and message with numbers masked, so a finding
+ * that only moved to another line is neither new nor resolved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosixPath } = require('./glob');
+
+/**
+ * Reads an earlier report written by analyze_document.js with link analysis
+ * @param {string} filePath - JSON output (summary or full), or its linkedAnalysis object
+ * @returns {Object} linkedAnalysis
+ */
+function loadBaseline(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(resolvedPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read baseline ${resolvedPath}: ${error.message}`);
+  }
+
+  const linkedAnalysis = report && report.linkedAnalysis ? report.linkedAnalysis : report;
+  if (!linkedAnalysis || !Array.isArray(linkedAnalysis.analyzed)) {
+    throw new Error(`Baseline ${resolvedPath} has no linkedAnalysis (write it with --root-dir and link analysis enabled)`);
+  }
+  return linkedAnalysis;
+}
+
+function relativeKey(fullPath, rootDir) {
+  return toPosixPath(path.relative(rootDir, fullPath));
+}
+
+function change(before, after) {
+  const delta = before === null || after === null ? null : Math.round((after - before) * 10) / 10;
+  return { before, after, delta };
+}
+
+/**
+ * Findings of an analyzed file; reports written before findings existed only have feedback lines
+ */
+function findingsOf(item, useFindings) {
+  if (!item) return [];
+  if (useFindings) return item.evaluation.findings;
+  return item.evaluation.feedback
+    .filter(line => !line.startsWith('✅'))
+    .map(line => ({
+      rule: null,
+      severity: line.startsWith('❌') ? 'error' : 'warning',
+      line: null,
+      message: line.replace(/^\S+\s+/, '')
+    }));
+}
+
+function findingKey(finding) {
+  return `${finding.rule}\u0000${finding.message.replace(/\d+(?:\.\d+)?/g, '#')}`;
+}
+
+/**
+ * Findings in `findings` without a counterpart in `others` (compared as multisets)
+ */
+function subtractFindings(findings, others) {
+  const remaining = new Map();
+  for (const finding of others) {
+    const key = findingKey(finding);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+  return findings.filter(finding => {
+    const key = findingKey(finding);
+    if (!remaining.get(key)) return true;
+    remaining.set(key, remaining.get(key) - 1);
+    return false;
+  });
+}
+
+/**
+ * Reports what changed per file between two linked analyses
+ * @param {Object} before - Baseline linkedAnalysis
+ * @param {Object} after - Current linkedAnalysis
+ * @param {Object} options - { beforeRoot, afterRoot } root directories the file paths are relative to
+ * @returns {Object} { files, addedFiles, droppedFiles, regressions, summary }
+ */
+function compareAnalyses(before, after, options) {
+  const { beforeRoot, afterRoot } = options;
+  const beforeFiles = new Map(before.analyzed.map(item => [relativeKey(item.fullPath, beforeRoot), item]));
+  const afterFiles = new Map(after.analyzed.map(item => [relativeKey(item.fullPath, afterRoot), item]));
+  const keys = [...afterFiles.keys(), ...[...beforeFiles.keys()].filter(key => !afterFiles.has(key))];
+
+  const files = keys.map(file => {
+    const old = beforeFiles.get(file) || null;
+    const current = afterFiles.get(file) || null;
+    // Both sides need located findings; otherwise feedback lines are compared
+    const useFindings = [old, current].every(item => !item || Array.isArray(item.evaluation.findings));
+    const oldFindings = findingsOf(old, useFindings);
+    const currentFindings = findingsOf(current, useFindings);
+    const value = (item, read) => (item ? read(item) : null);
+
+    const score = change(value(old, item => item.evaluation.scores.overall), value(current, item => item.evaluation.scores.overall));
+    const entry = {
+      file,
+      status: !old ? 'added' : !current ? 'dropped' : 'changed',
+      score,
+      lines: change(value(old, item => item.metrics.totalLines), value(current, item => item.metrics.totalLines)),
+      tokens: change(value(old, item => item.metrics.estimatedTokens), value(current, item => item.metrics.estimatedTokens)),
+      newFindings: subtractFindings(currentFindings, oldFindings),
+      resolvedFindings: subtractFindings(oldFindings, currentFindings)
+    };
+    if (entry.status === 'changed' && score.delta === 0 && entry.lines.delta === 0 && entry.tokens.delta === 0 &&
+        entry.newFindings.length === 0 && entry.resolvedFindings.length === 0) {
+      entry.status = 'unchanged';
+    }
+    return entry;
+  });
+
+  // A regression is a lower score or a new error; dropped files never count
+  const regressions = [];
+  for (const entry of files) {
+    if (entry.score.delta !== null && entry.score.delta < 0) {
+      regressions.push({ file: entry.file, reason: `overall score ${entry.score.before} -> ${entry.score.after}` });
+    }
+    const newErrors = entry.newFindings.filter(finding => finding.severity === 'error');
+    if (newErrors.length > 0) {
+      regressions.push({ file: entry.file, reason: `${newErrors.length} new error finding(s), e.g. ${newErrors[0].message}` });
+    }
+  }
+
+  const total = (analysis, read) => (analysis.summary && typeof read(analysis.summary) === 'number' ? read(analysis.summary) : null);
+  return {
+    files,
+    addedFiles: files.filter(entry => entry.status === 'added').map(entry => entry.file),
+    droppedFiles: files.filter(entry => entry.status === 'dropped').map(entry => entry.file),
+    regressions,
+    summary: {
+      averageScore: change(total(before, summary => summary.averageScore), total(after, summary => summary.averageScore)),
+      worstScore: change(total(before, summary => summary.worstScore), total(after, summary => summary.worstScore)),
+      totalEstimatedTokens: change(total(before, summary => summary.totalEstimatedTokens), total(after, summary => summary.totalEstimatedTokens)),
+      changedFiles: files.filter(entry => entry.status !== 'unchanged').length,
+      newFindings: files.reduce((sum, entry) => sum + entry.newFindings.length, 0),
+      resolvedFindings: files.reduce((sum, entry) => sum + entry.resolvedFindings.length, 0),
+      regressed: regressions.length > 0
+    }
+  };
+}
+
+module.exports = {
+  loadBaseline,
+  compareAnalyses
+};
@@ -0,0 +1,94 @@
+/**
+ * Content-hash caches (no external dependencies)
+ *
+ * A run reads each document several times (analysis, link extraction,
+ * cross-file redundancy, reading simulation), and --watch walks the whole link
+ * graph again after every edit. Parsed Markdown is cached by content hash, so
+ * each distinct content is tokenized once per process. Analysis results are
+ * cached by path, content hash and link context, so only edited documents and
+ * new link targets are analyzed again.
+ */
+
+const crypto = require('crypto');
+const { tokenizeMarkdown } = require('./markdown');
+
+// Bounds memory on large monorepos; the oldest entries are evicted first
+const MAX_PARSED_DOCUMENTS = 2000;
+
+const parsedDocuments = new Map();
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * tokenizeMarkdown() with a cache keyed by content hash
+ * The result is shared between callers and must not be modified.
+ * @param {string} content - Markdown content
+ * @returns {Object} Result of tokenizeMarkdown()
+ */
+function parseMarkdown(content) {
+  const key = hashContent(content);
+  let tokens = parsedDocuments.get(key);
+  if (!tokens) {
+    tokens = tokenizeMarkdown(content);
+    if (parsedDocuments.size >= MAX_PARSED_DOCUMENTS) {
+      parsedDocuments.delete(parsedDocuments.keys().next().value);
+    }
+    parsedDocuments.set(key, tokens);
+  }
+  return tokens;
+}
+
+/**
+ * Creates a cache of per-file analysis results for repeated runs over the same link graph
+ * Results are stored serialized, so every caller gets its own copy to extend.
+ * @returns {Object} { get(filePath, content, context, analyze), clear(), takeStats() }
+ */
+function createAnalysisCache() {
+  // One entry per file: earlier contents of an edited file are never needed again
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    /**
+     * Returns the cached result for this content and context, or stores what analyze() returns
+     * @param {string} filePath - Absolute path
+     * @param {string} content - Current file content
+     * @param {Object} context - Everything else the result depends on (depth, entry point, ...)
+     * @param {Function} analyze - Computes the result on a cache miss
+     */
+    get(filePath, content, context, analyze) {
+      const key = `${hashContent(content)}\u0000${JSON.stringify(context)}`;
+      const entry = entries.get(filePath);
+      if (entry && entry.key === key) {
+        hits++;
+        return JSON.parse(entry.value);
+      }
+      misses++;
+      const result = analyze();
+      entries.set(filePath, { key, value: JSON.stringify(result) });
+      return result;
+    },
+
+    // Results also depend on other files (stale references), so creating or deleting one clears the cache
+    clear() {
+      entries.clear();
+    },
+
+    // Hits and misses since the previous call
+    takeStats() {
+      const stats = { hits, misses };
+      hits = 0;
+      misses = 0;
+      return stats;
+    }
+  };
+}
+
+module.exports = {
+  hashContent,
+  parseMarkdown,
+  createAnalysisCache
+};
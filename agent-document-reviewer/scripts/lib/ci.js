@@ -0,0 +1,183 @@
+/**
+ * Quality gate and CI output formats (--min-score, --max-tokens, --fail-on, --format sarif|junit|github)
+ *
+ * Works on evaluation.findings of analyzed files: { rule, severity, line, message }.
+ * Paths are printed relative to the working directory, which is the repository
+ * root in CI, so that annotations and code scanning alerts land on the right file.
+ */
+
+const path = require('path');
+const { toPosixPath } = require('./glob');
+const { RULES } = require('./rules');
+
+const TOOL_NAME = 'agent-document-reviewer';
+const TOOL_URI = 'https://github.com/unagi/agent-document-reviewer';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const FAIL_ON_LEVELS = ['error', 'warning'];
+const CI_FORMATS = ['sarif', 'junit', 'github'];
+
+// Thresholds are reported like rules so that every output format can show them
+const GATE_RULES = {
+  'min-score': 'Overall score is below --min-score',
+  'max-tokens': 'Estimated tokens exceed --max-tokens'
+};
+
+function displayPath(filePath) {
+  const relativePath = path.relative(process.cwd(), filePath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return filePath;
+  return toPosixPath(relativePath);
+}
+
+/**
+ * Flattens the findings of analyzed files and adds quality gate violations
+ * @param {Array} analyzed - [{ fullPath, metrics, evaluation }]
+ * @param {Object} gate - { minScore: number|null, maxTokens: number|null, failOn: 'error'|'warning'|null }
+ * @returns {Object} { passed, failures, findings: [{ file, rule, severity, line, message }] }
+ */
+function applyGate(analyzed, gate = {}) {
+  const { minScore = null, maxTokens = null, failOn = null } = gate;
+  const findings = [];
+
+  for (const item of analyzed) {
+    const file = displayPath(item.fullPath);
+    const score = item.evaluation.scores.overall;
+    if (minScore !== null && score < minScore) {
+      findings.push({ file, rule: 'min-score', severity: 'error', line: 1, message: `Overall score ${score} is below --min-score ${minScore}` });
+    }
+    const tokens = item.metrics.estimatedTokens;
+    if (maxTokens !== null && tokens > maxTokens) {
+      findings.push({ file, rule: 'max-tokens', severity: 'error', line: 1, message: `Estimated tokens ${tokens} exceed --max-tokens ${maxTokens}` });
+    }
+    findings.push(...item.evaluation.findings.map(finding => ({ file, ...finding })));
+  }
+
+  // Threshold violations always fail; rule findings only from the --fail-on severity up
+  const failing = finding => GATE_RULES[finding.rule] ||
+    (failOn === 'warning' && ['warning', 'error'].includes(finding.severity)) ||
+    (failOn === 'error' && finding.severity === 'error');
+  const failures = findings.filter(failing);
+
+  return { passed: failures.length === 0, failures, findings };
+}
+
+function ruleDescription(id) {
+  if (GATE_RULES[id]) return GATE_RULES[id];
+  return RULES[id] ? RULES[id].description || id : id;
+}
+
+/**
+ * Renders findings as a SARIF 2.1.0 log for code scanning
+ */
+function toSarif(findings) {
+  const ruleIds = [...new Set(findings.map(finding => finding.rule))].sort();
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          informationUri: TOOL_URI,
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: ruleDescription(id) },
+            defaultConfiguration: { level: GATE_RULES[id] || !RULES[id] ? 'error' : RULES[id].severity }
+          }))
+        }
+      },
+      results: findings.map(finding => ({
+        ruleId: finding.rule,
+        ruleIndex: ruleIds.indexOf(finding.rule),
+        level: finding.severity,
+        message: { text: finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.file, ...(path.isAbsolute(finding.file) ? {} : { uriBaseId: '%SRCROOT%' }) },
+            region: { startLine: finding.line }
+          }
+        }]
+      }))
+    }]
+  };
+
+  return `${JSON.stringify(log, null, 2)}\n`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Renders findings as JUnit XML: one test suite per file, one test case per finding
+ * Errors are failures; warnings pass with their message in system-out.
+ * @param {Array} files - Display paths of every analyzed file (files without findings get a passing case)
+ */
+function toJUnit(files, findings) {
+  const suites = files.map(file => {
+    const fileFindings = findings.filter(finding => finding.file === file);
+    const failures = fileFindings.filter(finding => finding.severity === 'error').length;
+    const cases = fileFindings.map(finding => {
+      const name = escapeXml(`${finding.rule} (line ${finding.line})`);
+      const detail = escapeXml(`${file}:${finding.line} ${finding.message}`);
+      const body = finding.severity === 'error'
+        ? `<failure message="${escapeXml(finding.message)}" type="${escapeXml(finding.rule)}">${detail}</failure>`
+        : `<system-out>${detail}</system-out>`;
+      return `    <testcase classname="${escapeXml(file)}" name="${name}">${body}</testcase>`;
+    });
+    if (cases.length === 0) {
+      cases.push(`    <testcase classname="${escapeXml(file)}" name="${TOOL_NAME}"/>`);
+    }
+    return [
+      `  <testsuite name="${escapeXml(file)}" tests="${cases.length}" failures="${failures}" errors="0">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  const tests = files.reduce((sum, file) => sum + Math.max(1, findings.filter(finding => finding.file === file).length), 0);
+  const failures = findings.filter(finding => finding.severity === 'error').length;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+// Workflow command escaping (see GitHub Actions "workflow commands")
+function escapeData(text) {
+  return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(text) {
+  return escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * Renders findings as GitHub Actions annotation lines (::error / ::warning)
+ */
+function toGithubAnnotations(findings) {
+  return findings
+    .map(finding => `::${finding.severity} file=${escapeProperty(finding.file)},line=${finding.line},title=${escapeProperty(finding.rule)}::${escapeData(finding.message)}\n`)
+    .join('');
+}
+
+module.exports = {
+  FAIL_ON_LEVELS,
+  CI_FORMATS,
+  displayPath,
+  applyGate,
+  toSarif,
+  toJUnit,
+  toGithubAnnotations
+};
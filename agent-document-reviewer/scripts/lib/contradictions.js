@@ -0,0 +1,242 @@
+/**
+ * Rule-based contradiction detection within and across documents
+ *
+ * Statements are normalized into subject/value/polarity triples:
+ * - Value rules cover mutually exclusive choices (package manager, tabs vs
+ *   spaces, commit style, ...). Two positive statements choosing different
+ *   values, or a positive and a negative statement about the same value,
+ *   contradict each other. Command-like choices (e.g. `pnpm test`) are also
+ *   read from code blocks. A sentence that lists several values ("works with
+ *   npm, pnpm or yarn") does not choose one.
+ * - Polarity rules catch "always X" vs "never X" about the same subject using
+ *   the normalized terms from the redundancy detector.
+ */
+
+const { stripInlineMarkup, extractInstructions, findDuplicateInstructions, isNegative } = require('./redundancy');
+
+const POLARITY_THRESHOLD = 0.6;
+const MAX_STATEMENTS = 20;
+// Negation that applies to the value mentioned right after it ("not tabs", "instead of yarn")
+const LOCAL_NEGATION_REGEX = /(?:\bnot|\bno|\bnever|\bavoid|\bwithout|\binstead of|\brather than|\bover|\bdon't use|\bdo not use)\s+(?:\S+\s+){0,2}$/i;
+
+const VALUE_RULES = [
+  {
+    id: 'package-manager',
+    subject: 'package manager',
+    scanCode: true,
+    // Installing one manager with another ("npm install -g pnpm") does not choose the installer
+    ignore: /\b(?:(?:npm|pnpm|bun)\s+(?:i|install|add)\s+(?:-g|--global)|yarn\s+global\s+add)\b/gi,
+    values: [
+      { id: 'npm', pattern: /\bnpm\b|\bnpx\b|package-lock\.json/i },
+      { id: 'pnpm', pattern: /\bpnpm\b|\bpnpx\b|pnpm-lock\.yaml/i },
+      { id: 'yarn', pattern: /\byarn\b|yarn\.lock/i },
+      { id: 'bun', pattern: /\bbunx\b|\bbun\s+(?:install|add|run|test|x)\b|bun\.lockb?/i }
+    ]
+  },
+  {
+    id: 'indentation',
+    subject: 'indentation',
+    context: /\b(?:indent\w*|tabs?|spaces)\b/i,
+    values: [
+      { id: 'tabs', pattern: /\btabs?\b/i },
+      { id: 'spaces', pattern: /(?<!\b(?:2|two|4|four)[ -])\bspaces\b/i },
+      { id: '2 spaces', pattern: /\b(?:2|two)[ -]spaces?\b/i },
+      { id: '4 spaces', pattern: /\b(?:4|four)[ -]spaces?\b/i }
+    ],
+    compatible: [['spaces', '2 spaces'], ['spaces', '4 spaces']]
+  },
+  {
+    id: 'quotes',
+    subject: 'string quotes',
+    context: /\bquotes?\b/i,
+    values: [
+      { id: 'single quotes', pattern: /\bsingle\b/i },
+      { id: 'double quotes', pattern: /\bdouble\b/i }
+    ]
+  },
+  {
+    id: 'semicolons',
+    subject: 'semicolons',
+    values: [
+      { id: 'semicolons', pattern: /\bsemicolons?\b/i }
+    ]
+  },
+  {
+    id: 'commit-style',
+    subject: 'commit message style',
+    context: /\bcommit/i,
+    values: [
+      { id: 'conventional commits', pattern: /\bconventional[- ]commits?\b/i },
+      { id: 'gitmoji', pattern: /\bgitmoji\b/i }
+    ]
+  },
+  {
+    id: 'merge-strategy',
+    subject: 'merge strategy',
+    context: /\bmerg/i,
+    values: [
+      { id: 'squash', pattern: /\bsquash\b/i },
+      { id: 'rebase', pattern: /\brebase\b/i },
+      { id: 'merge commits', pattern: /\bmerge commits?\b/i }
+    ]
+  },
+  {
+    id: 'test-runner',
+    subject: 'test runner',
+    scanCode: true,
+    values: [
+      { id: 'jest', pattern: /\bjest\b/i },
+      { id: 'vitest', pattern: /\bvitest\b/i },
+      { id: 'mocha', pattern: /\bmocha\b/i }
+    ]
+  },
+  {
+    id: 'module-system',
+    subject: 'module system',
+    values: [
+      { id: 'ES modules', pattern: /\bESM\b|\bES modules?\b/i },
+      { id: 'CommonJS', pattern: /\bCommonJS\b|\bCJS\b/i }
+    ]
+  }
+];
+
+/**
+ * Splits a tokenized document into statements (prose sentences and code lines)
+ * @returns {Array} [{ lineNumber, text, code }]
+ */
+function extractStatements(tokens) {
+  const statements = [];
+
+  for (const line of tokens.lines) {
+    if (line.kind === 'code') {
+      const text = line.text.trim();
+      if (text) statements.push({ lineNumber: line.lineNumber, text, code: true });
+      continue;
+    }
+    if (line.kind !== 'text' || line.definition) continue;
+
+    const text = stripInlineMarkup(line.prose.replace(/^\s{0,3}#{1,6}\s+/, ''));
+    for (const sentence of text.split(/(?<=[.!?;])\s+/)) {
+      const trimmed = sentence.trim();
+      if (trimmed) statements.push({ lineNumber: line.lineNumber, text: trimmed, code: false });
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Finds value mentions with their polarity in one statement
+ */
+function findValueMentions(rule, statement) {
+  if (statement.code && !rule.scanCode) return [];
+  if (!statement.code && rule.context && !rule.context.test(statement.text)) return [];
+
+  const text = rule.ignore ? statement.text.replace(rule.ignore, ignored => ' '.repeat(ignored.length)) : statement.text;
+  const mentions = [];
+  for (const value of rule.values) {
+    const match = text.match(value.pattern);
+    if (!match) continue;
+
+    const before = text.slice(0, match.index);
+    const clause = before.split(/[,;:]|\bbut\b/i).pop();
+    const negative = !statement.code &&
+      (LOCAL_NEGATION_REGEX.test(clause) || (isNegative(clause) && rule.values.length === 1));
+    mentions.push({ value: value.id, polarity: negative ? 'negative' : 'positive' });
+  }
+
+  // A statement naming several options ("npm, pnpm or yarn") lists them rather than choosing one
+  const positives = mentions.filter(mention => mention.polarity === 'positive');
+  if (positives.some(a => positives.some(b => !isCompatible(rule, a.value, b.value)))) {
+    return mentions.filter(mention => mention.polarity === 'negative');
+  }
+  return mentions;
+}
+
+function isCompatible(rule, a, b) {
+  if (a === b) return true;
+  return (rule.compatible || []).some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+}
+
+/**
+ * Detects contradictions across documents
+ * @param {Array} documents - [{ file, tokens }] where tokens come from tokenizeMarkdown()
+ * @param {Object} options - { crossFileOnly: only report statements that conflict with another file }
+ * @returns {Array} [{ type, rule, subject, statements: [{ file, line, text, value, polarity }] }]
+ */
+function detectContradictions(documents, options = {}) {
+  const { crossFileOnly = false } = options;
+  const contradictions = [];
+  const statementsByDoc = documents.map(doc => ({ file: doc.file, statements: extractStatements(doc.tokens) }));
+
+  // Value rules: mutually exclusive choices
+  for (const rule of VALUE_RULES) {
+    const mentions = [];
+    for (const doc of statementsByDoc) {
+      for (const statement of doc.statements) {
+        for (const mention of findValueMentions(rule, statement)) {
+          mentions.push({ file: doc.file, line: statement.lineNumber, text: statement.text, ...mention });
+        }
+      }
+    }
+
+    const positives = mentions.filter(m => m.polarity === 'positive');
+    const negatives = mentions.filter(m => m.polarity === 'negative');
+    const conflicting = new Set();
+
+    for (let i = 0; i < positives.length; i++) {
+      for (let j = i + 1; j < positives.length; j++) {
+        if (isCompatible(rule, positives[i].value, positives[j].value)) continue;
+        if (crossFileOnly && positives[i].file === positives[j].file) continue;
+        // One sentence comparing two options is not a contradiction by itself
+        if (positives[i].file === positives[j].file && positives[i].line === positives[j].line) continue;
+        conflicting.add(positives[i]);
+        conflicting.add(positives[j]);
+      }
+    }
+    for (const negative of negatives) {
+      const opposed = positives.filter(p => p.value === negative.value &&
+        (crossFileOnly ? p.file !== negative.file : p.file !== negative.file || p.line !== negative.line));
+      if (opposed.length === 0) continue;
+      conflicting.add(negative);
+      opposed.forEach(p => conflicting.add(p));
+    }
+
+    if (conflicting.size === 0) continue;
+    const statements = mentions.filter(m => conflicting.has(m));
+    contradictions.push({
+      type: 'value',
+      rule: rule.id,
+      subject: rule.subject,
+      values: [...new Set(statements.map(s => s.value))],
+      statements: statements.slice(0, MAX_STATEMENTS)
+    });
+  }
+
+  // Polarity rules: "always X" vs "never X" about the same subject
+  const pairs = findDuplicateInstructions(
+    documents.map(doc => ({ file: doc.file, instructions: extractInstructions(doc.tokens) })),
+    { threshold: POLARITY_THRESHOLD, crossFileOnly, maxPairs: Infinity, polarity: 'opposite' }
+  );
+  for (const pair of pairs) {
+    contradictions.push({
+      type: 'polarity',
+      rule: 'polarity',
+      subject: pair.first.text,
+      statements: [pair.first, pair.second].map(side => ({
+        file: side.file,
+        line: side.line,
+        text: side.text,
+        polarity: isNegative(side.text) ? 'negative' : 'positive'
+      }))
+    });
+  }
+
+  return contradictions;
+}
+
+module.exports = {
+  VALUE_RULES,
+  detectContradictions,
+  isNegative
+};
@@ -0,0 +1,119 @@
+/**
+ * Critical-instruction (directive) extraction and placement analysis
+ *
+ * Picks out imperative rules (MUST/NEVER/ALWAYS/"do not", bold "Important:"
+ * callouts, GitHub alert blocks, and Japanese equivalents such as 必ず/禁止)
+ * and measures whether they are front-loaded: an agent that reads
+ * sequentially and stops early only sees the first part of a document.
+ */
+
+const { stripInlineMarkup, normalizeTerms } = require('./redundancy');
+
+const FRONT_LINES = 100;
+const FRONT_RATIO = 0.2;
+// A late directive counts as summarized if an early directive covers the same subject
+const SUMMARY_SIMILARITY = 0.5;
+
+const STRONG_KEYWORD_REGEX = /\b(MUST NOT|MUST|NEVER|ALWAYS|DO NOT|DON'T|SHALL NOT|SHALL|REQUIRED|IMPORTANT|CRITICAL)\b/;
+const IMPERATIVE_START_REGEX = /^(never|always|do not|don't|must|make sure|ensure)\b/i;
+const MODAL_REGEX = /\b(must not|must|should never|is required|are required)\b/i;
+const CALLOUT_REGEX = /(?:\*\*|__)(important|critical|warning|caution|required)\s*:?\s*(?:\*\*|__)|^\s*>\s*\[!(IMPORTANT|WARNING|CAUTION)\]/i;
+const JAPANESE_REGEX = /(必ず|絶対に|禁止|必須|厳守|重要|してはいけない|してはならない|しないでください|しないこと)/;
+
+/**
+ * Returns the keyword that makes a line a directive, or null
+ */
+function matchDirective(rawText, plainText) {
+  const callout = rawText.match(CALLOUT_REGEX);
+  if (callout) return { keyword: (callout[1] || callout[2]).toUpperCase(), strength: 'strong' };
+
+  const strong = plainText.match(STRONG_KEYWORD_REGEX);
+  if (strong) return { keyword: strong[1], strength: 'strong' };
+
+  const start = plainText.match(IMPERATIVE_START_REGEX);
+  if (start) return { keyword: start[1].toLowerCase(), strength: 'normal' };
+
+  const modal = plainText.match(MODAL_REGEX);
+  if (modal) return { keyword: modal[1].toLowerCase(), strength: 'normal' };
+
+  const japanese = plainText.match(JAPANESE_REGEX);
+  if (japanese) return { keyword: japanese[1], strength: 'normal' };
+
+  return null;
+}
+
+/**
+ * Extracts directives from a tokenized markdown document
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @returns {Array} [{ lineNumber, text, keyword, strength }]
+ */
+function extractDirectives(tokens) {
+  const directives = [];
+
+  for (const line of tokens.lines) {
+    if (line.kind !== 'text' || line.definition) continue;
+
+    const plainText = stripInlineMarkup(line.prose.replace(/^\s{0,3}#{1,6}\s+/, ''));
+    if (!plainText) continue;
+
+    const match = matchDirective(line.prose, plainText);
+    if (!match) continue;
+
+    directives.push({
+      lineNumber: line.lineNumber,
+      text: plainText,
+      keyword: match.keyword,
+      strength: match.strength
+    });
+  }
+
+  return directives;
+}
+
+function overlap(a, b) {
+  const setB = new Set(b);
+  const shared = a.filter(term => setB.has(term)).length;
+  const union = a.length + b.length - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Measures directive placement against the first 100 lines / first 20% of a document
+ * @param {Array} directives - Result of extractDirectives()
+ * @param {number} totalLines - Document length
+ * @returns {Object} { count, frontLoaded, frontBoundary, placementScore, late }
+ */
+function analyzeDirectivePlacement(directives, totalLines) {
+  // The front region is whichever is larger: the first 100 lines or the first 20%
+  const frontBoundary = Math.max(FRONT_LINES, Math.floor(totalLines * FRONT_RATIO));
+  const front = directives.filter(d => d.lineNumber <= frontBoundary);
+  const frontTerms = front.map(d => normalizeTerms(d.text));
+
+  // Late directives whose subject is not already summarized up front
+  const late = directives
+    .filter(d => d.lineNumber > frontBoundary)
+    .filter(d => {
+      const terms = normalizeTerms(d.text);
+      return !frontTerms.some(early => overlap(terms, early) >= SUMMARY_SIMILARITY);
+    })
+    .map(d => ({
+      lineNumber: d.lineNumber,
+      position: Math.round(d.lineNumber / Math.max(totalLines, 1) * 100),
+      keyword: d.keyword,
+      text: d.text
+    }));
+
+  return {
+    count: directives.length,
+    frontLoaded: front.length,
+    frontBoundary,
+    // Late directives that restate an early summary do not count against placement
+    placementScore: directives.length > 0 ? Math.round((directives.length - late.length) / directives.length * 10) : null,
+    late
+  };
+}
+
+module.exports = {
+  extractDirectives,
+  analyzeDirectivePlacement
+};
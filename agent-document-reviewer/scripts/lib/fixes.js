@@ -0,0 +1,249 @@
+/**
+ * Safe mechanical rewrites for agent documents (--fix / --fix-dry-run)
+ *
+ * Only edits that cannot change the meaning of an instruction are applied:
+ * - anchor-links: same-document `#anchor` links are replaced by their text;
+ *   table-of-contents lines that only hold anchor links are removed
+ * - heading-depth: headings deeper than the heading-depth rule's max (level 4
+ *   by default) become bold paragraph text
+ * - duplicate-bullets: later verbatim copies of a bullet line are dropped
+ *
+ * Lines inside code blocks, front matter and HTML comments are never touched.
+ */
+
+const { tokenizeMarkdown } = require('./markdown');
+
+// Default of the heading-depth rule's max option (see lib/rules.js)
+const MAX_HEADING_DEPTH = 4;
+// Short bullets ("- Yes", "- TBD") legitimately repeat in different lists
+const MIN_DUPLICATE_WORDS = 4;
+const DIFF_CONTEXT = 3;
+
+const BULLET_REGEX = /^(\s*)(?:[-*+]|\d{1,9}[.)])\s+(.*\S)\s*$/;
+const EMPTY_ITEM_REGEX = /^\s*(?:(?:[-*+]|\d{1,9}[.)])\s*)?[\s,.;:|\-–—]*$/;
+const THEMATIC_BREAK_REGEX = /^ {0,3}(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const TOC_HEADING_REGEX = /^(?:table of contents|contents|toc|目次)$/i;
+
+function isAnchor(url) {
+  return url.trim().replace(/^</, '').startsWith('#');
+}
+
+/**
+ * Computes the fixed content of a document
+ * @param {string} content - Original markdown
+ * @param {Object} options - { maxHeadingDepth } the heading-depth rule's max
+ * @returns {Object} { content, lines: (string|null)[] per original line, changes: [{ line, rule, before, after }] }
+ */
+function computeFixes(content, options = {}) {
+  const { maxHeadingDepth = MAX_HEADING_DEPTH } = options;
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const tokens = tokenizeMarkdown(content);
+  const original = content.split(/\r?\n/);
+  const result = original.slice();
+  const changes = [];
+
+  // Lines whose prose differs from the raw text (inline HTML comments) are left alone
+  const editable = line => line.kind === 'text' && line.prose === line.text;
+
+  // anchor-links
+  const anchorLinksByLine = new Map();
+  for (const link of tokens.links) {
+    if (link.image || !isAnchor(link.url)) continue;
+    if (!anchorLinksByLine.has(link.lineNumber)) anchorLinksByLine.set(link.lineNumber, []);
+    anchorLinksByLine.get(link.lineNumber).push(link);
+  }
+  const rewrittenLines = new Set();
+  for (const [lineNumber, links] of anchorLinksByLine) {
+    const line = tokens.lines[lineNumber - 1];
+    if (!editable(line)) continue;
+
+    let text = line.text;
+    let withoutLinks = line.text;
+    for (const link of links.slice().sort((a, b) => b.column - a.column)) {
+      // Link text is taken from the raw line: tokens mask code spans inside it
+      const linkText = line.text.slice(link.column + 1, link.column + 1 + link.text.length);
+      text = text.slice(0, link.column) + linkText + text.slice(link.endColumn);
+      withoutLinks = withoutLinks.slice(0, link.column) + withoutLinks.slice(link.endColumn);
+    }
+
+    // A list item that only held anchor links is a table-of-contents entry
+    const after = EMPTY_ITEM_REGEX.test(withoutLinks) ? null : text;
+    result[lineNumber - 1] = after;
+    rewrittenLines.add(lineNumber);
+    changes.push({ line: lineNumber, rule: 'anchor-links', before: line.text, after });
+  }
+
+  // Anchor definitions are dropped once no remaining link uses them
+  for (const [label, definition] of tokens.definitions) {
+    if (!isAnchor(definition.url)) continue;
+    if (tokens.links.some(link => link.label === label && !rewrittenLines.has(link.lineNumber))) continue;
+    const lineNumber = definition.lineNumber;
+    result[lineNumber - 1] = null;
+    changes.push({ line: lineNumber, rule: 'anchor-links', before: original[lineNumber - 1], after: null });
+  }
+
+  // heading-depth
+  for (const heading of tokens.headings) {
+    if (heading.depth <= maxHeadingDepth || heading.setext) continue;
+    const line = tokens.lines[heading.lineNumber - 1];
+    if (!editable(line) || result[heading.lineNumber - 1] === null) continue;
+    const title = heading.title.replace(/^\*\*(.*)\*\*$/, '$1');
+    const after = title ? `**${title}**` : null;
+    result[heading.lineNumber - 1] = after;
+    changes.push({ line: heading.lineNumber, rule: 'heading-depth', before: line.text, after });
+  }
+
+  // duplicate-bullets
+  const seenBullets = new Set();
+  for (const line of tokens.lines) {
+    if (!editable(line) || result[line.lineNumber - 1] === null) continue;
+    const match = (result[line.lineNumber - 1] || '').match(BULLET_REGEX);
+    if (!match) continue;
+
+    const key = match[2].replace(/\s+/g, ' ');
+    if (key.split(' ').length < MIN_DUPLICATE_WORDS) continue;
+    if (!seenBullets.has(key)) {
+      seenBullets.add(key);
+      continue;
+    }
+
+    // Items with continuation or nested lines are not single-line duplicates
+    const next = tokens.lines[line.lineNumber];
+    if (next && next.kind === 'text' && next.text.trim() && !BULLET_REGEX.test(next.text) &&
+        /^\s+/.test(next.text) && next.text.search(/\S/) > match[1].length) continue;
+    if (next && BULLET_REGEX.test(next.text) && next.text.match(BULLET_REGEX)[1].length > match[1].length) continue;
+
+    result[line.lineNumber - 1] = null;
+    changes.push({ line: line.lineNumber, rule: 'duplicate-bullets', before: line.text, after: null });
+  }
+
+  // A table-of-contents heading left with no entries is removed as well
+  for (const heading of tokens.headings) {
+    if (!TOC_HEADING_REGEX.test(heading.title) || heading.setext) continue;
+    const next = tokens.headings.find(other => other.lineNumber > heading.lineNumber);
+    const end = next ? next.lineNumber - 1 : original.length;
+    const body = result.slice(heading.lineNumber, end);
+    const removedEntries = changes.some(change => change.line > heading.lineNumber && change.line <= end && change.after === null);
+    // A trailing `---` separator stays; it belongs to the next section
+    if (!removedEntries || body.some(text => text !== null && text.trim() && !THEMATIC_BREAK_REGEX.test(text))) continue;
+
+    for (let lineNumber = heading.lineNumber; lineNumber <= end; lineNumber++) {
+      if (result[lineNumber - 1] !== null && THEMATIC_BREAK_REGEX.test(result[lineNumber - 1])) break;
+      if (result[lineNumber - 1] === null) continue;
+      changes.push({ line: lineNumber, rule: 'anchor-links', before: original[lineNumber - 1], after: null });
+      result[lineNumber - 1] = null;
+    }
+  }
+
+  // Removed lines must not leave two blank lines behind
+  const isBlank = text => text !== null && text.trim() === '';
+  for (let index = 0; index < result.length; index++) {
+    if (result[index] !== null) continue;
+    let before = index - 1;
+    while (before >= 0 && result[before] === null) before--;
+    let after = index + 1;
+    while (after < result.length && result[after] === null) after++;
+    // The empty string after a final newline is not a line of its own
+    if (after >= result.length - 1 || !isBlank(result[after]) || !(before < 0 || isBlank(result[before]))) continue;
+    if (tokens.lines[after].kind !== 'blank') continue;
+    changes.push({ line: after + 1, rule: changes.find(change => change.line === index + 1).rule, before: original[after], after: null });
+    result[after] = null;
+  }
+
+  return {
+    content: result.filter(text => text !== null).join(newline),
+    lines: result,
+    changes: changes.sort((a, b) => a.line - b.line)
+  };
+}
+
+/**
+ * Renders a unified diff between a document and its fixed lines (lines are only replaced or removed)
+ * @param {string} label - Path shown in the diff header
+ * @param {string} content - Original markdown
+ * @param {Array} fixed - `lines` from computeFixes(): new text per original line, or null when removed
+ * @returns {string} Unified diff, or '' when nothing changed
+ */
+function unifiedDiff(label, content, fixed) {
+  // CRLF files keep their line endings so that the diff applies with `git apply` / `patch`
+  const lineEnd = content.includes('\r\n') ? '\r' : '';
+  const original = content.split(/\r?\n/);
+  const finalNewline = original.length > 1 && original[original.length - 1] === '';
+  const lineCount = finalNewline ? original.length - 1 : original.length;
+  const changed = original.slice(0, lineCount).map((text, index) => fixed[index] !== text);
+
+  // Without a final newline, the last kept line loses its newline when the lines after it are removed
+  let lastKept = lineCount - 1;
+  while (lastKept >= 0 && fixed[lastKept] === null) lastKept--;
+  if (!finalNewline && lastKept >= 0) changed[lastKept] = true;
+  const marker = '\\ No newline at end of file';
+  const oldMarker = index => (!finalNewline && index === lineCount - 1 ? [marker] : []);
+  const newMarker = index => (!finalNewline && index === lastKept ? [marker] : []);
+
+  const hunks = [];
+  let index = 0;
+  while (index < lineCount) {
+    if (!changed[index]) {
+      index++;
+      continue;
+    }
+
+    // Extend the hunk while changes are within 2 * context lines of each other
+    const start = Math.max(0, index - DIFF_CONTEXT);
+    let end = index;
+    while (end < lineCount) {
+      let nextChange = end + 1;
+      while (nextChange < lineCount && !changed[nextChange]) nextChange++;
+      if (nextChange < lineCount && nextChange - end <= DIFF_CONTEXT * 2) {
+        end = nextChange;
+      } else {
+        break;
+      }
+    }
+    const stop = Math.min(lineCount - 1, end + DIFF_CONTEXT);
+    hunks.push({ start, stop });
+    index = stop + 1;
+  }
+
+  if (hunks.length === 0) return '';
+
+  // Paths outside the working tree are printed as they are, without the a/ and b/ prefixes
+  const output = label.startsWith('/') ? [`--- ${label}`, `+++ ${label}`] : [`--- a/${label}`, `+++ b/${label}`];
+  let offset = 0; // new line number minus old line number before the hunk
+  for (const hunk of hunks) {
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (let i = hunk.start; i <= hunk.stop; i++) {
+      if (!changed[i]) {
+        body.push(` ${original[i]}${lineEnd}`, ...oldMarker(i));
+        oldCount++;
+        newCount++;
+        continue;
+      }
+      // A run of changed lines is printed as all removals, then all additions
+      let runEnd = i;
+      while (runEnd + 1 <= hunk.stop && changed[runEnd + 1]) runEnd++;
+      for (let j = i; j <= runEnd; j++) body.push(`-${original[j]}${lineEnd}`, ...oldMarker(j));
+      for (let j = i; j <= runEnd; j++) {
+        if (fixed[j] === null) continue;
+        body.push(`+${fixed[j]}${lineEnd}`, ...newMarker(j));
+        newCount++;
+      }
+      oldCount += runEnd - i + 1;
+      i = runEnd;
+    }
+    // Removed lines before this hunk shift the new line numbers
+    const newStart = hunk.start + 1 + offset;
+    output.push(`@@ -${hunk.start + 1},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@`);
+    output.push(...body);
+    offset += newCount - oldCount;
+  }
+
+  return `${output.join('\n')}\n`;
+}
+
+module.exports = {
+  computeFixes,
+  unifiedDiff
+};
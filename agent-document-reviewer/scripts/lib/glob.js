@@ -0,0 +1,153 @@
+/**
+ * Dependency-free glob matching and directory walking
+ *
+ * Supports the subset of glob syntax used in instruction-file conventions:
+ * `**` (any number of directories), `*` (within one path segment), `?`, and
+ * `{a,b}` alternatives. Patterns always use forward slashes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IGNORED_DIRECTORIES = new Set(['.git', 'node_modules', '.hg', '.svn']);
+
+/**
+ * Converts a glob pattern into an anchored regular expression
+ * @param {string} pattern - Glob pattern (forward slashes)
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories; a trailing "**" matches everything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (ch === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (ch === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Tests a path (relative, forward slashes) against a glob pattern
+ */
+function matchGlob(relativePath, pattern) {
+  return globToRegExp(pattern).test(relativePath);
+}
+
+/**
+ * Returns true if the string contains glob metacharacters
+ */
+function hasGlobMagic(value) {
+  return /[*?{]/.test(value);
+}
+
+/**
+ * Converts an OS path relative to a root into a forward-slash path
+ */
+function toPosixPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Returns true if filePath is rootPath or inside it (compare real paths to rule out symlinks)
+ */
+function isWithinRoot(filePath, rootPath) {
+  const relativePath = path.relative(rootPath, filePath);
+  if (relativePath === '') return true;
+  if (relativePath === '..') return false;
+  return !relativePath.startsWith(`..${path.sep}`) && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Recursively lists files under rootDir (symlinked directories are not followed)
+ * @param {string} rootDir - Directory to walk
+ * @param {Object} options - { noSymlinks: boolean } also skip symlinked files
+ * @returns {string[]} Absolute file paths, sorted
+ */
+function walkFiles(rootDir, options = {}) {
+  const { noSymlinks = false } = options;
+  const found = [];
+  const pending = [path.resolve(rootDir)];
+
+  while (pending.length > 0) {
+    const directory = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch {
+      continue; // unreadable directory
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) pending.push(entryPath);
+      } else if (entry.isFile()) {
+        found.push(entryPath);
+      } else if (entry.isSymbolicLink() && !noSymlinks) {
+        try {
+          if (fs.statSync(entryPath).isFile()) found.push(entryPath);
+        } catch {
+          // dangling symlink
+        }
+      }
+    }
+  }
+
+  return found.sort();
+}
+
+/**
+ * Lists the files matching a glob pattern given on the command line
+ * The walk starts at the pattern's leading directories without glob syntax.
+ * @param {string} pattern - Glob pattern, absolute or relative to the working directory
+ * @param {Object} options - Same as walkFiles()
+ * @returns {string[]} Absolute file paths, sorted
+ */
+function expandGlob(pattern, options = {}) {
+  const segments = pattern.split(path.sep).join('/').split('/');
+  const firstMagic = segments.findIndex(hasGlobMagic);
+  if (firstMagic === -1) return fs.existsSync(pattern) ? [path.resolve(pattern)] : [];
+
+  const base = path.resolve(segments.slice(0, firstMagic).join('/') || (pattern.startsWith('/') ? '/' : '.'));
+  const rest = segments.slice(firstMagic).join('/');
+  if (!fs.existsSync(base)) return [];
+  return walkFiles(base, options).filter(file => matchGlob(toPosixPath(path.relative(base, file)), rest));
+}
+
+module.exports = {
+  globToRegExp,
+  matchGlob,
+  hasGlobMagic,
+  toPosixPath,
+  isWithinRoot,
+  walkFiles,
+  expandGlob
+};
@@ -0,0 +1,156 @@
+/**
+ * Nested instruction file discovery and scope hierarchy analysis
+ *
+ * Implements the AGENTS.md override model: every instruction file applies to
+ * its directory subtree, and the closest file to an edited path wins. For each
+ * scope the applicable files are listed from lowest to highest precedence, and
+ * child rules are compared with their ancestors to flag contradictions and
+ * rules that every child restates.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseMarkdown } = require('./cache');
+const { extractInstructions, findDuplicateInstructions } = require('./redundancy');
+const { detectContradictions } = require('./contradictions');
+const { walkFiles } = require('./glob');
+
+const DEFAULT_FILENAMES = ['AGENTS.md'];
+
+/**
+ * Walks rootDir and returns instruction files sorted by path (parents first)
+ * @param {string} rootDir - Directory to walk (symlinked directories are not followed)
+ * @param {Object} options - { filenames: string[], noSymlinks: boolean }
+ * @returns {string[]} Absolute paths of discovered files
+ */
+function discoverInstructionFiles(rootDir, options = {}) {
+  const { filenames = DEFAULT_FILENAMES, noSymlinks = false } = options;
+  const wanted = new Set(filenames);
+
+  return walkFiles(rootDir, { noSymlinks })
+    .filter(filePath => wanted.has(path.basename(filePath)))
+    .sort((a, b) => {
+      const depthDiff = a.split(path.sep).length - b.split(path.sep).length;
+      return depthDiff || a.localeCompare(b);
+    });
+}
+
+function isAncestorDirectory(ancestor, directory) {
+  const relativePath = path.relative(ancestor, directory);
+  return relativePath === '' || (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+}
+
+/**
+ * Builds the scope hierarchy for discovered instruction files
+ * @param {string} rootDir - Sandbox root (paths in the result are relative to it)
+ * @param {string[]} files - Absolute paths from discoverInstructionFiles()
+ * @returns {Object} { files, scopes, conflicts, repeatedInChildren }
+ */
+function buildScopeHierarchy(rootDir, files) {
+  const root = path.resolve(rootDir);
+  const rel = filePath => path.relative(root, filePath) || path.basename(filePath);
+
+  const documents = files.map(filePath => {
+    const tokens = parseMarkdown(fs.readFileSync(filePath, 'utf-8'));
+    return {
+      file: filePath,
+      directory: path.dirname(filePath),
+      tokens,
+      instructions: extractInstructions(tokens)
+    };
+  });
+
+  // Ancestor chain for each file: root-most first, the file itself last
+  const chains = new Map();
+  for (const doc of documents) {
+    const chain = documents
+      .filter(other => isAncestorDirectory(other.directory, doc.directory))
+      .sort((a, b) => a.directory.length - b.directory.length);
+    chains.set(doc.file, chain);
+  }
+
+  const scopes = documents.map(doc => {
+    const chain = chains.get(doc.file);
+    const parent = chain.length > 1 ? chain[chain.length - 2] : null;
+    return {
+      directory: path.relative(root, doc.directory) || '.',
+      file: rel(doc.file),
+      parent: parent ? rel(parent.file) : null,
+      // Lowest to highest precedence (the closest file wins)
+      applies: chain.map(item => rel(item.file))
+    };
+  });
+
+  // Contradictions: a child rule that conflicts with an ancestor rule (see lib/contradictions.js)
+  const conflicts = [];
+  for (const doc of documents) {
+    const ancestors = chains.get(doc.file).slice(0, -1);
+    for (const ancestor of ancestors) {
+      const contradictions = detectContradictions([
+        { file: ancestor.file, tokens: ancestor.tokens },
+        { file: doc.file, tokens: doc.tokens }
+      ], { crossFileOnly: true });
+
+      for (const contradiction of contradictions) {
+        const parentSide = contradiction.statements.find(s => s.file === ancestor.file);
+        const childSide = contradiction.statements.find(s => s.file === doc.file);
+        if (!parentSide || !childSide) continue;
+        conflicts.push({
+          rule: contradiction.rule,
+          subject: contradiction.subject,
+          parent: { file: rel(parentSide.file), line: parentSide.line, text: parentSide.text },
+          child: { file: rel(childSide.file), line: childSide.line, text: childSide.text }
+        });
+      }
+    }
+  }
+
+  // Parent rules that every direct child restates (the child could rely on inheritance)
+  const repeatedInChildren = [];
+  for (const doc of documents) {
+    const children = documents.filter(other => {
+      const chain = chains.get(other.file);
+      return chain.length > 1 && chain[chain.length - 2] === doc;
+    });
+    if (children.length === 0) continue;
+
+    const matchesByLine = new Map();
+    for (const child of children) {
+      const pairs = findDuplicateInstructions([
+        { file: doc.file, instructions: doc.instructions },
+        { file: child.file, instructions: child.instructions }
+      ], { crossFileOnly: true, maxPairs: Infinity });
+
+      for (const pair of pairs) {
+        const [parentSide, childSide] = pair.first.file === doc.file
+          ? [pair.first, pair.second]
+          : [pair.second, pair.first];
+        const key = `${parentSide.line}:${parentSide.text}`;
+        if (!matchesByLine.has(key)) matchesByLine.set(key, { parent: parentSide, children: new Map() });
+        const entry = matchesByLine.get(key);
+        if (!entry.children.has(child.file)) entry.children.set(child.file, childSide);
+      }
+    }
+
+    for (const entry of matchesByLine.values()) {
+      if (entry.children.size !== children.length) continue;
+      repeatedInChildren.push({
+        parent: { file: rel(doc.file), line: entry.parent.line, text: entry.parent.text },
+        children: [...entry.children.values()].map(item => ({ file: rel(item.file), line: item.line, text: item.text }))
+      });
+    }
+  }
+
+  return {
+    files: documents.map(doc => rel(doc.file)),
+    scopes,
+    conflicts,
+    repeatedInChildren
+  };
+}
+
+module.exports = {
+  DEFAULT_FILENAMES,
+  discoverInstructionFiles,
+  buildScopeHierarchy
+};
@@ -0,0 +1,239 @@
+/**
+ * Unsafe-instruction scanning
+ *
+ * Agents read every file they follow as instructions, including vendored and
+ * third-party docs reached through links. This module flags content an agent
+ * could take as a command the repository's authors never gave:
+ * - HTML comments holding directives: hidden when rendered, read verbatim by agents
+ * - zero-width, bidirectional-control and Unicode tag characters, which hide or reorder text
+ * - prompt-injection phrases ("ignore previous instructions", role markup, keep-it-secret requests)
+ * - fetching and running remote code (`curl ... | sh`, `bash <(curl ...)`, "follow the steps at https://...")
+ * - turning off safety checks (`--no-verify`, `--dangerously-skip-permissions`, TLS verification, sandboxing)
+ *
+ * Every line is scanned, code blocks included: commands are where remote execution hides.
+ * Prose that warns against a command ("Never commit with `--no-verify`") is not reported.
+ */
+
+const { isNegative } = require('./redundancy');
+
+const PREVIEW_LENGTH = 80;
+
+// Comments that configure tools rather than talk to the reader
+const TOOL_COMMENT_REGEX = /^\s*(?:adr-(?:disable|enable)|markdownlint|prettier|eslint|cspell|vale|textlint|remark|lint|toc|end[ -]?toc|@format|region|endregion|(?:begin|end|start)\b)/i;
+// Comments that address an agent or demand obedience; notes to maintainers ("TODO: ...") are left alone
+const HIDDEN_DIRECTIVE_REGEX = /\b(?:(?:AI|LLMs?|assistants?|agents?|models?|Claude|GPT|Copilot|Codex|Cursor)\s*[:,]|(?:note|attention|instructions?|message)\s+(?:to|for)\s+(?:the\s+|any\s+)?(?:AI|LLMs?|assistants?|agents?|models?|bots?)\b|you (?:must|should|are|will|need to|have to)\b|(?:ignore|disregard|forget|override)\s|curl\s|wget\s|sudo\s|eval\s|rm -rf)|必ず|絶対に|無視して|(?:AI|エージェント)(?:は|へ|に)/i;
+const EMPHASIS_REGEX = /\b(?:MUST|NEVER|ALWAYS)\b/;
+
+// Zero-width, bidirectional-control and tag characters (tags spell out hidden ASCII text)
+const INVISIBLE_REGEX = /[\u00AD\u061C\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]|[\u{E0000}-\u{E007F}]/gu;
+const BIDI_REGEX = /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/u;
+const TAG_REGEX = /[\u{E0000}-\u{E007F}]/u;
+const TAG_RUN_REGEX = /[\u{E0000}-\u{E007F}]+/gu;
+// Joiners are part of emoji sequences and of many non-Latin scripts
+const JOINER_REGEX = /[\u200C\u200D]/;
+
+const OVERRIDE_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override|bypass)\s+(?:(?:all|any|the|your|these|those|every|of)\s+)*(?:previous|prior|above|earlier|preceding|original|system|existing|other)\s+(?:instructions?|prompts?|rules|directions|guidelines|context|messages?)\b/i,
+  /\bforget\s+(?:everything|all)\s+(?:you|above|before)\b/i,
+  /\byou\s+are\s+now\s+(?:a|an|DAN)\b/i,
+  /\b(?:new|updated|real|actual)\s+(?:system\s+)?instructions\s*:/i,
+  /<\|im_(?:start|end)\|>|\[\/?INST\]|<\/?system>/i,
+  /\b(?:do not|don't|never)\s+(?:tell|inform|mention|reveal|show)\s+(?:(?:this|it|anything)\s+)?(?:to\s+)?(?:the\s+)?(?:user|human|developer|reviewer)s?\b/i,
+  /\bwithout\s+(?:telling|informing|notifying)\s+(?:the\s+)?(?:user|human|developer|reviewer)s?\b/i,
+  /(?:これまで|以前|前|上記|今まで)の(?:指示|命令|ルール|指令)を(?:すべて|全て)?(?:無視|忘れ)/,
+  /ユーザーに(?:は)?(?:伝え|知らせ|言わ)ないで/
+];
+
+const REMOTE_EXECUTION_PATTERNS = [
+  // curl https://... | sh
+  /\b(?:curl|wget|iwr|irm|Invoke-WebRequest|Invoke-RestMethod)\b[^|\n]*\|\s*(?:sudo\s+(?:-\S+\s+)*)?(?:(?:ba|z|da|k|fi)?sh|python[23]?|node|perl|ruby|php|iex|Invoke-Expression|pwsh|powershell)\b/i,
+  // bash <(curl ...), sh -c "$(curl ...)", eval "$(wget ...)"
+  /(?:\b(?:ba|z)?sh|\beval|\bsource|(?:^|\s)\.)\s+(?:-c\s+)?["']?(?:<\(|\$\(|`)\s*(?:curl|wget)\b/i,
+  // iex (iwr https://...)
+  /\b(?:iex|Invoke-Expression)\s*\(\s*(?:iwr|irm|Invoke-WebRequest|Invoke-RestMethod|New-Object\s+Net\.WebClient)\b/i,
+  /\b(?:download|fetch)\s+(?:and\s+)?(?:then\s+)?(?:run|execute)\b[^.\n]*\bhttps?:\/\//i,
+  /\b(?:run|execute|source|eval(?:uate)?|follow|obey)\s+(?:the\s+)?(?:script|code|commands?|instructions?|directions|steps)\s+(?:at|from|in)\s+<?https?:\/\//i
+];
+
+const DISABLE_SAFETY_PATTERNS = [
+  /(?:^|[\s`'"])--(?:no-verify|dangerously-skip-permissions|dangerously-bypass-approvals-and-sandbox|yolo|insecure|no-check-certificate|disable-web-security|no-sandbox|skip-ssl-validation|allow-unauthenticated)\b/,
+  /\b(?:NODE_TLS_REJECT_UNAUTHORIZED\s*=\s*["']?0|PYTHONHTTPSVERIFY\s*=\s*["']?0|GIT_SSL_NO_VERIFY\s*=\s*["']?(?:1|true)|HUSKY\s*=\s*["']?0)\b/i,
+  /\bStrictHostKeyChecking[= ]no\b|\bsslVerify\s*=?\s*false\b|\bverify\s*=\s*False\b|\bsetenforce\s+0\b/i,
+  /\bchmod\s+(?:-R\s+)?(?:0?777|a\+rwx)\b/,
+  /\brm\s+-(?:rf|fr)\s+(?:\/|~|\$HOME|\*)(?=\s|$|[`'"])/,
+  /\b(?:disable|bypass|skip|turn off|circumvent|get around|work around)\s+(?:(?:all|any|the|your|every)\s+)*(?:safety|security|sandbox(?:ing)?|permissions?|approvals?|guardrails?|(?:pre-commit|git|commit)\s+hooks?|(?:ssl|tls|certificate)\s+(?:verification|checks?|validation))\b/i,
+  /(?:安全|セキュリティ|サンドボックス|権限|承認)(?:チェック|確認|機能)?を(?:無効|回避|スキップ|オフ)/
+];
+
+// "Don't forget to ..." still asks for what follows
+const AFFIRMING_NEGATION_REGEX = /\b(?:never|don't|dont|do not)\s+(?:hesitate|forget|fail|neglect)\b/i;
+// "Ignore previous instructions in the old docs" supersedes other documents, not the agent's instructions
+const SCOPED_OVERRIDE_REGEX = /^\s+(?:in|from)\s+(?:the\s+|any\s+|our\s+)?(?:(?:old|older|outdated|legacy|archived|deprecated)\s+)?(?:docs?|documentation|files?|READMEs?|wiki|guides?|pages?|versions?)\b/i;
+
+const LABELS = {
+  'hidden-directive': 'directive in a hidden HTML comment',
+  'override-instructions': 'prompt-injection phrase',
+  'remote-execution': 'runs code fetched from the network',
+  'disable-safety': 'disables a safety check'
+};
+
+function codePoint(char) {
+  return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Makes invisible characters visible, so previews cannot hide or reorder text themselves
+ */
+function reveal(text) {
+  return text
+    .replace(TAG_RUN_REGEX, run => `<hidden: "${decodeTags(run)}">`)
+    .replace(INVISIBLE_REGEX, char => `<${codePoint(char)}>`);
+}
+
+// Tag characters mirror ASCII: U+E0041 is an invisible "A"
+function decodeTags(run) {
+  return Array.from(run, char => String.fromCodePoint(char.codePointAt(0) - 0xE0000)).join('').replace(/[^\x20-\x7E]/g, '');
+}
+
+/**
+ * The trimmed line around a match, at most PREVIEW_LENGTH characters before invisible characters are revealed
+ */
+function preview(text, index) {
+  const indent = text.length - text.trimStart().length;
+  const line = text.trim();
+  if (line.length <= PREVIEW_LENGTH) return reveal(line);
+  const offset = Math.min(Math.max(0, index - indent - 20), line.length - PREVIEW_LENGTH);
+  const excerpt = line.slice(offset, offset + PREVIEW_LENGTH);
+  return `${offset > 0 ? '…' : ''}${reveal(excerpt)}${offset + PREVIEW_LENGTH < line.length ? '…' : ''}`;
+}
+
+/**
+ * HTML comments in prose, each with the line it starts on (multi-line comments are joined)
+ */
+function findHtmlComments(lines) {
+  const comments = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line.kind === 'code' || line.kind === 'frontMatter') continue;
+    let rest = line.text;
+    while (rest.length > 0) {
+      if (current) {
+        const end = rest.indexOf('-->');
+        current.text += ` ${end === -1 ? rest : rest.slice(0, end)}`;
+        if (end === -1) break;
+        comments.push(current);
+        current = null;
+        rest = rest.slice(end + 3);
+      } else {
+        const start = rest.indexOf('<!--');
+        if (start === -1) break;
+        current = { line: line.lineNumber, text: '' };
+        rest = rest.slice(start + 4);
+        const end = rest.indexOf('-->');
+        current.text = end === -1 ? rest : rest.slice(0, end);
+        if (end === -1) break;
+        comments.push(current);
+        current = null;
+        rest = rest.slice(end + 3);
+      }
+    }
+  }
+  if (current) comments.push(current);
+  return comments;
+}
+
+/**
+ * Tells whether a match in prose is negated earlier in its clause ("Do not disable the hooks")
+ */
+function isNegated(text, index) {
+  const clause = text.slice(0, index).split(/[.!?;:,](?=\s|$)|\bbut\b/i).pop();
+  return isNegative(clause) && !AFFIRMING_NEGATION_REGEX.test(clause);
+}
+
+/**
+ * The first match of a pattern, skipping prose that warns against it or only supersedes other documents
+ */
+function findUnsafeMatch(text, pattern, type, prose) {
+  for (const match of text.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))) {
+    if (prose && isNegated(text, match.index)) continue;
+    if (prose && type === 'override-instructions' && SCOPED_OVERRIDE_REGEX.test(text.slice(match.index + match[0].length))) continue;
+    return match;
+  }
+  return null;
+}
+
+/**
+ * Invisible characters on a line, except a leading byte order mark and joiners inside emoji or non-Latin words
+ */
+function findInvisibleCharacters(text, lineNumber) {
+  const chars = [];
+  for (const match of text.matchAll(INVISIBLE_REGEX)) {
+    const char = match[0];
+    if (char === '\uFEFF' && lineNumber === 1 && match.index === 0) continue;
+    if (JOINER_REGEX.test(char)) {
+      const before = text.slice(0, match.index);
+      const after = text.slice(match.index + 1);
+      // Any non-ASCII neighbour: emoji, Persian, Indic scripts
+      if (/[^\x00-\x7F]$/.test(before) || /^[^\x00-\x7F]/.test(after)) continue;
+    }
+    chars.push({ char, index: match.index });
+  }
+  return chars;
+}
+
+/**
+ * Finds content that agents could misread as instructions
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @param {Object} options - { allowed: string[] } lines containing any of these texts are not reported
+ *                           (e.g. an install command the team trusts)
+ * @returns {Array} [{ line, type, label, preview }] in line order; type is one of
+ *                  'hidden-directive', 'invisible-character', 'override-instructions', 'remote-execution', 'disable-safety'
+ */
+function scanUnsafeInstructions(tokens, options = {}) {
+  const { allowed = [] } = options;
+  const isAllowed = text => allowed.some(item => item && text.includes(item));
+  const findings = [];
+
+  for (const comment of findHtmlComments(tokens.lines)) {
+    if (TOOL_COMMENT_REGEX.test(comment.text) || isAllowed(comment.text)) continue;
+    if (!HIDDEN_DIRECTIVE_REGEX.test(comment.text) && !EMPHASIS_REGEX.test(comment.text)) continue;
+    findings.push({ line: comment.line, type: 'hidden-directive', label: LABELS['hidden-directive'], preview: preview(`<!--${comment.text}-->`, 0) });
+  }
+
+  for (const line of tokens.lines) {
+    const text = line.text;
+    if (text.trim().length === 0 || isAllowed(text)) continue;
+
+    const invisible = findInvisibleCharacters(text, line.lineNumber);
+    if (invisible.length > 0) {
+      const kinds = invisible.map(item => item.char);
+      const codes = Array.from(new Set(kinds.map(codePoint))).join(', ');
+      const label = kinds.some(char => TAG_REGEX.test(char))
+        ? 'Unicode tag characters (hidden text)'
+        : `${kinds.some(char => BIDI_REGEX.test(char)) ? 'bidirectional control character' : 'zero-width character'} (${codes})`;
+      findings.push({ line: line.lineNumber, type: 'invisible-character', label, preview: preview(text, invisible[0].index) });
+    }
+
+    // Matched against the line as an agent reads it, invisible characters removed
+    const visible = text.replace(INVISIBLE_REGEX, '');
+    for (const [type, patterns] of [
+      ['override-instructions', OVERRIDE_PATTERNS],
+      ['remote-execution', REMOTE_EXECUTION_PATTERNS],
+      ['disable-safety', DISABLE_SAFETY_PATTERNS]
+    ]) {
+      for (const pattern of patterns) {
+        const match = findUnsafeMatch(visible, pattern, type, line.kind === 'text');
+        if (!match) continue;
+        findings.push({ line: line.lineNumber, type, label: LABELS[type], preview: preview(visible, match.index) });
+        break;
+      }
+    }
+  }
+
+  return findings.sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  scanUnsafeInstructions
+};
@@ -0,0 +1,146 @@
+/**
+ * Script-aware text measures (no external dependencies)
+ *
+ * Japanese and Chinese are written without spaces between words, so splitting
+ * on whitespace counts a whole CJK sentence as one "word" and \w-based phrase
+ * matching never sees it. CJK text is measured per character instead:
+ * - Word count: every Han, Kana or Hangul character counts as one word
+ * - Repeated phrases: character n-grams with a Han or Hangul character, grown
+ *   to the longest repeated run
+ * - Language: Japanese when Kana is present and CJK characters outnumber Latin words
+ */
+
+const CJK_LETTER_REGEX = /[\u3041-\u3096\u309d-\u309f\u30a1-\u30fa\u30fc-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/;
+const CJK_LETTERS_REGEX = new RegExp(CJK_LETTER_REGEX.source, 'g');
+const CJK_RUN_REGEX = new RegExp(`${CJK_LETTER_REGEX.source}+`, 'g');
+const KANA_REGEX = /[\u3041-\u3096\u30a1-\u30fa]/g;
+// CJK and fullwidth punctuation separate words like whitespace does
+const CJK_PUNCTUATION_REGEX = /[\u3000-\u303f\u30fb\uff01-\uff0f\uff1a-\uff20\uff3b-\uff40\uff5b-\uff65]/g;
+// Kana-only grams are particles, verb endings or single loanwords ("してください", "ドキュメントを")
+const HAN_OR_HANGUL_REGEX = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/;
+
+const LANGUAGES = ['en', 'ja'];
+
+// Shortest CJK phrase reported as repeated: about three words, like the Latin word trigrams
+const CJK_PHRASE_LENGTH = 6;
+
+/**
+ * Counts words: whitespace-separated words plus one per CJK character
+ * @param {string} text - Text to count
+ * @returns {number} Word count (equals a whitespace split for text without CJK characters)
+ */
+function countWords(text) {
+  const cjk = (text.match(CJK_LETTERS_REGEX) || []).length;
+  const rest = text.replace(CJK_LETTERS_REGEX, ' ').replace(CJK_PUNCTUATION_REGEX, ' ');
+  return cjk + (rest.match(/\S+/g) || []).length;
+}
+
+/**
+ * Guesses the language of a document's prose
+ * @param {string} text - Prose (code blocks excluded)
+ * @returns {string} 'ja' or 'en'
+ */
+function detectLanguage(text) {
+  const kana = (text.match(KANA_REGEX) || []).length;
+  if (kana === 0) return 'en';
+  const cjk = (text.match(CJK_LETTERS_REGEX) || []).length;
+  const latinWords = (text.match(/[A-Za-z]+/g) || []).length;
+  return cjk >= latinWords ? 'ja' : 'en';
+}
+
+function occurrences(text, phrase) {
+  const positions = [];
+  for (let index = text.indexOf(phrase); index !== -1; index = text.indexOf(phrase, index + 1)) {
+    positions.push(index);
+  }
+  return positions;
+}
+
+/**
+ * Grows a repeated n-gram while every occurrence continues with the same CJK character
+ */
+function extendPhrase(text, phrase) {
+  let positions = occurrences(text, phrase);
+  for (;;) {
+    const next = positions.map(index => text[index + phrase.length]);
+    if (next.every(char => char && char === next[0] && CJK_LETTER_REGEX.test(char))) {
+      phrase += next[0];
+      continue;
+    }
+    const previous = positions.map(index => text[index - 1]);
+    if (previous.every(char => char && char === previous[0] && CJK_LETTER_REGEX.test(char))) {
+      phrase = previous[0] + phrase;
+      positions = positions.map(index => index - 1);
+      continue;
+    }
+    return { phrase, count: positions.length };
+  }
+}
+
+/**
+ * Finds CJK phrases that occur at least minCount times
+ * Overlapping n-grams of one repeated sentence are reported once, as the longest repeated run.
+ */
+function findRepeatedCjkPhrases(text, minCount) {
+  const runs = (text.match(CJK_RUN_REGEX) || []).filter(run => run.length >= CJK_PHRASE_LENGTH);
+  const gramCount = new Map();
+  for (const run of runs) {
+    for (let start = 0; start + CJK_PHRASE_LENGTH <= run.length; start++) {
+      const gram = run.slice(start, start + CJK_PHRASE_LENGTH);
+      if (!HAN_OR_HANGUL_REGEX.test(gram)) continue;
+      gramCount.set(gram, (gramCount.get(gram) || 0) + 1);
+    }
+  }
+
+  const joined = runs.join('\n');
+  const phrases = [];
+  const candidates = [...gramCount.entries()]
+    .filter(([_, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1]);
+  for (const [gram] of candidates) {
+    if (phrases.some(item => item.phrase.includes(gram))) continue;
+    phrases.push(extendPhrase(joined, gram));
+  }
+  return phrases;
+}
+
+/**
+ * Finds phrases repeated across a document: Latin word trigrams and CJK character n-grams
+ * @param {string} text - Prose (code blocks excluded)
+ * @param {Object} options - { minCount: number, limit: number }
+ * @returns {Array} [{ phrase, count }] most frequent first
+ */
+function findRepeatedPhrases(text, options = {}) {
+  const { minCount = 3, limit = 5 } = options;
+  const phraseCount = {};
+  (text.match(/\b\w+\s+\w+\s+\w+\b/g) || []).forEach(phrase => {
+    const normalized = phrase.toLowerCase();
+    phraseCount[normalized] = (phraseCount[normalized] || 0) + 1;
+  });
+
+  return Object.entries(phraseCount)
+    .filter(([_, count]) => count >= minCount)
+    .map(([phrase, count]) => ({ phrase, count }))
+    .concat(findRepeatedCjkPhrases(text, minCount))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+/**
+ * Matches a phrase of findRepeatedPhrases() in text, across any whitespace and letter case
+ */
+function phrasePattern(phrase) {
+  const words = phrase.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const boundary = /^\w/.test(phrase) ? '\\b' : '';
+  return new RegExp(`${boundary}${words.join('\\s+')}${boundary}`, 'gi');
+}
+
+module.exports = {
+  CJK_LETTER_REGEX,
+  CJK_RUN_REGEX,
+  LANGUAGES,
+  countWords,
+  detectLanguage,
+  findRepeatedPhrases,
+  phrasePattern
+};
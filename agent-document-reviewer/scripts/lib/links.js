@@ -0,0 +1,247 @@
+/**
+ * Link quality and link graph analysis
+ *
+ * An agent decides whether to open a linked document from the link text and
+ * the sentence around it. Each internal link is scored on two things: whether
+ * its text says what the target is ("here", "this", `OTHER.md` do not), and
+ * whether the surrounding sentence says when to follow it ("For database
+ * migrations, see ..."). The link graph collected by analyzeWithLinks can be
+ * exported as JSON, Mermaid or DOT, with fan-out, orphans and cycles.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { stripInlineMarkup } = require('./redundancy');
+const { toPosixPath } = require('./glob');
+
+const VAGUE_TEXT = new Set([
+  'here', 'click here', 'this', 'this file', 'this doc', 'this document', 'this page', 'that', 'link', 'this link',
+  'more', 'more info', 'more information', 'read more', 'details', 'see', 'see here', 'see more', 'docs',
+  'documentation', 'other', 'file', 'page', 'ここ', 'こちら', 'このファイル', '詳細'
+]);
+// File names that say nothing about their content
+const GENERIC_NAMES = new Set(['other', 'details', 'more', 'misc', 'notes', 'info', 'stuff', 'doc', 'docs', 'file', 'readme', 'index']);
+
+// "For X, see", "When writing Y, consult", "If Z fails, read"
+const TRIGGER_BEFORE_REGEX = /\b(?:for|when|whenever|before|after|if|while|to)\b\s+\S+[^.!?]*$/i;
+// "[API.md](API.md) - when adding endpoints", "... for authentication patterns"
+const TRIGGER_AFTER_REGEX = /^[^.!?]*?\b(?:for|when|whenever|before|after|if|while|covers|explains|describes|contains|lists|documents)\b\s+\S+/i;
+const DESCRIPTION_AFTER_REGEX = /^\s*(?:[-–—:]|\)\s*[-–—:])\s*\S+(?:\s+\S+){2,}/;
+const JAPANESE_TRIGGER_REGEX = /(場合|とき|時は|際は|際に|前に|後に|ときは|については|に関しては)/;
+
+const MAX_CYCLES = 20;
+
+function isVagueText(text) {
+  const normalized = text.trim().toLowerCase().replace(/[.:!]+$/, '');
+  if (!normalized || VAGUE_TEXT.has(normalized)) return true;
+
+  // Link text that is just a generic file name (OTHER.md, details.md)
+  return GENERIC_NAMES.has(normalized.replace(/\.\w+$/, ''));
+}
+
+/**
+ * Scores each internal link on descriptive text and a "when to read" trigger
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @param {Function} isInternal - Returns true for links to local documents
+ * @returns {Object} { score, links: [{ lineNumber, text, url, descriptiveText, trigger, score }] }
+ */
+function assessLinkQuality(tokens, isInternal) {
+  const lineByNumber = new Map(tokens.lines.map(line => [line.lineNumber, line]));
+  const links = [];
+
+  for (const link of tokens.links) {
+    if (link.image || !isInternal(link.url)) continue;
+
+    const prose = lineByNumber.get(link.lineNumber).prose;
+    const before = stripInlineMarkup(prose.slice(0, link.column));
+    const after = stripInlineMarkup(prose.slice(link.column).replace(/^!?\[[^\]]*\](?:\([^)]*\)|\[[^\]]*\])?/, ''));
+    // Only the sentence containing the link counts as its context
+    const sentenceBefore = before.split(/(?<=[.!?])\s+/).pop();
+    const sentenceAfter = after.split(/(?<=[.!?])\s+/)[0];
+
+    // link.text comes from masked prose; code spans in it are blank
+    const text = prose.slice(link.column + 1, link.column + 1 + link.text.length);
+    const descriptiveText = !isVagueText(text.replace(/`/g, ''));
+    const trigger = TRIGGER_BEFORE_REGEX.test(sentenceBefore) ||
+      TRIGGER_AFTER_REGEX.test(sentenceAfter) ||
+      DESCRIPTION_AFTER_REGEX.test(sentenceAfter) ||
+      JAPANESE_TRIGGER_REGEX.test(`${sentenceBefore} ${sentenceAfter}`);
+
+    links.push({
+      lineNumber: link.lineNumber,
+      text,
+      url: link.url,
+      descriptiveText,
+      trigger,
+      score: (descriptiveText ? 1 : 0) + (trigger ? 1 : 0)
+    });
+  }
+
+  const total = links.reduce((sum, link) => sum + link.score, 0);
+  return {
+    score: links.length > 0 ? Math.round(total / (links.length * 2) * 10) : null,
+    links
+  };
+}
+
+/**
+ * Finds cycles in a directed graph (each reported once, starting from its smallest node)
+ */
+function findCycles(nodeIds, edges) {
+  const adjacency = new Map(nodeIds.map(id => [id, []]));
+  for (const edge of edges) {
+    if (adjacency.has(edge.from) && adjacency.has(edge.to) && !adjacency.get(edge.from).includes(edge.to)) {
+      adjacency.get(edge.from).push(edge.to);
+    }
+  }
+
+  const cycles = [];
+  const seen = new Set();
+  const stack = [];
+  const onStack = new Set();
+  const done = new Set();
+
+  const visit = node => {
+    stack.push(node);
+    onStack.add(node);
+    for (const next of adjacency.get(node)) {
+      if (cycles.length >= MAX_CYCLES) break;
+      if (onStack.has(next)) {
+        const cycle = stack.slice(stack.indexOf(next));
+        const start = cycle.indexOf([...cycle].sort()[0]);
+        const rotated = [...cycle.slice(start), ...cycle.slice(0, start)];
+        const key = rotated.join('\n');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push([...rotated, rotated[0]]);
+        }
+      } else if (!done.has(next)) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    onStack.delete(node);
+    done.add(node);
+  };
+
+  for (const id of nodeIds) {
+    if (!done.has(id)) visit(id);
+  }
+  return cycles;
+}
+
+/**
+ * Builds the link graph from analyzeWithLinks results
+ * @param {Object} linkedAnalysis - { analyzed, notFound, edges } from analyzeWithLinks()
+ * @param {string} rootDir - Sandbox root (node ids are relative to it)
+ * @param {string[]} entryPoints - Absolute paths of the entry points
+ * @returns {Object} { nodes, edges, orphans, cycles }
+ */
+function buildLinkGraph(linkedAnalysis, rootDir, entryPoints) {
+  const root = path.resolve(rootDir);
+  const id = filePath => toPosixPath(path.relative(root, filePath)) || path.basename(filePath);
+  const entrySet = new Set(entryPoints.map(filePath => path.resolve(filePath)));
+  const analyzedPaths = new Set(linkedAnalysis.analyzed.map(item => item.fullPath));
+  const notFound = new Set(linkedAnalysis.notFound);
+
+  const edgeKeys = new Set();
+  const edges = [];
+  for (const edge of linkedAnalysis.edges) {
+    const key = `${edge.from}\n${edge.to}\n${edge.line}`;
+    if (edgeKeys.has(key)) continue;
+    edgeKeys.add(key);
+    edges.push({ from: id(edge.from), to: id(edge.to), line: edge.line, type: edge.type });
+  }
+
+  const nodes = linkedAnalysis.analyzed.map(item => ({
+    id: id(item.fullPath),
+    depth: item.depth,
+    status: 'analyzed',
+    entryPoint: entrySet.has(item.fullPath)
+  }));
+  // Link targets that were not analyzed (missing, or beyond --max-depth / --max-count)
+  for (const edge of linkedAnalysis.edges) {
+    if (analyzedPaths.has(edge.to) || nodes.some(node => node.id === id(edge.to))) continue;
+    nodes.push({ id: id(edge.to), depth: null, status: notFound.has(edge.to) ? 'not-found' : 'not-analyzed', entryPoint: false });
+  }
+
+  for (const node of nodes) {
+    // Distinct documents, not link occurrences
+    node.fanOut = new Set(edges.filter(edge => edge.from === node.id).map(edge => edge.to)).size;
+    node.fanIn = new Set(edges.filter(edge => edge.to === node.id).map(edge => edge.from)).size;
+  }
+
+  // Orphans: Markdown files next to linked documents that nothing links to
+  const linkedDirectories = new Set(linkedAnalysis.analyzed
+    .filter(item => !entrySet.has(item.fullPath))
+    .map(item => path.dirname(item.fullPath)));
+  const orphans = [];
+  for (const directory of linkedDirectories) {
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (!entry.isFile() || !/\.mdx?$/i.test(entry.name)) continue;
+      const filePath = path.join(directory, entry.name);
+      if (!analyzedPaths.has(filePath) && !linkedAnalysis.edges.some(edge => edge.to === filePath)) {
+        orphans.push(id(filePath));
+      }
+    }
+  }
+
+  return {
+    nodes,
+    edges,
+    orphans: orphans.sort(),
+    cycles: findCycles(nodes.map(node => node.id), edges)
+  };
+}
+
+/**
+ * Renders a link graph as a Mermaid flowchart
+ */
+function toMermaid(graph) {
+  const names = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+  const lines = ['graph TD'];
+
+  for (const node of graph.nodes) {
+    const label = node.depth === null ? `${node.id} (${node.status})` : `${node.id} (depth ${node.depth})`;
+    lines.push(`  ${names.get(node.id)}["${label.replace(/"/g, '#quot;')}"]`);
+  }
+  for (const edge of graph.edges) {
+    const arrow = edge.type === 'import' ? '-.->' : '-->';
+    lines.push(`  ${names.get(edge.from)} ${arrow}|L${edge.line}| ${names.get(edge.to)}`);
+  }
+
+  const missing = graph.nodes.filter(node => node.status === 'not-found').map(node => names.get(node.id));
+  if (missing.length > 0) {
+    lines.push('  classDef missing stroke:#d33,stroke-dasharray:4');
+    lines.push(`  class ${missing.join(',')} missing`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders a link graph in Graphviz DOT format
+ */
+function toDot(graph) {
+  const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = ['digraph links {', '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of graph.nodes) {
+    const label = node.depth === null ? `${node.id}\\n${node.status}` : `${node.id}\\ndepth ${node.depth}`;
+    const style = node.status === 'not-found' ? ', style=dashed, color=red' : node.entryPoint ? ', style=bold' : '';
+    lines.push(`  ${quote(node.id)} [label="${label.replace(/"/g, '\\"')}"${style}];`);
+  }
+  for (const edge of graph.edges) {
+    const style = edge.type === 'import' ? ', style=dashed' : '';
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [label="L${edge.line}"${style}];`);
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  assessLinkQuality,
+  buildLinkGraph,
+  toMermaid,
+  toDot
+};
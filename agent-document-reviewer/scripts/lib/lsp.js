@@ -0,0 +1,503 @@
+/**
+ * Language server over stdio (--lsp)
+ *
+ * Speaks the Language Server Protocol (JSON-RPC 2.0 with Content-Length headers)
+ * without dependencies. Open documents are analyzed with the content the editor
+ * holds, and the results are published as:
+ * - diagnostics for every finding, narrowed to the link or reference it is about,
+ *   (a repeated phrase at each of its occurrences)
+ * - a code lens and hover on the first heading with the score and estimated tokens
+ * - code actions that apply the safe rewrites of lib/fixes.js (--fix), per line or all at once
+ */
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { parseMarkdown } = require('./cache');
+const { computeFixes } = require('./fixes');
+const { createRepoIndex } = require('./references');
+const { isWithinRoot } = require('./glob');
+const { createTranslator } = require('./messages');
+const { phrasePattern } = require('./language');
+
+const SERVER_INFO = { name: 'agent-document-reviewer', version: '1.0.0' };
+const SOURCE = 'agent-document-reviewer';
+// Typing pauses this long before a changed document is re-analyzed
+const CHANGE_DELAY_MS = 200;
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+const SERVER_NOT_INITIALIZED = -32002;
+
+const SEVERITY = { error: 1, warning: 2, information: 3 };
+// lib/fixes.js rewrites and the rule whose findings each one resolves
+const FIX_RULES = { 'anchor-links': 'anchor-links', 'heading-depth': 'heading-depth', 'duplicate-bullets': 'duplicate-instructions' };
+
+function uriToPath(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith('file:')) return null;
+  try {
+    return fileURLToPath(uri);
+  } catch {
+    return null;
+  }
+}
+
+function range(line, start, end) {
+  return { start: { line, character: start }, end: { line, character: end } };
+}
+
+// The line without its indentation and trailing spaces
+function lineRange(lineIndex, text) {
+  const start = text.search(/\S/);
+  return start === -1 ? range(lineIndex, 0, 0) : range(lineIndex, start, text.trimEnd().length);
+}
+
+function isAnchor(url) {
+  return url.trim().replace(/^</, '').startsWith('#');
+}
+
+// Link columns index the prose, which drops inline HTML comments
+function linkSpan(line, link) {
+  if (line.prose === line.text) return [link.column, link.endColumn];
+  const start = line.text.indexOf(link.url);
+  return start === -1 ? null : [start, start + link.url.length];
+}
+
+/**
+ * Spans on a finding's line that it may be about, in document order
+ * @returns {Array} [[start, end]]; empty when the finding is about the whole line
+ */
+function candidateSpans(finding, line, tokens, metrics) {
+  const links = tokens.links.filter(link => link.lineNumber === line.lineNumber && !link.image);
+  if (finding.rule === 'anchor-links') {
+    return links.filter(link => isAnchor(link.url)).map(link => linkSpan(line, link)).filter(Boolean);
+  }
+  if (finding.rule === 'link-quality') {
+    const mentioned = links.filter(link => finding.message.includes(link.url) || finding.message.includes(`"${link.text}"`));
+    return (mentioned.length > 0 ? mentioned : links).map(link => linkSpan(line, link)).filter(Boolean);
+  }
+  if (finding.rule === 'stale-references') {
+    return (metrics.staleReferences || [])
+      .filter(item => item.line === finding.line && finding.message.includes(item.reference))
+      .map(item => {
+        const start = line.text.indexOf(item.reference);
+        return start === -1 ? null : [start, start + item.reference.length];
+      })
+      .filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Converts an analysis into diagnostics
+ * @param {Object} analysis - { metrics, evaluation, rules } from analyzeEditorDocument()
+ * @param {Object} tokens - parseMarkdown() result of the analyzed content
+ * @param {Function} t - createTranslator() result
+ * @returns {Array} LSP Diagnostic objects
+ */
+function toDiagnostics(analysis, tokens, t) {
+  const { metrics, evaluation } = analysis;
+  const lastLine = Math.max(tokens.lines.length - 1, 0);
+  const diagnostics = [];
+
+  // Several findings of one rule on a line (two anchor links) take its spans in order
+  const seen = new Map();
+  for (const finding of evaluation.findings) {
+    // Marked at each occurrence below instead of the first one only
+    if (finding.rule === 'repeated-phrases') continue;
+    const lineIndex = Math.min(Math.max(finding.line - 1, 0), lastLine);
+    const line = tokens.lines[lineIndex] || { lineNumber: 1, text: '', prose: '' };
+    const key = `${finding.rule}:${lineIndex}`;
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+
+    const spans = candidateSpans(finding, line, tokens, metrics);
+    const span = spans[Math.min(occurrence, spans.length - 1)];
+    diagnostics.push({
+      range: span ? range(lineIndex, span[0], span[1]) : lineRange(lineIndex, line.text),
+      severity: SEVERITY[finding.severity] || SEVERITY.warning,
+      code: finding.rule,
+      source: SOURCE,
+      message: finding.message
+    });
+  }
+
+  // Each occurrence of a repeated phrase that sits on one line, when the rule is on
+  const repeated = evaluation.findings.find(finding => finding.rule === 'repeated-phrases');
+  for (const item of repeated ? metrics.redundancyIndicators : []) {
+    const pattern = phrasePattern(item.phrase);
+    const message = t('repeatedPhrase', item);
+    for (const line of tokens.lines) {
+      if (line.kind !== 'text' || line.prose !== line.text) continue;
+      for (const match of line.text.matchAll(pattern)) {
+        diagnostics.push({
+          range: range(line.lineNumber - 1, match.index, match.index + match[0].length),
+          severity: SEVERITY[repeated.severity],
+          code: 'repeated-phrases',
+          source: SOURCE,
+          message
+        });
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+// Line of the first heading (or the first line), where the score is shown
+function summaryLine(tokens) {
+  return tokens.headings.length > 0 ? tokens.headings[0].lineNumber - 1 : 0;
+}
+
+function summaryTexts(analysis, t, byTokens) {
+  const { metrics, evaluation } = analysis;
+  const { scores, findings } = evaluation;
+  return {
+    title: t('scoreLens', {
+      score: scores.overall,
+      tokens: metrics.estimatedTokens,
+      errors: findings.filter(finding => finding.severity === 'error').length,
+      warnings: findings.filter(finding => finding.severity === 'warning').length
+    }),
+    breakdown: t('scoreBreakdown', {
+      byTokens,
+      length: byTokens ? scores.tokenCount : scores.lineCount,
+      structure: scores.structure,
+      disclosure: scores.progressiveDisclosure
+    })
+  };
+}
+
+/**
+ * Text edit that gives one line its fixed content
+ * @param {string[]} lines - Original lines
+ * @param {number} lineIndex - 0-based line
+ * @param {string|null} after - Fixed line, or null to delete it
+ */
+function lineEdit(lines, lineIndex, after) {
+  if (after !== null) return { range: range(lineIndex, 0, lines[lineIndex].length), newText: after };
+  if (lineIndex + 1 < lines.length || lineIndex === 0) {
+    return { range: { start: { line: lineIndex, character: 0 }, end: { line: lineIndex + 1, character: 0 } }, newText: '' };
+  }
+  // The last line has no line break of its own; take the one before it
+  return { range: { start: { line: lineIndex - 1, character: lines[lineIndex - 1].length }, end: { line: lineIndex, character: lines[lineIndex].length } }, newText: '' };
+}
+
+function fixTitle(change, t) {
+  if (change.after === null) return t('fixRemoveLine', { line: change.line });
+  return change.rule === 'heading-depth' ? t('fixHeadingDepth') : t('fixAnchorLinks');
+}
+
+/**
+ * Code actions from the rewrites of computeFixes() on the requested lines, plus one that applies them all
+ * @param {Object} params - CodeActionParams
+ * @param {string} content - Document content
+ * @param {Function} t - createTranslator() result
+ * @param {Object} options - { maxHeadingDepth } the heading-depth rule's max for this document
+ * @returns {Array} LSP CodeAction objects
+ */
+function toCodeActions(params, content, t, options = {}) {
+  const fixes = computeFixes(content, options);
+  if (fixes.changes.length === 0) return [];
+
+  const uri = params.textDocument.uri;
+  const original = content.split(/\r?\n/);
+  // A line rewritten by two fixes (an anchor link in a deep heading) gets its final content in one edit
+  const byLine = new Map();
+  for (const change of fixes.changes) byLine.set(change.line - 1, change);
+
+  const { start, end } = params.range;
+  const context = params.context || {};
+  const diagnostics = context.diagnostics || [];
+  const actions = [];
+  for (const [lineIndex, change] of byLine) {
+    if (lineIndex < start.line || lineIndex > end.line) continue;
+    const after = fixes.lines[lineIndex];
+    actions.push({
+      title: fixTitle({ ...change, after }, t),
+      kind: 'quickfix',
+      diagnostics: diagnostics.filter(diagnostic => diagnostic.range.start.line === lineIndex &&
+        fixes.changes.some(item => item.line - 1 === lineIndex && FIX_RULES[item.rule] === diagnostic.code)),
+      isPreferred: true,
+      edit: { changes: { [uri]: [lineEdit(original, lineIndex, after)] } }
+    });
+  }
+
+  const lastLine = original.length - 1;
+  actions.push({
+    title: t('fixAll', { count: fixes.changes.length }),
+    kind: 'source.fixAll',
+    // One edit for the whole document: per-line deletions at its end would overlap
+    edit: { changes: { [uri]: [{ range: { start: { line: 0, character: 0 }, end: { line: lastLine, character: original[lastLine].length } }, newText: fixes.content }] } }
+  });
+
+  const only = context.only;
+  if (!Array.isArray(only)) return actions;
+  return actions.filter(action => only.some(kind => action.kind === kind || action.kind.startsWith(`${kind}.`)));
+}
+
+/**
+ * Creates the server state and message handler, independent of the transport
+ * @param {Object} options - { analyze: analyzeEditorDocument(filePath, content, options) from analyze_document.js },
+ *                           { rootDir } sandbox (default: the client's workspace folder),
+ *                           { noSymlinks, config, tokenBudget, lang } from the command line,
+ *                           { send(message) } writes one message to the client, { exit(code) }
+ * @returns {Function} (message) => void
+ */
+function createLanguageServer(options) {
+  const { analyze, send, exit, noSymlinks = false, config = null, tokenBudget = null, lang = null } = options;
+  let rootDir = options.rootDir || null;
+  let repo = null;
+  let initialized = false;
+  let shutdown = false;
+  // uri -> { filePath, text, version, analysis, tokens }
+  const documents = new Map();
+  const timers = new Map();
+
+  const respond = (id, result) => send({ jsonrpc: '2.0', id, result });
+  const fail = (id, code, message) => send({ jsonrpc: '2.0', id, error: { code, message } });
+  const notify = (method, params) => send({ jsonrpc: '2.0', method, params });
+  const log = message => notify('window/logMessage', { type: 1, message });
+
+  const documentPath = uri => uriToPath(uri) || path.join(rootDir || process.cwd(), 'untitled.md');
+  const isOpen = filePath => [...documents.values()].some(doc => doc.filePath === filePath);
+
+  const refresh = uri => {
+    clearTimeout(timers.get(uri));
+    timers.delete(uri);
+    const doc = documents.get(uri);
+    if (!doc) return;
+
+    // Documents outside the root are analyzed on their own, without following links out of it
+    const inRoot = rootDir && isWithinRoot(doc.filePath, rootDir);
+    if (inRoot && !repo) repo = createRepoIndex(rootDir, { noSymlinks });
+    doc.tokens = parseMarkdown(doc.text);
+    let diagnostics;
+    try {
+      doc.analysis = analyze(doc.filePath, doc.text, {
+        rootDir: inRoot ? rootDir : null,
+        repo: inRoot ? repo : null,
+        config,
+        tokenBudget,
+        lang,
+        isOpen
+      });
+      diagnostics = toDiagnostics(doc.analysis, doc.tokens, createTranslator(lang || doc.analysis.metrics.language));
+    } catch (error) {
+      doc.analysis = null;
+      log(`${doc.filePath}: ${error.stack || error.message}`);
+      diagnostics = [{
+        range: range(0, 0, 0),
+        severity: SEVERITY.error,
+        source: SOURCE,
+        message: createTranslator(lang)('analysisFailed', { message: error.message })
+      }];
+    }
+    notify('textDocument/publishDiagnostics', { uri, version: doc.version, diagnostics });
+  };
+
+  const schedule = uri => {
+    clearTimeout(timers.get(uri));
+    timers.set(uri, setTimeout(() => refresh(uri), CHANGE_DELAY_MS));
+  };
+
+  // Opening, closing or saving one document can resolve or break links in the others
+  const refreshOthers = uri => {
+    for (const other of documents.keys()) {
+      if (other !== uri) schedule(other);
+    }
+  };
+
+  const translatorFor = doc => createTranslator(lang || (doc.analysis ? doc.analysis.metrics.language : 'en'));
+
+  const requests = {
+    initialize: params => {
+      if (!rootDir) {
+        const folders = params.workspaceFolders || [];
+        rootDir = uriToPath(params.rootUri) || (folders.length > 0 ? uriToPath(folders[0].uri) : null) || params.rootPath || null;
+      }
+      initialized = true;
+      return {
+        capabilities: {
+          textDocumentSync: { openClose: true, change: 1, save: { includeText: false } },
+          hoverProvider: true,
+          codeLensProvider: { resolveProvider: false },
+          codeActionProvider: { codeActionKinds: ['quickfix', 'source.fixAll'] }
+        },
+        serverInfo: SERVER_INFO
+      };
+    },
+    shutdown: () => {
+      shutdown = true;
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      return null;
+    },
+    'textDocument/hover': params => {
+      const doc = documents.get(params.textDocument.uri);
+      if (!doc || !doc.analysis || params.position.line !== summaryLine(doc.tokens)) return null;
+      const texts = summaryTexts(doc.analysis, translatorFor(doc), !!tokenBudget);
+      return { contents: { kind: 'markdown', value: `**${texts.title}**\n\n${texts.breakdown}` } };
+    },
+    'textDocument/codeLens': params => {
+      const doc = documents.get(params.textDocument.uri);
+      if (!doc || !doc.analysis) return [];
+      const line = summaryLine(doc.tokens);
+      const texts = summaryTexts(doc.analysis, translatorFor(doc), !!tokenBudget);
+      // No command id: the lens is a label, not a button
+      return [{ range: range(line, 0, 0), command: { title: texts.title, command: '' } }];
+    },
+    'textDocument/codeAction': params => {
+      const doc = documents.get(params.textDocument.uri);
+      if (!doc) return [];
+      // Without an analysis the rewrites fall back to the default heading-depth max
+      const options = doc.analysis ? { maxHeadingDepth: doc.analysis.rules.rules['heading-depth'].options.max } : {};
+      return toCodeActions(params, doc.text, translatorFor(doc), options);
+    }
+  };
+
+  const notifications = {
+    initialized: () => {},
+    exit: () => exit(shutdown ? 0 : 1),
+    'textDocument/didOpen': params => {
+      const { uri, text, version } = params.textDocument;
+      documents.set(uri, { filePath: documentPath(uri), text, version, analysis: null, tokens: null });
+      refresh(uri);
+      refreshOthers(uri);
+    },
+    'textDocument/didChange': params => {
+      const doc = documents.get(params.textDocument.uri);
+      const changes = params.contentChanges || [];
+      if (!doc || changes.length === 0) return;
+      // Full sync: the last change holds the whole document
+      doc.text = changes[changes.length - 1].text;
+      doc.version = params.textDocument.version;
+      schedule(params.textDocument.uri);
+    },
+    'textDocument/didSave': params => {
+      // Saved files can satisfy stale references in other documents
+      repo = null;
+      if (documents.has(params.textDocument.uri)) refresh(params.textDocument.uri);
+      refreshOthers(params.textDocument.uri);
+    },
+    'textDocument/didClose': params => {
+      const uri = params.textDocument.uri;
+      clearTimeout(timers.get(uri));
+      timers.delete(uri);
+      documents.delete(uri);
+      notify('textDocument/publishDiagnostics', { uri, diagnostics: [] });
+      refreshOthers(uri);
+    },
+    'workspace/didChangeWatchedFiles': () => {
+      repo = null;
+      refreshOthers(null);
+    }
+  };
+
+  return message => {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      fail(null, INVALID_REQUEST, 'Invalid Request');
+      return;
+    }
+    // Responses to requests this server never sends
+    if (typeof message.method !== 'string') return;
+
+    const isRequest = message.id !== undefined && message.id !== null;
+    const params = message.params || {};
+    if (!isRequest) {
+      const handler = notifications[message.method];
+      if (handler && (initialized || message.method === 'exit')) {
+        try {
+          handler(params);
+        } catch (error) {
+          log(`${message.method}: ${error.stack || error.message}`);
+        }
+      }
+      return;
+    }
+
+    if (!initialized && message.method !== 'initialize') {
+      fail(message.id, SERVER_NOT_INITIALIZED, 'Server not initialized');
+      return;
+    }
+    if (shutdown) {
+      fail(message.id, INVALID_REQUEST, 'Server is shutting down');
+      return;
+    }
+    const handler = requests[message.method];
+    if (!handler) {
+      fail(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+      return;
+    }
+    try {
+      respond(message.id, handler(params));
+    } catch (error) {
+      log(`${message.method}: ${error.stack || error.message}`);
+      fail(message.id, INTERNAL_ERROR, error.message);
+    }
+  };
+}
+
+/**
+ * Splits a byte stream into Content-Length framed messages
+ * @param {Stream} input - Readable stream
+ * @param {Function} onBody - Called with each message body (a JSON string)
+ */
+function readMessages(input, onBody) {
+  let buffer = Buffer.alloc(0);
+  input.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const match = buffer.slice(0, headerEnd).toString('ascii').match(/^content-length:\s*(\d+)\s*$/im);
+      const start = headerEnd + 4;
+      if (!match) {
+        // Without a length the body cannot be found; drop the header and resynchronize on the next one
+        buffer = buffer.slice(start);
+        continue;
+      }
+      const end = start + Number(match[1]);
+      if (buffer.length < end) return;
+      const body = buffer.slice(start, end).toString('utf8');
+      buffer = buffer.slice(end);
+      onBody(body);
+    }
+  });
+}
+
+/**
+ * Runs the language server on stdin and stdout until the client sends exit or closes stdin
+ * @param {Object} options - See createLanguageServer()
+ */
+function startLanguageServer(options) {
+  let exited = false;
+  const exit = code => {
+    exited = true;
+    process.exit(code);
+  };
+  const send = message => {
+    const body = JSON.stringify(message);
+    process.stdout.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+  };
+  const handle = createLanguageServer({ ...options, send, exit });
+  readMessages(process.stdin, body => {
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+    handle(message);
+  });
+  process.stdin.on('end', () => {
+    if (!exited) exit(1);
+  });
+}
+
+module.exports = {
+  createLanguageServer,
+  startLanguageServer
+};
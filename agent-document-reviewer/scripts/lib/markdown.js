@@ -0,0 +1,422 @@
+/**
+ * Minimal CommonMark-aware Markdown tokenizer (no external dependencies)
+ *
+ * Classifies every line of a document (front matter, fenced/indented code,
+ * HTML comments, prose) and extracts headings and links from prose only, so
+ * that `# comment` lines inside shell snippets are not counted as headings and
+ * links inside code samples are not followed.
+ *
+ * This is intentionally not a full CommonMark parser: it covers the block and
+ * inline constructs that affect document metrics and link resolution.
+ */
+
+const FENCE_OPEN_REGEX = /^(\s*)(`{3,}|~{3,})(.*)$/;
+const ATX_HEADING_REGEX = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE_REGEX = /^ {0,3}(=+|-+)[ \t]*$/;
+const LIST_ITEM_REGEX = /^\s*(?:[-*+]|\d{1,9}[.)])(?:\s|$)/;
+const THEMATIC_BREAK_REGEX = /^ {0,3}(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const LINK_DEFINITION_REGEX = /^ {0,3}\[((?:[^\]\\]|\\.)+)\]:[ \t]*(<[^>]*>|\S+)(?:[ \t]+(?:"[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/;
+const AUTOLINK_REGEX = /<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*|[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)*)>/g;
+
+/**
+ * Normalizes a reference label for case-insensitive matching (CommonMark 4.7)
+ */
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Finds inline code spans on a line
+ * @returns {Array} [{ start, end, code }] where start/end cover the backtick fences
+ */
+function findCodeSpans(text) {
+  const spans = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      i += 2;
+      continue;
+    }
+
+    if (text[i] !== '`') {
+      i++;
+      continue;
+    }
+
+    let runLength = 0;
+    while (text[i + runLength] === '`') runLength++;
+    const fence = '`'.repeat(runLength);
+
+    // Find a closing run of exactly the same length
+    let search = i + runLength;
+    let closeIndex = -1;
+    while (search < text.length) {
+      const found = text.indexOf(fence, search);
+      if (found === -1) break;
+      let end = found + runLength;
+      if (text[end] !== '`' && text[found - 1] !== '`') {
+        closeIndex = found;
+        break;
+      }
+      while (text[end] === '`') end++;
+      search = end;
+    }
+
+    if (closeIndex === -1) {
+      // Unmatched backticks are literal text
+      i += runLength;
+      continue;
+    }
+
+    const spanEnd = closeIndex + runLength;
+    spans.push({ start: i, end: spanEnd, code: text.slice(i + runLength, closeIndex).trim() });
+    i = spanEnd;
+  }
+
+  return spans;
+}
+
+/**
+ * Replaces inline code spans with spaces, preserving column positions
+ */
+function maskCodeSpans(text) {
+  let result = '';
+  let last = 0;
+  for (const span of findCodeSpans(text)) {
+    result += text.slice(last, span.start) + ' '.repeat(span.end - span.start);
+    last = span.end;
+  }
+  return result + text.slice(last);
+}
+
+/**
+ * Finds the index of the bracket that closes the one at `openIndex`
+ */
+function findClosingBracket(text, openIndex, open, close) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text[i] === open) depth++;
+    else if (text[i] === close) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses an inline link destination starting after "(" and returns { url, end }
+ */
+function parseInlineDestination(text, start) {
+  const close = findClosingBracket(text, start - 1, '(', ')');
+  if (close === -1) return null;
+
+  const inner = text.slice(start, close).trim();
+  let url;
+  if (inner.startsWith('<')) {
+    const endAngle = inner.indexOf('>');
+    url = endAngle === -1 ? inner : inner.slice(0, endAngle + 1);
+  } else {
+    url = inner.split(/\s+/)[0] || '';
+  }
+
+  return { url, end: close + 1 };
+}
+
+/**
+ * Extracts inline, reference-style and autolinks from a single prose line.
+ * Code spans must already be masked.
+ */
+function extractLineLinks(text, lineNumber, definitions) {
+  const links = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+
+    if (ch !== '[') {
+      i++;
+      continue;
+    }
+
+    const image = i > 0 && text[i - 1] === '!';
+    const closeText = findClosingBracket(text, i, '[', ']');
+    if (closeText === -1) {
+      i++;
+      continue;
+    }
+
+    const linkText = text.slice(i + 1, closeText);
+    const next = text[closeText + 1];
+    const column = image ? i - 1 : i;
+
+    if (next === '(') {
+      const destination = parseInlineDestination(text, closeText + 2);
+      if (destination) {
+        links.push({ text: linkText, url: destination.url, lineNumber, column, endColumn: destination.end, type: 'inline', image });
+        i = destination.end;
+        continue;
+      }
+    } else if (next === '[') {
+      const closeRef = findClosingBracket(text, closeText + 1, '[', ']');
+      if (closeRef !== -1) {
+        const rawLabel = text.slice(closeText + 2, closeRef);
+        const label = normalizeLabel(rawLabel || linkText);
+        const definition = definitions.get(label);
+        if (definition) {
+          links.push({ text: linkText, url: definition.url, lineNumber, column, endColumn: closeRef + 1, type: 'reference', label, image });
+        }
+        i = closeRef + 1;
+        continue;
+      }
+    } else if (next !== ':') {
+      // Shortcut reference: [label]
+      const definition = definitions.get(normalizeLabel(linkText));
+      if (definition && linkText.trim().length > 0) {
+        links.push({ text: linkText, url: definition.url, lineNumber, column, endColumn: closeText + 1, type: 'reference', label: normalizeLabel(linkText), image });
+        i = closeText + 1;
+        continue;
+      }
+    }
+
+    i++;
+  }
+
+  AUTOLINK_REGEX.lastIndex = 0;
+  let match;
+  while ((match = AUTOLINK_REGEX.exec(text)) !== null) {
+    const target = match[1];
+    const url = target.includes(':') ? target : `mailto:${target}`;
+    links.push({ text: target, url, lineNumber, column: match.index, endColumn: match.index + match[0].length, type: 'autolink', image: false });
+  }
+
+  return links.sort((a, b) => a.column - b.column);
+}
+
+/**
+ * Removes HTML comments from a line, tracking multi-line comment state
+ * @returns {Object} { text, inComment, hadComment }
+ */
+function stripHtmlComments(line, inComment) {
+  let text = '';
+  let rest = line;
+  let state = inComment;
+  let hadComment = inComment;
+
+  while (rest.length > 0) {
+    if (state) {
+      const end = rest.indexOf('-->');
+      if (end === -1) {
+        rest = '';
+      } else {
+        rest = rest.slice(end + 3);
+        state = false;
+      }
+    } else {
+      // An opener inside a code span (`<!--`) is literal text
+      const start = maskCodeSpans(rest).indexOf('<!--');
+      if (start === -1) {
+        text += rest;
+        rest = '';
+      } else {
+        text += rest.slice(0, start);
+        rest = rest.slice(start + 4);
+        state = true;
+        hadComment = true;
+      }
+    }
+  }
+
+  return { text, inComment: state, hadComment };
+}
+
+/**
+ * Tokenizes markdown content into classified lines, headings, and links
+ * @param {string} content - The markdown content
+ * @returns {Object} { lines, headings, links, codeSpans, definitions, codeBlocks, frontMatter }
+ *
+ * Each entry of `lines` has `kind` set to one of:
+ * 'frontMatter', 'code', 'comment', 'blank', or 'text'.
+ * For 'text' lines, `prose` holds the line with HTML comments removed.
+ */
+function tokenizeMarkdown(content) {
+  const rawLines = content.split(/\r?\n/);
+  const lines = rawLines.map((text, index) => ({ lineNumber: index + 1, text, kind: 'text', prose: text }));
+  const codeBlocks = [];
+  let frontMatter = null;
+
+  let index = 0;
+
+  // YAML (---) or TOML (+++) front matter on the very first line
+  const firstLine = rawLines[0] !== undefined ? rawLines[0].replace(/^\uFEFF/, '').trimEnd() : '';
+  if (firstLine === '---' || firstLine === '+++') {
+    const closers = firstLine === '---' ? ['---', '...'] : ['+++'];
+    for (let i = 1; i < rawLines.length; i++) {
+      if (closers.includes(rawLines[i].trimEnd())) {
+        frontMatter = { startLine: 1, endLine: i + 1 };
+        for (let j = 0; j <= i; j++) lines[j].kind = 'frontMatter';
+        index = i + 1;
+        break;
+      }
+    }
+  }
+
+  // Block pass: code fences, indented code, HTML comments
+  let fence = null;
+  let inComment = false;
+  let previousBlank = true;
+  let inList = false;
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    const text = line.text;
+
+    if (fence) {
+      line.kind = 'code';
+      const closeMatch = text.match(/^\s*(`{3,}|~{3,})\s*$/);
+      if (closeMatch && closeMatch[1][0] === fence.char && closeMatch[1].length >= fence.length) {
+        fence.block.endLine = line.lineNumber;
+        fence = null;
+      }
+      continue;
+    }
+
+    if (!inComment) {
+      const fenceMatch = text.match(FENCE_OPEN_REGEX);
+      // Backtick fences may not contain backticks in their info string
+      if (fenceMatch && !(fenceMatch[2][0] === '`' && fenceMatch[3].includes('`'))) {
+        const block = { startLine: line.lineNumber, endLine: null, info: fenceMatch[3].trim(), fenced: true };
+        codeBlocks.push(block);
+        fence = { char: fenceMatch[2][0], length: fenceMatch[2].length, block };
+        line.kind = 'code';
+        previousBlank = false;
+        continue;
+      }
+
+      // Indented code blocks cannot interrupt a paragraph or continue a list item
+      if (/^(?: {4}|\t)/.test(text) && text.trim().length > 0 && previousBlank && !inList) {
+        const lastBlock = codeBlocks[codeBlocks.length - 1];
+        if (lastBlock && !lastBlock.fenced &&
+            lines.slice(lastBlock.endLine, index).every(l => l.text.trim().length === 0)) {
+          lastBlock.endLine = line.lineNumber;
+        } else {
+          codeBlocks.push({ startLine: line.lineNumber, endLine: line.lineNumber, info: '', fenced: false });
+        }
+        line.kind = 'code';
+        continue;
+      }
+    }
+
+    const stripped = stripHtmlComments(text, inComment);
+    inComment = stripped.inComment;
+
+    if (text.trim().length === 0) {
+      line.kind = 'blank';
+      line.prose = '';
+      previousBlank = true;
+      continue;
+    }
+
+    if (stripped.hadComment && stripped.text.trim().length === 0) {
+      line.kind = 'comment';
+      line.prose = '';
+      continue;
+    }
+
+    line.prose = stripped.text;
+
+    if (LIST_ITEM_REGEX.test(text) && !THEMATIC_BREAK_REGEX.test(text)) {
+      inList = true;
+    } else if (previousBlank && !/^\s/.test(text)) {
+      inList = false;
+    }
+    previousBlank = false;
+  }
+
+  // Unterminated fences run to the end of the document (CommonMark 4.5)
+  if (fence) fence.block.endLine = lines.length;
+
+  // Reference definitions (collected first: references may precede them)
+  const definitions = new Map();
+  for (const line of lines) {
+    if (line.kind !== 'text') continue;
+    const defMatch = line.prose.match(LINK_DEFINITION_REGEX);
+    if (!defMatch) continue;
+    const label = normalizeLabel(defMatch[1]);
+    if (!definitions.has(label)) {
+      definitions.set(label, { url: defMatch[2], lineNumber: line.lineNumber });
+    }
+    line.definition = true;
+  }
+
+  // Headings, links and inline code spans
+  const headings = [];
+  const links = [];
+  const codeSpans = [];
+  let paragraph = [];
+
+  for (const line of lines) {
+    if (line.kind !== 'text' || line.definition) {
+      paragraph = [];
+      continue;
+    }
+
+    const atxMatch = line.prose.match(ATX_HEADING_REGEX);
+    if (atxMatch) {
+      headings.push({
+        depth: atxMatch[1].length,
+        title: (atxMatch[2] || '').trim(),
+        lineNumber: line.lineNumber
+      });
+      paragraph = [];
+    } else {
+      const setextMatch = line.prose.match(SETEXT_UNDERLINE_REGEX);
+      if (setextMatch && paragraph.length > 0) {
+        headings.push({
+          depth: setextMatch[1][0] === '=' ? 1 : 2,
+          title: paragraph.map(l => l.prose.trim()).join(' '),
+          lineNumber: paragraph[0].lineNumber,
+          setext: true
+        });
+        paragraph = [];
+        continue;
+      }
+
+      const isParagraphLine = !LIST_ITEM_REGEX.test(line.prose) &&
+        !THEMATIC_BREAK_REGEX.test(line.prose) &&
+        !/^\s*(?:>|\||<)/.test(line.prose);
+      paragraph = isParagraphLine ? paragraph.concat(line) : [];
+    }
+
+    links.push(...extractLineLinks(maskCodeSpans(line.prose), line.lineNumber, definitions));
+    for (const span of findCodeSpans(line.prose)) {
+      if (span.code) codeSpans.push({ text: span.code, lineNumber: line.lineNumber, column: span.start });
+    }
+  }
+
+  return {
+    lines,
+    headings,
+    links,
+    codeSpans,
+    definitions,
+    codeBlocks,
+    frontMatter
+  };
+}
+
+module.exports = {
+  tokenizeMarkdown,
+  maskCodeSpans,
+  normalizeLabel
+};
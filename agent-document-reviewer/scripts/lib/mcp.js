@@ -0,0 +1,380 @@
+/**
+ * MCP (Model Context Protocol) server over stdio (--mcp)
+ *
+ * Speaks JSON-RPC 2.0 with one message per line on stdin and stdout, without an
+ * SDK. Each tool wraps analyzeFiles() or analyzeString() and returns its result
+ * both as structuredContent and as a JSON text block for clients that only read
+ * text. Path arguments are resolved against --root-dir and must stay inside it
+ * (symlinks included), like links followed by analyzeWithLinks(); plugins and
+ * config files cannot be chosen by the client.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { isWithinRoot } = require('./glob');
+const RESULT_SCHEMA = require('../analyze_document.schema.json');
+
+const SERVER_INFO = { name: 'agent-document-reviewer', version: '1.0.0' };
+// Newest first; a client asking for another version gets the newest one
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const PATH_DESCRIPTION = 'Path relative to the root directory; a directory or glob pattern (docs/**/*.md) selects every matching Markdown file';
+
+const RESULT_OPTIONS = {
+  tokenBudget: { type: 'integer', minimum: 1, description: 'Score document length against estimated tokens instead of lines' },
+  lang: { enum: ['en', 'ja'], description: 'Language of feedback and finding messages (default: detected per document)' }
+};
+
+const LINK_OPTIONS = {
+  maxDepth: { type: 'integer', minimum: 1, description: 'Max depth when following links' },
+  maxCount: { type: 'integer', minimum: 1, description: 'Max files to analyze when following links' }
+};
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Arguments are checked here rather than trusted to the client's schema validation
+function stringArgument(args, name) {
+  if (typeof args[name] !== 'string' || !args[name]) throw new Error(`"${name}" must be a non-empty string`);
+  return args[name];
+}
+
+function pathsArgument(args) {
+  if (!Array.isArray(args.paths) || args.paths.length === 0 || args.paths.some(p => typeof p !== 'string' || !p)) {
+    throw new Error('"paths" must be a non-empty array of strings');
+  }
+  return args.paths;
+}
+
+function optionalArgument(args, name, check, expected) {
+  if (args[name] === undefined || args[name] === null) return undefined;
+  if (!check(args[name])) throw new Error(`"${name}" must be ${expected}`);
+  return args[name];
+}
+
+/**
+ * Creates the tools on top of the programmatic API
+ * @param {Object} options - { rootDir } sandbox, { analyzeFiles, analyzeString } from analyze_document.js,
+ *                           { defaults } analyzeFiles() options given on the command line (noSymlinks, profile, ...)
+ * @returns {Array} [{ name, description, inputSchema, outputSchema, call(args) }]
+ */
+function createTools(options) {
+  const { rootDir, analyzeFiles, analyzeString, defaults = {} } = options;
+  const rootRealPath = fs.realpathSync(rootDir);
+
+  // Lexical check first (also covers glob patterns and files that do not exist), then the real path
+  const resolvePath = relativePath => {
+    const filePath = path.resolve(rootDir, relativePath);
+    if (!isWithinRoot(filePath, rootDir)) throw new Error(`Path is outside the root directory: ${relativePath}`);
+    if (fs.existsSync(filePath) && !isWithinRoot(fs.realpathSync(filePath), rootRealPath)) {
+      throw new Error(`Path resolves outside the root directory: ${relativePath}`);
+    }
+    return filePath;
+  };
+
+  const analysisOptions = (args, extra = {}) => ({
+    ...defaults,
+    rootDir,
+    tokenBudget: optionalArgument(args, 'tokenBudget', isPositiveInteger, 'a positive integer') || defaults.tokenBudget || null,
+    lang: optionalArgument(args, 'lang', value => ['en', 'ja'].includes(value), '"en" or "ja"') || defaults.lang || null,
+    maxDepth: optionalArgument(args, 'maxDepth', isPositiveInteger, 'a positive integer') || defaults.maxDepth,
+    maxCount: optionalArgument(args, 'maxCount', isPositiveInteger, 'a positive integer') || defaults.maxCount,
+    ...extra
+  });
+
+  // Content, if given, is analyzed as if it were saved at path
+  const analyzePath = (args, extra) => {
+    const filePath = resolvePath(stringArgument(args, 'path'));
+    const content = optionalArgument(args, 'content', value => typeof value === 'string', 'a string');
+    return content === undefined
+      ? analyzeFiles([filePath], analysisOptions(args, extra))
+      : analyzeString(content, filePath, analysisOptions(args, extra));
+  };
+
+  return [
+    {
+      name: 'analyze_document',
+      description: 'Analyze an AI agent instruction document (AGENTS.md, CLAUDE.md, ...) and the documents it links to: ' +
+        'scores (0-10), estimated tokens, metrics and findings ({ rule, severity, file, line, message }).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: PATH_DESCRIPTION },
+          content: { type: 'string', description: 'Analyze this Markdown instead of the file on disk, as if it were saved at path' },
+          includeLinks: { type: 'boolean', description: 'Follow internal links (default: true)' },
+          simulateRead: { type: ['integer', 'string'], description: 'Report what an agent misses if it stops reading after this many tokens (or a percentage such as "30%")' },
+          format: { enum: ['summary', 'full'], description: 'Detail of each file\'s metrics (default: summary)' },
+          ...RESULT_OPTIONS,
+          ...LINK_OPTIONS
+        },
+        required: ['path']
+      },
+      outputSchema: RESULT_SCHEMA,
+      call: args => analyzePath(args, {
+        includeLinks: optionalArgument(args, 'includeLinks', value => typeof value === 'boolean', 'a boolean') !== false,
+        simulateRead: optionalArgument(args, 'simulateRead', value => ['number', 'string'].includes(typeof value), 'a token count or a percentage') || null,
+        format: optionalArgument(args, 'format', value => ['summary', 'full'].includes(value), '"summary" or "full"') || 'summary'
+      })
+    },
+    {
+      name: 'analyze_link_graph',
+      description: 'Follow internal links from one or more entry points and return the link graph: ' +
+        'nodes, edges, orphaned documents, link cycles, missing targets and the score and size of every linked document.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          paths: { type: 'array', items: { type: 'string' }, minItems: 1, description: `Entry points. ${PATH_DESCRIPTION}` },
+          ...LINK_OPTIONS
+        },
+        required: ['paths']
+      },
+      outputSchema: {
+        type: 'object',
+        required: ['entryPoints', 'files', 'graph', 'notFound', 'skipped'],
+        properties: {
+          entryPoints: { type: 'array', items: { type: 'string' } },
+          files: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['file', 'depth', 'score', 'estimatedTokens'],
+              properties: {
+                file: { type: 'string' },
+                depth: { type: 'integer' },
+                score: { type: 'integer' },
+                estimatedTokens: { type: 'integer' }
+              }
+            }
+          },
+          graph: RESULT_SCHEMA.definitions.links.properties.graph,
+          notFound: { type: 'array', items: { type: 'string' } },
+          skipped: RESULT_SCHEMA.definitions.links.properties.skipped
+        }
+      },
+      call: args => {
+        const result = analyzeFiles(pathsArgument(args).map(resolvePath), analysisOptions(args));
+        return {
+          entryPoints: result.entryPoints,
+          files: result.files.map(item => ({
+            file: item.file,
+            depth: item.depth,
+            score: item.evaluation.scores.overall,
+            estimatedTokens: item.metrics.estimatedTokens
+          })),
+          graph: result.links.graph,
+          notFound: result.links.notFound,
+          skipped: result.links.skipped
+        };
+      }
+    },
+    {
+      name: 'find_redundancy',
+      description: 'Find repeated phrases and duplicate instructions within each document, duplicate instructions across ' +
+        'linked documents, and contradictory instructions (e.g. "use npm" vs. "use pnpm").',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          paths: { type: 'array', items: { type: 'string' }, minItems: 1, description: `Entry points. ${PATH_DESCRIPTION}` },
+          ...LINK_OPTIONS
+        },
+        required: ['paths']
+      },
+      outputSchema: {
+        type: 'object',
+        required: ['files', 'crossFileDuplicates', 'contradictions'],
+        properties: {
+          files: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['file', 'repeatedPhrases', 'duplicateInstructions'],
+              properties: {
+                file: { type: 'string' },
+                repeatedPhrases: {
+                  type: 'array',
+                  items: { type: 'object', properties: { phrase: { type: 'string' }, count: { type: 'integer' } } }
+                },
+                duplicateInstructions: { type: 'array', items: { type: 'object' } }
+              }
+            }
+          },
+          crossFileDuplicates: RESULT_SCHEMA.definitions.links.properties.crossFileDuplicates,
+          contradictions: RESULT_SCHEMA.definitions.links.properties.contradictions
+        },
+        // Referenced by the two properties above
+        definitions: { located: RESULT_SCHEMA.definitions.located }
+      },
+      call: args => {
+        const result = analyzeFiles(pathsArgument(args).map(resolvePath), analysisOptions(args, { format: 'full' }));
+        return {
+          files: result.files.map(item => ({
+            file: item.file,
+            repeatedPhrases: item.metrics.redundancyIndicators,
+            duplicateInstructions: item.metrics.duplicateInstructions
+          })),
+          crossFileDuplicates: result.links ? result.links.crossFileDuplicates : [],
+          // Without link analysis, contradictions are only known per file
+          contradictions: result.links ? result.links.contradictions : result.files.flatMap(item => item.metrics.contradictions)
+        };
+      }
+    },
+    {
+      name: 'suggest_split',
+      description: 'Propose which sections of a long document to move into separate files (with the link that replaces each one) ' +
+        'and estimate the score after the split. Returns no splits when the document is short enough.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Document path relative to the root directory' },
+          content: { type: 'string', description: 'Plan for this Markdown instead of the file on disk, as if it were saved at path' },
+          ...RESULT_OPTIONS
+        },
+        required: ['path']
+      },
+      outputSchema: {
+        type: 'object',
+        required: ['file', 'totalLines', 'estimatedTokens', 'score', 'scoreAfterSplit', 'splits'],
+        properties: {
+          file: { type: 'string' },
+          totalLines: { type: 'integer' },
+          estimatedTokens: { type: 'integer' },
+          score: { type: 'integer' },
+          scoreAfterSplit: { type: ['integer', 'null'] },
+          splits: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['section', 'startLine', 'endLine', 'file', 'replacement'],
+              properties: {
+                section: { type: 'string' },
+                startLine: { type: 'integer' },
+                endLine: { type: 'integer' },
+                lineCount: { type: 'integer' },
+                estimatedTokens: { type: 'integer' },
+                file: { type: 'string', description: 'Proposed new file, next to the document' },
+                replacement: { type: 'string', description: 'Markdown that replaces the section' }
+              }
+            }
+          },
+          projected: {
+            type: ['object', 'null'],
+            description: 'Size of the document after the split',
+            properties: { totalLines: { type: 'integer' }, estimatedTokens: { type: 'integer' } }
+          }
+        }
+      },
+      call: args => {
+        const result = analyzePath(args, { includeLinks: false, format: 'full' });
+        const [item] = result.files;
+        const plan = item.metrics.splitPlan;
+        return {
+          file: item.file,
+          totalLines: item.metrics.totalLines,
+          estimatedTokens: item.metrics.estimatedTokens,
+          score: item.evaluation.scores.overall,
+          scoreAfterSplit: item.evaluation.splitEstimate ? item.evaluation.splitEstimate.after : null,
+          splits: plan ? plan.splits : [],
+          projected: plan ? { totalLines: plan.projected.totalLines, estimatedTokens: plan.projected.estimatedTokens } : null
+        };
+      }
+    }
+  ];
+}
+
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+/**
+ * Creates a JSON-RPC message handler for the MCP methods the tools need
+ * @param {Array} tools - Result of createTools()
+ * @returns {Function} message => response, or null for notifications and responses
+ */
+function createMessageHandler(tools) {
+  const byName = new Map(tools.map(tool => [tool.name, tool]));
+
+  const callTool = params => {
+    const tool = byName.get(params.name);
+    if (!tool) return { error: [INVALID_PARAMS, `Unknown tool: ${params.name}`] };
+    try {
+      const result = tool.call(params.arguments || {});
+      return { result: { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], structuredContent: result } };
+    } catch (error) {
+      // Failed analyses are tool results, so the calling model sees the message and can correct its arguments
+      return { result: { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true } };
+    }
+  };
+
+  const methods = {
+    initialize: params => ({
+      result: {
+        protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: {} },
+        serverInfo: SERVER_INFO
+      }
+    }),
+    ping: () => ({ result: {} }),
+    'tools/list': () => ({
+      result: { tools: tools.map(({ name, description, inputSchema, outputSchema }) => ({ name, description, inputSchema, outputSchema })) }
+    }),
+    'tools/call': callTool
+  };
+
+  return message => {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return errorResponse(message && message.id !== undefined ? message.id : null, INVALID_REQUEST, 'Invalid Request');
+    }
+    const isRequest = message.id !== undefined && message.id !== null;
+    // Notifications (initialized, cancelled, ...) and responses to server requests need no answer
+    if (!isRequest || typeof message.method !== 'string') return null;
+
+    const method = Object.prototype.hasOwnProperty.call(methods, message.method) ? methods[message.method] : null;
+    if (!method) return errorResponse(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    const params = message.params && typeof message.params === 'object' ? message.params : {};
+    const outcome = method(params);
+    if (outcome.error) return errorResponse(message.id, ...outcome.error);
+    return { jsonrpc: '2.0', id: message.id, result: outcome.result };
+  };
+}
+
+/**
+ * Serves the tools on stdin/stdout until stdin closes
+ * @param {Object} options - Same as createTools()
+ */
+function startMcpServer(options) {
+  const handle = createMessageHandler(createTools(options));
+  const send = message => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+  const input = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  input.on('line', line => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(errorResponse(null, PARSE_ERROR, 'Parse error'));
+      return;
+    }
+    if (Array.isArray(message)) {
+      const responses = message.map(handle).filter(Boolean);
+      if (responses.length > 0) send(responses);
+      return;
+    }
+    const response = handle(message);
+    if (response) send(response);
+  });
+  return input;
+}
+
+module.exports = {
+  createTools,
+  createMessageHandler,
+  startMcpServer
+};
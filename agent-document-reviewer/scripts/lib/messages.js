@@ -0,0 +1,144 @@
+/**
+ * Feedback and finding messages of evaluateMetrics() in every supported language (--lang),
+ * and the editor texts of the language server (--lsp)
+ *
+ * Each message is a function of its parameters so that word order can differ
+ * between languages. Numbers, file names and quoted document text are passed
+ * through unchanged; only the surrounding sentence is translated.
+ */
+
+const UNITS = {
+  en: { bytes: 'bytes', characters: 'characters', lines: 'lines' },
+  ja: { bytes: 'バイト', characters: '文字', lines: '行' }
+};
+
+const MESSAGES = {
+  en: {
+    lengthExcellent: p => `Document length is excellent (≤${p.max} lines)`,
+    lengthAcceptable: p => `Document length is acceptable but could be shorter (${p.excellent}-${p.acceptable} lines)`,
+    lengthLong: p => `Document is getting long (${p.acceptable}-${p.long} lines) - consider splitting content`,
+    lengthTooLong: p => `Document is too long (>${p.long} lines) - high risk of AI agent missing instructions`,
+    tokensWithinBudget: p => `Estimated tokens within budget (${p.tokens} ≤ ${p.budget})`,
+    tokensOverBudget: p => `Estimated tokens exceed budget (${p.tokens} > ${p.budget}) - consider trimming`,
+    tokensFarOverBudget: p => `Estimated tokens far exceed budget (${p.tokens} > ${p.budget}) - consider splitting content`,
+    tokensGreatlyOverBudget: p => `Estimated tokens greatly exceed budget (${p.tokens} > ${p.limit}) - high risk of AI agent missing instructions`,
+    sizeLimit: p => `Exceeds ${p.tool} limit of ${p.limit} ${UNITS.en[p.unit]} (${p.actual}) - ${p.note}`,
+    deepNesting: p => `Deep nesting detected (depth: ${p.depth}) - consider flattening`,
+    deepHeading: p => `Heading "${p.title}" is nested ${p.depth} levels deep (max ${p.max}) - consider flattening`,
+    goodHeadingDepth: p => `Good heading depth (≤${p.max})`,
+    manySections: p => `Many sections (${p.count}) - consider consolidating`,
+    highSectionCount: p => `High section count (${p.count})`,
+    shortSections: () => 'Sections are very short on average - might indicate over-fragmentation',
+    goodInternalLinks: () => 'Good use of internal links for progressive disclosure',
+    disclosureOptional: () => 'Document is short enough that progressive disclosure is optional',
+    someInternalLinks: () => 'Some internal links present, but could be improved',
+    noInternalLinksMedium: () => 'No internal links detected - acceptable for small scope, otherwise consider links or tool-supported scoping (e.g., nested AGENTS.md)',
+    noInternalLinksLarge: () => 'No internal links detected - consider splitting content via links or tool-supported scoping (e.g., nested AGENTS.md)',
+    anchorLinks: p => `Anchor links (#...) are meaningless for LLMs - use separate files instead (found ${p.count})`,
+    anchorLink: () => 'Anchor link (#...) is meaningless for LLMs - use a separate file instead',
+    vagueLinks: p => `${p.count} link(s) with vague text (e.g. line ${p.line}: "${p.text}") - say what the linked document contains`,
+    vagueLink: p => `Vague link text "${p.text}" - say what the linked document contains`,
+    untriggeredLinks: p => `${p.count} link(s) without a "when to read" trigger (e.g. line ${p.line}: ${p.url}) - say when to follow them ("For X, see ...")`,
+    untriggeredLink: p => `Link to ${p.url} has no "when to read" trigger - say when to follow it ("For X, see ...")`,
+    descriptiveLinks: () => 'Internal links are descriptive and say when to read them',
+    criticalFrontLoaded: p => `Critical instructions are front-loaded (${p.frontLoaded}/${p.count} within the first ${p.boundary} lines)`,
+    criticalLate: p => `${p.count} critical instruction(s) first appear late (e.g. line ${p.line}: "${p.text}") - move them into an early summary`,
+    criticalLateOne: p => `Critical instruction first appears late: "${p.text}" - move it into an early summary`,
+    duplicates: p => `Duplicate instructions detected (${p.count} ${p.count === 1 ? 'pair' : 'pairs'}, e.g. ${p.pairs.map(([first, second]) => `lines ${first}/${second}`).join(', ')}) - state each instruction once`,
+    duplicate: p => `Instruction repeats line ${p.line} - state each instruction once`,
+    contradictions: p => `Contradictory instructions detected (${p.count}, e.g. ${p.subject} at lines ${p.lines}) - keep one rule per subject`,
+    contradiction: p => `Contradictory instructions about ${p.subject} (lines ${p.lines}) - keep one rule per subject`,
+    staleReferences: p => `${p.count} stale reference(s) (e.g. line ${p.line}: ${p.reference} - ${p.reason}) - update or remove them`,
+    staleReference: p => `Stale reference ${p.reference} - ${p.reason}`,
+    sensitiveContent: p => `${p.count} secret(s) or sensitive value(s) (e.g. line ${p.line}: ${p.label} in "${p.preview}") - remove them; agents get every instruction file in full`,
+    sensitiveItem: p => `Possible ${p.label}: "${p.preview}" - remove it or move it out of agent instructions`,
+    unsafeInstructions: p => `${p.count} unsafe instruction(s) agents could follow (e.g. line ${p.line}: ${p.label} in "${p.preview}")${p.via ? ` - reached via ${p.via}` : ''} - remove them or stop linking to this file`,
+    unsafeInstruction: p => `Unsafe instruction (${p.label}): "${p.preview}"${p.via ? ` - reached via ${p.via}` : ''}`,
+    customFindingLine: p => ` (line ${p.line})`,
+    splitPlan: p => `Split plan: move ${p.count} section(s) into new files (${p.moves}) - estimated overall ${p.before} -> ${p.after}`,
+    splitMove: p => `Move "${p.section}" into ${p.file} - estimated overall ${p.before} -> ${p.after}`,
+    readCoverageComplete: p => `Every critical instruction is within a ${p.budget}-token read (${p.coverage}% of the content)`,
+    readCoverageMissed: p => `${p.count} critical instruction(s) fall outside a ${p.budget}-token read, which stops at ${p.stoppedAt} (e.g. ${p.location} "${p.text}") - move them before that point`,
+    readCoverageMissedOne: p => `Critical instruction ${p.location ? `in ${p.location} ` : ''}is beyond a ${p.budget}-token read: "${p.text}"`,
+    repeatedPhrase: p => `"${p.phrase}" appears ${p.count} times - say it once and refer back to it`,
+    repeatedPhrases: p => `Potential redundancy detected (${p.count} repeated ${p.count === 1 ? 'phrase' : 'phrases'}, e.g. "${p.phrase}" ${p.times} times from line ${p.line}) - review repeated phrases`,
+    scoreLens: p => `Score ${p.score}/10 · ~${p.tokens} tokens · ${p.errors} error(s), ${p.warnings} warning(s)`,
+    scoreBreakdown: p => `${p.byTokens ? 'Tokens' : 'Length'} ${p.length} · Structure ${p.structure} · Progressive disclosure ${p.disclosure}`,
+    fixAnchorLinks: () => 'Replace anchor links with their text',
+    fixHeadingDepth: () => 'Turn the heading into bold text',
+    fixRemoveLine: p => `Remove line ${p.line}`,
+    fixAll: p => `Apply all safe fixes (${p.count})`,
+    analysisFailed: p => `Cannot analyze this document: ${p.message}`
+  },
+  ja: {
+    lengthExcellent: p => `ドキュメントの長さは理想的です(${p.max}行以下)`,
+    lengthAcceptable: p => `ドキュメントの長さは許容範囲ですが、もっと短くできます(${p.excellent}〜${p.acceptable}行)`,
+    lengthLong: p => `ドキュメントが長くなっています(${p.acceptable}〜${p.long}行) - 内容の分割を検討してください`,
+    lengthTooLong: p => `ドキュメントが長すぎます(${p.long}行超) - AIエージェントが指示を見落とすリスクが高くなります`,
+    tokensWithinBudget: p => `推定トークン数は予算内です(${p.tokens} ≤ ${p.budget})`,
+    tokensOverBudget: p => `推定トークン数が予算を超えています(${p.tokens} > ${p.budget}) - 内容の削減を検討してください`,
+    tokensFarOverBudget: p => `推定トークン数が予算を大きく超えています(${p.tokens} > ${p.budget}) - 内容の分割を検討してください`,
+    tokensGreatlyOverBudget: p => `推定トークン数が予算を大幅に超えています(${p.tokens} > ${p.limit}) - AIエージェントが指示を見落とすリスクが高くなります`,
+    sizeLimit: p => `${p.tool}の上限 ${p.limit}${UNITS.ja[p.unit]} を超えています(${p.actual}) - ${p.note}`,
+    deepNesting: p => `見出しの階層が深すぎます(深さ: ${p.depth}) - 階層を浅くすることを検討してください`,
+    deepHeading: p => `見出し「${p.title}」の階層が${p.depth}段です(上限 ${p.max}) - 階層を浅くすることを検討してください`,
+    goodHeadingDepth: p => `見出しの階層は適切です(${p.max}以下)`,
+    manySections: p => `セクションが多すぎます(${p.count}) - 統合を検討してください`,
+    highSectionCount: p => `セクション数が多めです(${p.count})`,
+    shortSections: () => 'セクションが平均して非常に短いです - 細分化しすぎている可能性があります',
+    goodInternalLinks: () => '内部リンクで段階的開示がうまくできています',
+    disclosureOptional: () => 'ドキュメントが短いため、段階的開示は必須ではありません',
+    someInternalLinks: () => '内部リンクはありますが、改善の余地があります',
+    noInternalLinksMedium: () => '内部リンクがありません - 対象範囲が狭ければ問題ありませんが、そうでなければリンクやツールのスコープ機能(例: 入れ子の AGENTS.md)を検討してください',
+    noInternalLinksLarge: () => '内部リンクがありません - リンクやツールのスコープ機能(例: 入れ子の AGENTS.md)で内容を分割することを検討してください',
+    anchorLinks: p => `アンカーリンク(#...)はLLMには意味がありません - 代わりにファイルを分けてください(${p.count}件)`,
+    anchorLink: () => 'アンカーリンク(#...)はLLMには意味がありません - 代わりにファイルを分けてください',
+    vagueLinks: p => `リンクテキストが曖昧なリンクが${p.count}件あります(例: ${p.line}行目「${p.text}」) - リンク先の内容を書いてください`,
+    vagueLink: p => `リンクテキスト「${p.text}」が曖昧です - リンク先の内容を書いてください`,
+    untriggeredLinks: p => `「いつ読むか」が書かれていないリンクが${p.count}件あります(例: ${p.line}行目 ${p.url}) - どんなときに参照するかを書いてください(「Xについては…を参照」)`,
+    untriggeredLink: p => `${p.url} へのリンクに「いつ読むか」が書かれていません - どんなときに参照するかを書いてください(「Xについては…を参照」)`,
+    descriptiveLinks: () => '内部リンクは内容が分かり、いつ読むべきかも書かれています',
+    criticalFrontLoaded: p => `重要な指示は冒頭にまとまっています(${p.count}件中${p.frontLoaded}件が最初の${p.boundary}行以内)`,
+    criticalLate: p => `重要な指示${p.count}件が後半で初めて登場します(例: ${p.line}行目「${p.text}」) - 冒頭の要約に移してください`,
+    criticalLateOne: p => `重要な指示が後半で初めて登場します:「${p.text}」 - 冒頭の要約に移してください`,
+    duplicates: p => `重複した指示があります(${p.count}組、例: ${p.pairs.map(([first, second]) => `${first}/${second}行目`).join('、')}) - 各指示は一度だけ書いてください`,
+    duplicate: p => `${p.line}行目と同じ指示です - 各指示は一度だけ書いてください`,
+    contradictions: p => `矛盾する指示があります(${p.count}件、例: ${p.lines}行目の${p.subject}) - 1つの対象につきルールは1つにしてください`,
+    contradiction: p => `${p.subject}について矛盾する指示があります(${p.lines}行目) - 1つの対象につきルールは1つにしてください`,
+    staleReferences: p => `古くなった参照が${p.count}件あります(例: ${p.line}行目 ${p.reference} - ${p.reason}) - 更新するか削除してください`,
+    staleReference: p => `古くなった参照 ${p.reference} - ${p.reason}`,
+    sensitiveContent: p => `秘密情報や機密性の高い値が${p.count}件あります(例: ${p.line}行目 ${p.label}「${p.preview}」) - エージェントは指示ファイルをすべて読み込むため、削除してください`,
+    sensitiveItem: p => `${p.label}の可能性があります:「${p.preview}」 - 削除するか、エージェント向けの指示の外に移してください`,
+    unsafeInstructions: p => `エージェントが従いかねない危険な指示が${p.count}件あります(例: ${p.line}行目 ${p.label}「${p.preview}」)${p.via ? ` - 経路: ${p.via}` : ''} - 削除するか、このファイルへのリンクをやめてください`,
+    unsafeInstruction: p => `危険な指示(${p.label}):「${p.preview}」${p.via ? ` - 経路: ${p.via}` : ''}`,
+    customFindingLine: p => `(${p.line}行目)`,
+    splitPlan: p => `分割案: ${p.count}個のセクションを新しいファイルに移動(${p.moves}) - 総合スコアの見込み ${p.before} -> ${p.after}`,
+    splitMove: p => `「${p.section}」を ${p.file} に移動 - 総合スコアの見込み ${p.before} -> ${p.after}`,
+    readCoverageComplete: p => `重要な指示はすべて${p.budget}トークン以内で読まれます(内容の${p.coverage}%)`,
+    readCoverageMissed: p => `重要な指示${p.count}件が${p.budget}トークンの読み取り範囲外です。読み取りは ${p.stoppedAt} で止まります(例: ${p.location}「${p.text}」) - それより前に移してください`,
+    readCoverageMissedOne: p => `${p.location ? `${p.location} の` : ''}重要な指示が${p.budget}トークンの読み取り範囲外です:「${p.text}」`,
+    repeatedPhrase: p => `「${p.phrase}」が${p.count}回出現します - 一度だけ書いて、あとはそこを参照してください`,
+    repeatedPhrases: p => `冗長な可能性があります(繰り返し出現する語句が${p.count}件、例: ${p.line}行目からの「${p.phrase}」が${p.times}回) - 繰り返しを見直してください`,
+    scoreLens: p => `スコア ${p.score}/10 · 約${p.tokens}トークン · エラー${p.errors}件、警告${p.warnings}件`,
+    scoreBreakdown: p => `${p.byTokens ? 'トークン数' : '長さ'} ${p.length} · 構造 ${p.structure} · 段階的開示 ${p.disclosure}`,
+    fixAnchorLinks: () => 'アンカーリンクをリンクテキストに置き換える',
+    fixHeadingDepth: () => '見出しを太字テキストにする',
+    fixRemoveLine: p => `${p.line}行目を削除する`,
+    fixAll: p => `安全な修正をすべて適用する(${p.count}件)`,
+    analysisFailed: p => `この文書を解析できません: ${p.message}`
+  }
+};
+
+/**
+ * Returns a message lookup for a language
+ * @param {string} lang - 'en' or 'ja' (anything else falls back to English)
+ * @returns {Function} (key, params) => message
+ */
+function createTranslator(lang) {
+  const catalog = MESSAGES[lang] || MESSAGES.en;
+  return (key, params = {}) => catalog[key](params);
+}
+
+module.exports = {
+  createTranslator
+};
@@ -0,0 +1,216 @@
+/**
+ * Tool-specific convention profiles
+ *
+ * Each profile describes how one agent tool discovers instruction files
+ * (entry points and whether they load automatically or on demand), which
+ * import syntax it follows in addition to Markdown links, and its known size
+ * limits. See references/conventions.md for the sources behind each profile.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { maskCodeSpans } = require('./markdown');
+const { matchGlob, toPosixPath, walkFiles } = require('./glob');
+
+const PROFILES = {
+  agents: {
+    name: 'AGENTS.md (agents.md open format)',
+    entryPoints: [
+      { pattern: '**/AGENTS.md', loading: 'auto' }
+    ],
+    nestedFilenames: ['AGENTS.md'],
+    importSyntax: null,
+    limits: null
+  },
+  codex: {
+    name: 'OpenAI Codex CLI',
+    entryPoints: [
+      { pattern: '**/AGENTS.override.md', loading: 'auto' },
+      { pattern: '**/AGENTS.md', loading: 'auto' }
+    ],
+    nestedFilenames: ['AGENTS.md', 'AGENTS.override.md'],
+    importSyntax: null,
+    // project_doc_max_bytes: the concatenated project docs are truncated beyond this size
+    limits: { maxBytes: 32768, combined: true, hard: true, note: 'Codex truncates project docs beyond project_doc_max_bytes' }
+  },
+  'claude-code': {
+    name: 'Claude Code',
+    entryPoints: [
+      { pattern: 'CLAUDE.md', loading: 'auto' },
+      { pattern: '.claude/CLAUDE.md', loading: 'auto' },
+      { pattern: 'CLAUDE.local.md', loading: 'auto' },
+      { pattern: '.claude/rules/**/*.md', loading: 'auto' },
+      // Nested memory files are read when Claude works on files in that subtree
+      { pattern: '**/CLAUDE.md', loading: 'on-demand' }
+    ],
+    nestedFilenames: ['CLAUDE.md'],
+    importSyntax: 'at-path',
+    limits: { maxChars: 40000, combined: false, hard: false, note: 'Claude Code warns that large memory files impact performance' }
+  },
+  copilot: {
+    name: 'GitHub Copilot',
+    entryPoints: [
+      { pattern: '.github/copilot-instructions.md', loading: 'auto' },
+      // Path-specific instructions apply only to files matching their applyTo globs
+      { pattern: '.github/instructions/**/*.instructions.md', loading: 'on-demand' }
+    ],
+    nestedFilenames: [],
+    importSyntax: null,
+    limits: { maxChars: 4000, combined: false, hard: true, note: 'Copilot code review only reads the first 4,000 characters of an instruction file' }
+  },
+  cursor: {
+    name: 'Cursor',
+    entryPoints: [
+      { pattern: '.cursorrules', loading: 'auto' },
+      { pattern: 'AGENTS.md', loading: 'auto' },
+      // Project rules: alwaysApply rules load automatically, the rest on glob match or agent request
+      { pattern: '.cursor/rules/**/*.{md,mdc}', loading: 'frontmatter' }
+    ],
+    nestedFilenames: [],
+    importSyntax: null,
+    limits: { maxLines: 500, combined: false, hard: false, note: 'Cursor recommends keeping each rule under 500 lines' }
+  },
+  aider: {
+    name: 'Aider',
+    entryPoints: [
+      // Loaded only when passed with --read or listed under `read:` in .aider.conf.yml
+      { pattern: 'CONVENTIONS.md', loading: 'on-demand' }
+    ],
+    configReadList: '.aider.conf.yml',
+    nestedFilenames: [],
+    importSyntax: null,
+    limits: null
+  }
+};
+
+const PROFILE_IDS = Object.keys(PROFILES);
+
+/**
+ * Returns the profile for a tool id, or null when unknown
+ */
+function getProfile(id) {
+  if (!Object.prototype.hasOwnProperty.call(PROFILES, id)) return null;
+  return { id, ...PROFILES[id] };
+}
+
+/**
+ * Reads `alwaysApply` from a Cursor rule's front matter
+ */
+function cursorRuleLoading(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const frontMatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (frontMatter && /^alwaysApply:\s*true\s*$/m.test(frontMatter[1])) return 'auto';
+  return 'on-demand';
+}
+
+/**
+ * Reads the `read:` list from an Aider config file (string or YAML list)
+ */
+function readAiderConfigList(rootDir, configFile) {
+  const configPath = path.join(rootDir, configFile);
+  if (!fs.existsSync(configPath)) return [];
+
+  const lines = fs.readFileSync(configPath, 'utf-8').split(/\r?\n/);
+  const entries = [];
+  let inReadList = false;
+
+  for (const line of lines) {
+    const inline = line.match(/^read:\s*(.+?)\s*$/);
+    if (inline) {
+      const value = inline[1].replace(/^\[|\]$/g, '');
+      entries.push(...value.split(',').map(v => v.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean));
+      inReadList = false;
+    } else if (/^read:\s*$/.test(line)) {
+      inReadList = true;
+    } else if (inReadList) {
+      const item = line.match(/^\s*-\s*(.+?)\s*$/);
+      if (item) entries.push(item[1].replace(/^['"]|['"]$/g, ''));
+      else if (line.trim()) inReadList = false;
+    }
+  }
+
+  return entries.map(entry => toPosixPath(path.normalize(entry)));
+}
+
+/**
+ * Determines how a tool loads a file (relative to rootDir)
+ * @returns {string|null} 'auto', 'on-demand', or null if the profile never loads it by convention
+ */
+function classifyFile(profile, rootDir, filePath) {
+  const relativePath = toPosixPath(path.relative(rootDir, filePath));
+
+  if (profile.configReadList && readAiderConfigList(rootDir, profile.configReadList).includes(relativePath)) {
+    return 'auto';
+  }
+
+  for (const entry of profile.entryPoints) {
+    if (!matchGlob(relativePath, entry.pattern)) continue;
+    return entry.loading === 'frontmatter' ? cursorRuleLoading(filePath) : entry.loading;
+  }
+
+  return null;
+}
+
+/**
+ * Finds a profile's entry point files under rootDir
+ * @returns {Array} [{ file, loading }] sorted with automatically loaded files first
+ */
+function findProfileEntryPoints(profile, rootDir, options = {}) {
+  const root = path.resolve(rootDir);
+  const results = [];
+
+  for (const filePath of walkFiles(root, options)) {
+    const loading = classifyFile(profile, root, filePath);
+    if (loading) results.push({ file: filePath, loading });
+  }
+
+  // Aider config may list files that do not match any naming convention
+  if (profile.configReadList) {
+    for (const entry of readAiderConfigList(root, profile.configReadList)) {
+      const filePath = path.resolve(root, entry);
+      if (fs.existsSync(filePath) && !results.some(r => r.file === filePath)) {
+        results.push({ file: filePath, loading: 'auto' });
+      }
+    }
+  }
+
+  return results.sort((a, b) => {
+    if (a.loading !== b.loading) return a.loading === 'auto' ? -1 : 1;
+    return a.file.split(path.sep).length - b.file.split(path.sep).length || a.file.localeCompare(b.file);
+  });
+}
+
+/**
+ * Extracts Claude Code style `@path/to/file` imports from prose lines
+ * (imports inside code spans and code blocks are not evaluated)
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @returns {Array} [{ url, lineNumber }]
+ */
+function extractAtImports(tokens) {
+  const imports = [];
+  const importRegex = /(^|\s)@((?:~\/|\.{1,2}\/|\/)?[\w.-]+(?:\/[\w.-]+)*)/g;
+
+  for (const line of tokens.lines) {
+    if (line.kind !== 'text') continue;
+    const text = maskCodeSpans(line.prose);
+    let match;
+    importRegex.lastIndex = 0;
+    while ((match = importRegex.exec(text)) !== null) {
+      const target = match[2].replace(/\.+$/, '');
+      // Require something path-like so "@team" mentions are not treated as imports
+      if (!target.includes('/') && !/\.\w+$/.test(target)) continue;
+      imports.push({ url: target, lineNumber: line.lineNumber });
+    }
+  }
+
+  return imports;
+}
+
+module.exports = {
+  PROFILES,
+  PROFILE_IDS,
+  getProfile,
+  classifyFile,
+  findProfileEntryPoints,
+  extractAtImports
+};
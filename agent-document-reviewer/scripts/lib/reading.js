@@ -0,0 +1,125 @@
+/**
+ * Sequential-reading simulation (--simulate-read <tokens|percent>)
+ *
+ * Agents read from the top and stop once they think they have enough context.
+ * The simulation reads an entry point line by line, then the linked documents
+ * in the order analyzeWithLinks visits them (depth-first, in link order),
+ * until the token budget runs out, and reports what was never seen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosixPath } = require('./glob');
+const { parseMarkdown } = require('./cache');
+const { estimateDocumentTokens } = require('./tokens');
+const { extractDirectives } = require('./directives');
+
+/**
+ * Parses a --simulate-read value
+ * @param {string} value - "4000" (tokens) or "30%" (share of everything reachable from the entry point)
+ * @returns {Object|null} { tokens } or { percent }, or null when invalid
+ */
+function parseReadBudget(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(%?)$/);
+  if (!match) return null;
+  const amount = Number(match[1]);
+  if (match[2]) return amount > 0 && amount <= 100 ? { percent: amount } : null;
+  return Number.isInteger(amount) && amount > 0 ? { tokens: amount } : null;
+}
+
+/**
+ * Lists the documents read from an entry point: the entry first, then linked documents depth-first
+ * @param {string} entryPoint - Absolute path
+ * @param {Array} edges - [{ from, to }] with absolute paths, in link order
+ * @param {Set} analyzedPaths - Documents that were analyzed (links to anything else are not followed)
+ * @param {number} maxDepth - Same limit as --max-depth
+ * @returns {string[]} Absolute paths in reading order
+ */
+function readingOrder(entryPoint, edges, analyzedPaths, maxDepth) {
+  const order = [];
+  const visit = (filePath, depth) => {
+    if (order.includes(filePath) || !analyzedPaths.has(filePath)) return;
+    order.push(filePath);
+    if (depth >= maxDepth) return;
+    for (const edge of edges) {
+      if (edge.from === filePath) visit(edge.to, depth + 1);
+    }
+  };
+  visit(entryPoint, 0);
+  return order;
+}
+
+/**
+ * Reads documents in order until the budget runs out
+ * @param {string[]} order - Result of readingOrder()
+ * @param {Object} budget - Result of parseReadBudget()
+ * @param {Object} options - { rootDir } file paths in the result are relative to it,
+ *                           { sources: Map } content of documents that are not on disk (absolute path -> content)
+ * @returns {Object} { budget, totalTokens, readTokens, coverage, stoppedAt, files, sections, directives }
+ */
+function simulateReading(order, budget, options = {}) {
+  const { rootDir = process.cwd(), sources = null } = options;
+  const id = filePath => toPosixPath(path.relative(rootDir, filePath)) || path.basename(filePath);
+
+  const documents = order.map(filePath => {
+    const tokens = parseMarkdown(sources && sources.has(filePath) ? sources.get(filePath) : fs.readFileSync(filePath, 'utf-8'));
+    const { total, perLine } = estimateDocumentTokens(tokens);
+    return { file: id(filePath), tokens, total, perLine };
+  });
+  const totalTokens = documents.reduce((sum, doc) => sum + doc.total, 0);
+  const limit = budget.tokens !== undefined ? budget.tokens : Math.max(1, Math.round(totalTokens * budget.percent / 100));
+
+  let used = 0;
+  let stoppedAt = null;
+  const files = { read: [], partial: [], unread: [] };
+  const sections = { seen: 0, total: 0, unread: [] };
+  const directives = { seen: 0, total: 0, unread: [] };
+
+  for (const doc of documents) {
+    // A line is seen when the agent starts reading it within the budget
+    let seenLines = 0;
+    while (seenLines < doc.perLine.length && used < limit) {
+      used += doc.perLine[seenLines];
+      seenLines++;
+    }
+
+    if (seenLines === doc.perLine.length) files.read.push(doc.file);
+    else if (seenLines > 0) files.partial.push(doc.file);
+    else files.unread.push(doc.file);
+
+    if (!stoppedAt && seenLines < doc.perLine.length) {
+      const heading = doc.tokens.headings.filter(item => item.lineNumber <= seenLines + 1).pop();
+      stoppedAt = { file: doc.file, line: seenLines + 1, section: heading ? heading.title : null };
+    }
+
+    for (const heading of doc.tokens.headings) {
+      sections.total++;
+      if (heading.lineNumber <= seenLines) sections.seen++;
+      else sections.unread.push({ file: doc.file, title: heading.title, line: heading.lineNumber });
+    }
+    for (const directive of extractDirectives(doc.tokens)) {
+      directives.total++;
+      if (directive.lineNumber <= seenLines) directives.seen++;
+      else directives.unread.push({ file: doc.file, line: directive.lineNumber, keyword: directive.keyword, text: directive.text });
+    }
+  }
+
+  const readTokens = Math.min(used, totalTokens, limit);
+  return {
+    budget: limit,
+    ...(budget.percent !== undefined ? { percent: budget.percent } : {}),
+    totalTokens,
+    readTokens,
+    coverage: totalTokens > 0 ? Math.round(readTokens / totalTokens * 100) : 100,
+    stoppedAt,
+    files,
+    sections,
+    directives
+  };
+}
+
+module.exports = {
+  parseReadBudget,
+  readingOrder,
+  simulateReading
+};
@@ -0,0 +1,228 @@
+/**
+ * Sentence-level near-duplicate detection (no external dependencies)
+ *
+ * Splits prose into instruction sentences, normalizes them into sets of
+ * content terms (stopwords and modal verbs removed, light stemming, a small
+ * synonym table for terms agent docs use interchangeably), and reports pairs
+ * whose term sets overlap above a Jaccard similarity threshold. This catches
+ * paraphrases such as "Use TypeScript for all new code" and
+ * "TypeScript is required for new files", not just verbatim repetition.
+ * Negations are stopwords too, so a sentence and its negation look alike;
+ * such pairs are told apart by polarity ("never X" does not repeat "X").
+ * CJK text has no spaces between words, so its terms are character bigrams.
+ */
+
+const { CJK_LETTER_REGEX, CJK_RUN_REGEX } = require('./language');
+
+const DEFAULT_THRESHOLD = 0.6;
+const MIN_TERMS = 3;
+const MAX_PAIRS = 20;
+
+// Terms that appear in so many sentences that they never indicate duplication
+const MAX_TERM_FREQUENCY = 50;
+const NEGATION_REGEX = /\b(?:never|don't|dont|do not|does not|must not|mustn't|should not|shouldn't|cannot|can't|avoid|forbidden|prohibited|disallowed)\b/i;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'during', 'each', 'either', 'every', 'few', 'for', 'from',
+  'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'itself', 'just', 'may', 'me', 'might', 'more', 'most', 'my', 'no', 'nor',
+  'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own',
+  'same', 'she', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would',
+  'you', 'your', 'yours',
+  // Modal and directive verbs: they set the tone, not the subject of an instruction
+  'always', 'must', 'should', 'shall', 'need', 'needs', 'required', 'require', 'requires', 'use', 'using',
+  'used', 'make', 'sure', 'please', 'ensure', 'never', 'don', 't', 'dont'
+]);
+
+// Hiragana-only bigrams are particles and verb endings, the CJK counterpart of stopwords
+const HIRAGANA_ONLY_REGEX = /^[\u3041-\u309f]+$/;
+
+const SYNONYMS = {
+  file: 'code',
+  source: 'code',
+  spec: 'test',
+  execute: 'run',
+  package: 'dependency',
+  library: 'dependency',
+  repository: 'repo',
+  directory: 'folder',
+  dir: 'folder'
+};
+
+/**
+ * Reduces a word to a crude stem (plural and common verb suffixes)
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Converts a sentence into its set of normalized content terms
+ */
+function normalizeTerms(sentence) {
+  const words = sentence.toLowerCase().match(/[a-z0-9][a-z0-9+#.-]*[a-z0-9+#]|[a-z0-9]/g) || [];
+  const terms = new Set();
+  for (const word of words) {
+    if (STOPWORDS.has(word)) continue;
+    const stemmed = stem(word);
+    terms.add(SYNONYMS[stemmed] || stemmed);
+  }
+  for (const run of sentence.match(CJK_RUN_REGEX) || []) {
+    for (let index = 0; index + 2 <= run.length; index++) {
+      const bigram = run.slice(index, index + 2);
+      if (!HIRAGANA_ONLY_REGEX.test(bigram)) terms.add(bigram);
+    }
+  }
+  return [...terms];
+}
+
+/**
+ * Strips inline Markdown markup so only the readable sentence remains
+ */
+function stripInlineMarkup(text) {
+  return text
+    .replace(/^\s*(?:>\s*)+/, '')
+    .replace(/^\s*(?:[-*+]|\d{1,9}[.)])\s+(?:\[[ xX]\]\s+)?/, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+    .replace(/[*_~`]+/g, '')
+    .trim();
+}
+
+/**
+ * Extracts instruction sentences from a tokenized markdown document
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @returns {Array} [{ lineNumber, text, terms }]
+ */
+function extractInstructions(tokens) {
+  const headingLines = new Set(tokens.headings.map(h => h.lineNumber));
+  const instructions = [];
+
+  for (const line of tokens.lines) {
+    if (line.kind !== 'text' || line.definition || headingLines.has(line.lineNumber)) continue;
+    if (/^\s*\|/.test(line.prose) || /^\s*[-=*_]{3,}\s*$/.test(line.prose)) continue;
+
+    const text = stripInlineMarkup(line.prose);
+    const sentences = text.split(/(?<=[.!?])\s+|(?<=[\u3002\uff01\uff1f])\s*/);
+
+    for (const sentence of sentences) {
+      const trimmed = sentence.trim();
+      if (!trimmed) continue;
+      const terms = normalizeTerms(trimmed);
+      if (terms.length < MIN_TERMS) continue;
+      instructions.push({ lineNumber: line.lineNumber, text: trimmed, terms });
+    }
+  }
+
+  return instructions;
+}
+
+/**
+ * Tells whether an instruction forbids rather than prescribes ("Never use X", "Don't X")
+ */
+function isNegative(text) {
+  return NEGATION_REGEX.test(text);
+}
+
+function jaccard(a, b) {
+  const setB = new Set(b);
+  let intersection = 0;
+  for (const term of a) {
+    if (setB.has(term)) intersection++;
+  }
+  return intersection / (a.length + b.length - intersection);
+}
+
+function verbatimKey(text) {
+  return [...text.toLowerCase()]
+    .map(char => (/[a-z0-9]/.test(char) || CJK_LETTER_REGEX.test(char) ? char : ' '))
+    .join('')
+    .replace(/ +/g, ' ')
+    .trim();
+}
+
+/**
+ * Finds near-duplicate instruction pairs within and across documents
+ * @param {Array} documents - [{ file, instructions }] where instructions come from extractInstructions()
+ * @param {Object} options - { threshold, crossFileOnly, maxPairs },
+ *                           { polarity: 'same'|'opposite'|'any' } pair sentences of equal polarity (duplicates, the default),
+ *                           a sentence with its negation (contradictions), or both
+ * @returns {Array} [{ similarity, type, first: { file, line, text }, second: { file, line, text } }]
+ */
+function findDuplicateInstructions(documents, options = {}) {
+  const {
+    threshold = DEFAULT_THRESHOLD,
+    crossFileOnly = false,
+    maxPairs = MAX_PAIRS,
+    polarity = 'same'
+  } = options;
+
+  const entries = [];
+  for (const doc of documents) {
+    for (const instruction of doc.instructions) {
+      entries.push({ file: doc.file, ...instruction });
+    }
+  }
+
+  // Inverted index: only sentences sharing at least one term are compared
+  const index = new Map();
+  entries.forEach((entry, id) => {
+    for (const term of entry.terms) {
+      if (!index.has(term)) index.set(term, []);
+      index.get(term).push(id);
+    }
+  });
+
+  const compared = new Set();
+  const pairs = [];
+
+  for (const ids of index.values()) {
+    if (ids.length < 2 || ids.length > MAX_TERM_FREQUENCY) continue;
+
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const key = `${ids[i]}:${ids[j]}`;
+        if (compared.has(key)) continue;
+        compared.add(key);
+
+        const first = entries[ids[i]];
+        const second = entries[ids[j]];
+        const sameFile = first.file === second.file;
+        if (crossFileOnly && sameFile) continue;
+        if (sameFile && first.lineNumber === second.lineNumber) continue;
+        if (polarity !== 'any' && (isNegative(first.text) === isNegative(second.text)) !== (polarity === 'same')) continue;
+
+        const similarity = jaccard(first.terms, second.terms);
+        if (similarity < threshold) continue;
+
+        pairs.push({
+          similarity: Math.round(similarity * 100) / 100,
+          type: verbatimKey(first.text) === verbatimKey(second.text) ? 'verbatim' : 'paraphrase',
+          first: { file: first.file, line: first.lineNumber, text: first.text },
+          second: { file: second.file, line: second.lineNumber, text: second.text }
+        });
+      }
+    }
+  }
+
+  return pairs
+    .sort((a, b) => b.similarity - a.similarity ||
+      a.first.file.localeCompare(b.first.file) || a.first.line - b.first.line)
+    .slice(0, maxPairs);
+}
+
+module.exports = {
+  extractInstructions,
+  findDuplicateInstructions,
+  isNegative,
+  normalizeTerms,
+  stripInlineMarkup
+};
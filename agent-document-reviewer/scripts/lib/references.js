@@ -0,0 +1,285 @@
+/**
+ * Stale-reference detection against the repository under --root-dir
+ *
+ * Instruction documents mention paths (`src/legacy/foo.ts`), globs
+ * (`packages/*`), package scripts (`npm run lint:fix`) and Makefile
+ * targets (`make test`) that keep pointing at code long after it changed.
+ * Paths and globs are read from inline code; a bare file name (`.env`,
+ * `AGENTS.md`) names a kind of file more often than one path, so only spans
+ * with a slash count. Commands are read from inline code and code blocks. Each is checked against the file system, the
+ * `scripts` of every package.json and the targets of every Makefile between
+ * the document's directory and the root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasGlobMagic, matchGlob, toPosixPath, walkFiles } = require('./glob');
+
+// Two-part names are only treated as paths when they end in one of these extensions
+const FILE_EXTENSION_REGEX = /\.(?:md|mdc|mdx|txt|js|cjs|mjs|jsx|ts|cts|mts|tsx|json|jsonc|ya?ml|toml|ini|cfg|env|lock|py|rb|go|rs|java|kt|swift|c|h|cc|cpp|hpp|cs|php|sh|bash|zsh|ps1|css|scss|sass|less|html|vue|svelte|sql|graphql|proto|xml|gradle)$/i;
+const PATH_CHARS_REGEX = /^[\w.@*?{}[\],/-]+$/;
+const MAKEFILE_NAMES = ['GNUmakefile', 'makefile', 'Makefile'];
+
+// Subcommands that are not package.json scripts
+const PACKAGE_MANAGER_BUILTINS = new Set([
+  'add', 'audit', 'bin', 'cache', 'ci', 'config', 'create', 'dedupe', 'deploy', 'dlx', 'env', 'exec',
+  'fetch', 'global', 'help', 'i', 'import', 'info', 'init', 'install', 'link', 'list', 'login', 'logout',
+  'ls', 'outdated', 'pack', 'patch', 'prune', 'publish', 'rebuild', 'remove', 'rm', 'root', 'set',
+  'setup', 'store', 'uninstall', 'unlink', 'up', 'update', 'upgrade', 'version', 'why', 'workspace',
+  'workspaces', 'x'
+]);
+// npm runs scripts only through `run` plus these shortcuts (`start` falls back to server.js)
+const NPM_SCRIPT_SHORTCUTS = new Set(['test', 't', 'stop']);
+// bun has its own test runner and bundler
+const BUN_BUILTINS = new Set(['build', 'pm', 'test']);
+
+/**
+ * Parses a shell command into package-script or Makefile-target references
+ * @returns {Array} [{ type: 'script'|'make-target', reference, name }]
+ */
+function parseCommand(command) {
+  const references = [];
+
+  for (const segment of command.split(/&&|\|\||[;|]/)) {
+    const words = segment.trim().replace(/^\$\s+/, '').split(/\s+/).filter(Boolean);
+    const reference = words.join(' ');
+    if (words.length < 2) continue;
+
+    const manager = words[0];
+    if (['npm', 'pnpm', 'yarn', 'bun'].includes(manager)) {
+      // Workspace-scoped invocations resolve scripts in another package
+      if (words.some(word => /^(?:-w|-F|-C|--filter|--workspace|--prefix|--dir|--cwd)(?:=|$)/.test(word))) continue;
+      const args = words.slice(1).filter(word => !word.startsWith('-'));
+      if (args.length === 0) continue;
+
+      let script = null;
+      if (args[0] === 'run' || args[0] === 'run-script') {
+        script = args[1] || null;
+      } else if (manager === 'npm') {
+        if (NPM_SCRIPT_SHORTCUTS.has(args[0])) script = args[0] === 't' ? 'test' : args[0];
+      } else if (!PACKAGE_MANAGER_BUILTINS.has(args[0]) && !(manager === 'bun' && BUN_BUILTINS.has(args[0]))) {
+        script = args[0];
+      }
+      if (script && /^[\w:.-]+$/.test(script)) {
+        references.push({ type: 'script', reference, name: script, manager });
+      }
+    } else if (manager === 'make') {
+      if (words.some(word => /^-[Cf]/.test(word) || word.startsWith('--directory') || word.startsWith('--file'))) continue;
+      for (const word of words.slice(1)) {
+        if (word.startsWith('-') || word.includes('=')) continue;
+        if (/^[\w.\/-]+$/.test(word)) references.push({ type: 'make-target', reference, name: word });
+      }
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Classifies an inline code span as a path or glob reference, or null
+ */
+function parsePathReference(code) {
+  let candidate = code.replace(/:\d+(?::\d+)?$/, ''); // src/foo.ts:42
+  if (!PATH_CHARS_REGEX.test(candidate)) return null;
+  if (candidate.startsWith('-') || candidate.startsWith('@') || candidate.startsWith('/')) return null;
+  if (/^\.{1,2}$/.test(candidate) || candidate.includes('//')) return null;
+  if (/(?:^|\/)path\/to\//.test(candidate)) return null; // placeholder
+
+  if (hasGlobMagic(candidate)) {
+    return candidate.includes('/') || /\*\.\w+$/.test(candidate) ? { type: 'glob', name: candidate } : null;
+  }
+
+  candidate = candidate.replace(/^\.\//, '');
+  const segments = candidate.replace(/\/$/, '').split('/');
+  const last = segments[segments.length - 1];
+  if (segments.length === 1) {
+    return code.endsWith('/') ? { type: 'path', name: candidate, fileLike: true } : null;
+  }
+  // Two-part names such as `origin/main` or `owner/repo` are only checked when clearly file-like
+  const fileLike = FILE_EXTENSION_REGEX.test(last) || code.endsWith('/') || code.startsWith('.');
+  return { type: 'path', name: candidate, fileLike };
+}
+
+/**
+ * Extracts path, glob, script and Makefile-target references from a document
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @returns {Array} [{ lineNumber, type, reference, name }]
+ */
+function extractReferences(tokens) {
+  const references = [];
+
+  for (const span of tokens.codeSpans) {
+    const commands = parseCommand(span.text);
+    if (commands.length > 0) {
+      commands.forEach(command => references.push({ lineNumber: span.lineNumber, ...command }));
+      continue;
+    }
+    const pathReference = parsePathReference(span.text);
+    if (pathReference) references.push({ lineNumber: span.lineNumber, reference: span.text, ...pathReference });
+  }
+
+  for (const line of tokens.lines) {
+    if (line.kind !== 'code') continue;
+    const command = line.text.trim().replace(/^[$>]\s+/, '');
+    parseCommand(command).forEach(item => references.push({ lineNumber: line.lineNumber, ...item }));
+  }
+
+  return references.sort((a, b) => a.lineNumber - b.lineNumber);
+}
+
+function readScripts(packageJsonPath) {
+  try {
+    const scripts = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8')).scripts;
+    return scripts && typeof scripts === 'object' ? Object.keys(scripts) : [];
+  } catch {
+    return [];
+  }
+}
+
+function readMakeTargets(makefilePath) {
+  const targets = [];
+  for (const line of fs.readFileSync(makefilePath, 'utf-8').split(/\r?\n/)) {
+    const match = line.match(/^([^\s:#=][^:=]*?)\s*::?(?!=)/);
+    if (!match) continue;
+    targets.push(...match[1].split(/\s+/).filter(target => !target.includes('%')));
+  }
+  return targets;
+}
+
+/**
+ * Creates a lazily populated index of the repository under rootDir
+ * @param {string} rootDir - Sandbox root
+ * @param {Object} options - { noSymlinks: boolean }
+ * @returns {Object} Repository index passed to findStaleReferences()
+ */
+function createRepoIndex(rootDir, options = {}) {
+  const root = path.resolve(rootDir);
+  let paths = null;
+  const scriptCache = new Map();
+  const targetCache = new Map();
+
+  const load = () => {
+    if (paths) return;
+    paths = new Set();
+    for (const filePath of walkFiles(root, options)) {
+      let relativePath = toPosixPath(path.relative(root, filePath));
+      paths.add(relativePath);
+      // Directories are matched by globs such as `packages/*`
+      while (relativePath.includes('/')) {
+        relativePath = relativePath.slice(0, relativePath.lastIndexOf('/'));
+        paths.add(relativePath);
+      }
+    }
+  };
+
+  // Directories from the document's directory up to the root (inclusive)
+  const ancestors = directory => {
+    const result = [];
+    let current = path.resolve(directory);
+    while (true) {
+      const relativePath = path.relative(root, current);
+      if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) break;
+      result.push(current);
+      if (current === root) break;
+      current = path.dirname(current);
+    }
+    return result;
+  };
+
+  const collect = (directory, cache, names, read) => {
+    const found = { files: [], names: new Set() };
+    for (const dir of ancestors(directory)) {
+      if (!cache.has(dir)) {
+        const name = names.find(candidate => fs.existsSync(path.join(dir, candidate)));
+        cache.set(dir, name ? { file: path.join(dir, name), names: read(path.join(dir, name)) } : null);
+      }
+      const entry = cache.get(dir);
+      if (!entry) continue;
+      found.files.push(entry.file);
+      entry.names.forEach(item => found.names.add(item));
+    }
+    return found;
+  };
+
+  return {
+    root,
+    exists: relativePath => {
+      load();
+      return paths.has(relativePath.replace(/\/$/, ''));
+    },
+    matchesGlob: pattern => {
+      load();
+      for (const candidate of paths) {
+        if (matchGlob(candidate, pattern)) return true;
+      }
+      return false;
+    },
+    scripts: directory => collect(directory, scriptCache, ['package.json'], readScripts),
+    makeTargets: directory => collect(directory, targetCache, MAKEFILE_NAMES, readMakeTargets)
+  };
+}
+
+/**
+ * Returns the reason a reference is stale, or null if it resolves
+ */
+function checkReference(reference, directory, repo) {
+  const fromRoot = candidate => {
+    const resolved = path.resolve(directory, candidate);
+    const relativePath = path.relative(repo.root, resolved);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+    return toPosixPath(relativePath);
+  };
+
+  if (reference.type === 'script') {
+    const found = repo.scripts(directory);
+    if (found.files.length === 0) return 'no package.json between this file and --root-dir';
+    return found.names.has(reference.name) ? null : `script "${reference.name}" is not defined in package.json`;
+  }
+
+  if (reference.type === 'make-target') {
+    const found = repo.makeTargets(directory);
+    if (found.files.length === 0) return 'no Makefile between this file and --root-dir';
+    return found.names.has(reference.name) ? null : `target "${reference.name}" is not defined in the Makefile`;
+  }
+
+  if (reference.type === 'glob') {
+    // Globs are usually written relative to the repository root
+    const pattern = reference.name.replace(/^\.\//, '');
+    const patterns = pattern.includes('/') ? [pattern] : [`**/${pattern}`];
+    const documentRelative = fromRoot(pattern);
+    if (documentRelative && documentRelative !== pattern) patterns.push(documentRelative);
+    return patterns.some(item => repo.matchesGlob(item)) ? null : 'glob matches no files';
+  }
+
+  // Paths may be relative to the document or to the repository root
+  if (reference.name.startsWith('../') && !fromRoot(reference.name)) return null; // outside the sandbox
+  const candidates = [fromRoot(reference.name), toPosixPath(path.normalize(reference.name))].filter(Boolean);
+  if (candidates.some(candidate => repo.exists(candidate))) return null;
+  if (!reference.fileLike && !repo.exists(reference.name.split('/')[0])) return null;
+  return 'path does not exist';
+}
+
+/**
+ * Finds references in a document that no longer resolve in the repository
+ * @param {string} filePath - Absolute path of the document
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @param {Object} repo - Result of createRepoIndex()
+ * @returns {Array} [{ line, type, reference, reason }]
+ */
+function findStaleReferences(filePath, tokens, repo) {
+  const directory = path.dirname(path.resolve(filePath));
+  const stale = [];
+
+  for (const reference of extractReferences(tokens)) {
+    const reason = checkReference(reference, directory, repo);
+    if (reason) stale.push({ line: reference.lineNumber, type: reference.type, reference: reference.reference, reason });
+  }
+
+  return stale;
+}
+
+module.exports = {
+  createRepoIndex,
+  extractReferences,
+  findStaleReferences
+};
@@ -0,0 +1,452 @@
+/**
+ * Human-readable reports (--format markdown, --format html)
+ *
+ * Both formats render the same model: a scoreboard per file, feedback grouped
+ * by severity, a section heatmap by score and tokens, redundancy pairs,
+ * skipped links and the link tree. The HTML report is a single file with
+ * inline styles and no scripts or external assets, so it works offline.
+ */
+
+const path = require('path');
+const { toPosixPath } = require('./glob');
+
+const TEXT_PREVIEW_LENGTH = 80;
+const BAR_WIDTH = 20;
+
+// Section scores (lib/sections.js) by length band; a section nested too deep drops one band
+const HEAT_BANDS = [
+  { minScore: 10, square: '🟩', color: '#dafbe1', name: 'green', lines: '≤50 lines' },
+  { minScore: 8, square: '🟨', color: '#fff8c5', name: 'yellow', lines: '≤100' },
+  { minScore: 5, square: '🟧', color: '#ffe2c2', name: 'orange', lines: '≤200' },
+  { minScore: -Infinity, square: '🟥', color: '#ffd8d3', name: 'red', lines: 'longer' }
+];
+
+const SEVERITIES = [
+  { key: 'error', label: 'Errors', icon: '❌' },
+  { key: 'warning', label: 'Warnings', icon: '⚠️' },
+  { key: 'passed', label: 'Passed', icon: '✅' }
+];
+
+function preview(text) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  return flat.length > TEXT_PREVIEW_LENGTH ? `${flat.slice(0, TEXT_PREVIEW_LENGTH - 1)}…` : flat;
+}
+
+function groupFeedback(feedback) {
+  const groups = { error: [], warning: [], passed: [] };
+  for (const line of feedback) {
+    const key = line.startsWith('❌') ? 'error' : line.startsWith('✅') ? 'passed' : 'warning';
+    groups[key].push(line.replace(/^\S+\s+/, ''));
+  }
+  return groups;
+}
+
+/**
+ * Builds the tree of first visits from the link graph (documents reached again are marked, not expanded)
+ */
+function buildLinkTree(linkGraph) {
+  const nodes = new Map(linkGraph.nodes.map(node => [node.id, node]));
+  const expanded = new Set();
+
+  const visit = (id, line) => {
+    const node = nodes.get(id) || { id, status: 'not-analyzed' };
+    const item = { id, line, status: node.status, repeated: expanded.has(id), children: [] };
+    if (item.repeated || node.status !== 'analyzed') return item;
+    expanded.add(id);
+    const seenTargets = new Set();
+    for (const edge of linkGraph.edges) {
+      if (edge.from !== id || seenTargets.has(edge.to)) continue;
+      seenTargets.add(edge.to);
+      item.children.push(visit(edge.to, edge.line));
+    }
+    return item;
+  };
+
+  return linkGraph.nodes
+    .filter(node => node.entryPoint)
+    .map(node => visit(node.id, null));
+}
+
+/**
+ * Collects what both report formats show
+ * @param {Array} analyzed - [{ fullPath, depth?, metrics (full), evaluation }]
+ * @param {Object} options - { rootDir, linkedAnalysis, linkGraph, comparison, gate }
+ */
+function buildReportModel(analyzed, options = {}) {
+  const { rootDir = process.cwd(), linkedAnalysis = null, linkGraph = null, comparison = null, gate = null } = options;
+  const id = filePath => toPosixPath(path.relative(rootDir, filePath)) || path.basename(filePath);
+
+  const files = analyzed.map(item => {
+    const { metrics, evaluation } = item;
+    const feedback = groupFeedback(evaluation.feedback);
+    return {
+      id: id(item.fullPath),
+      depth: item.depth || 0,
+      scores: evaluation.scores,
+      lines: metrics.totalLines,
+      tokens: metrics.estimatedTokens,
+      feedback,
+      sections: metrics.sections || [],
+      duplicates: (metrics.duplicateInstructions || []).map(pair => ({
+        similarity: pair.similarity,
+        type: pair.type,
+        first: { file: id(item.fullPath), line: pair.first.line, text: pair.first.text },
+        second: { file: id(item.fullPath), line: pair.second.line, text: pair.second.text }
+      }))
+    };
+  });
+
+  // Duplicates between linked files are only in linkedAnalysis; within-file pairs come from each file
+  const crossFile = linkedAnalysis ? linkedAnalysis.redundancy.map(pair => ({
+    similarity: pair.similarity,
+    type: pair.type,
+    first: { file: id(pair.first.file), line: pair.first.line, text: pair.first.text },
+    second: { file: id(pair.second.file), line: pair.second.line, text: pair.second.text }
+  })) : [];
+
+  const skipped = [];
+  if (linkedAnalysis) {
+    const target = entry => (typeof entry === 'string' ? id(path.resolve(entry)) : `${entry.url} (${entry.resolvedPath})`);
+    for (const filePath of linkedAnalysis.notFound) skipped.push({ reason: 'Not found', target: id(filePath) });
+    for (const entry of linkedAnalysis.skipped.outsideRoot) skipped.push({ reason: 'Outside --root-dir', target: target(entry) });
+    for (const entry of linkedAnalysis.skipped.symlinks) skipped.push({ reason: 'Symlink (--no-symlinks)', target: target(entry) });
+    for (const entry of linkedAnalysis.skipped.maxDepth) skipped.push({ reason: 'Beyond --max-depth', target: target(entry) });
+    for (const entry of linkedAnalysis.skipped.maxCount) skipped.push({ reason: 'Beyond --max-count', target: target(entry) });
+  }
+
+  const scores = files.map(file => file.scores.overall);
+  const worst = files.reduce((min, file) => (!min || file.scores.overall < min.scores.overall ? file : min), null);
+  return {
+    title: `Agent Document Review: ${files.filter(file => file.depth === 0).map(file => file.id).join(', ')}`,
+    summary: {
+      files: files.length,
+      averageScore: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 10) / 10 : 0,
+      worstScore: worst ? worst.scores.overall : null,
+      worstFile: worst ? worst.id : null,
+      totalTokens: files.reduce((sum, file) => sum + file.tokens, 0)
+    },
+    files,
+    redundancy: [...files.flatMap(file => file.duplicates), ...crossFile],
+    skipped,
+    tree: linkGraph ? buildLinkTree(linkGraph) : null,
+    comparison,
+    gate
+  };
+}
+
+function scoreBadge(score) {
+  if (score >= 8) return '🟢';
+  if (score >= 5) return '🟡';
+  return '🔴';
+}
+
+function lengthScore(scores) {
+  return scores.tokenCount !== undefined ? scores.tokenCount : scores.lineCount;
+}
+
+function signed(delta) {
+  if (delta === null) return '-';
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function markdownTable(header, rows) {
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function heatBand(score) {
+  return HEAT_BANDS.find(band => score >= band.minScore);
+}
+
+/**
+ * Legend of the heatmap, shared by both formats
+ * @param {Function} swatch - Renders a band's marker (emoji square or color name)
+ */
+function heatLegend(swatch) {
+  const bands = HEAT_BANDS.map(band => `${swatch(band)} ${band.lines}`).join(', ');
+  return `Heat follows the section score: its length in lines (${bands}), one band hotter when the heading is nested deeper than the heading-depth limit; bars show estimated tokens relative to the largest section of the file.`;
+}
+
+function markdownTree(items, indent = '') {
+  return items.map(item => {
+    const where = item.line ? ` (line ${item.line})` : '';
+    let label = `\`${item.id}\`${where}`;
+    if (item.status === 'not-found') label = `~~\`${item.id}\`~~${where} - not found`;
+    else if (item.status !== 'analyzed') label += ' - not analyzed';
+    else if (item.repeated) label += ' - see above';
+    const children = item.children.length ? `\n${markdownTree(item.children, `${indent}  `)}` : '';
+    return `${indent}- ${label}${children}`;
+  }).join('\n');
+}
+
+/**
+ * Renders the report as GitHub-flavored Markdown (fits a pull request comment)
+ */
+function toMarkdown(model) {
+  const out = [`# ${model.title}`, ''];
+  const { summary } = model;
+  out.push(`${summary.files} file(s) analyzed · average score **${summary.averageScore}**/10 · worst ${summary.worstScore} (\`${summary.worstFile}\`) · ~${summary.totalTokens} tokens`);
+  if (model.gate) {
+    out.push('', model.gate.passed
+      ? '**Quality gate: passed**'
+      : `**Quality gate: failed** (${model.gate.failures.length} finding(s))`);
+  }
+
+  out.push('', '## Scoreboard', '', markdownTable(
+    ['File', 'Overall', 'Length', 'Structure', 'Disclosure', 'Lines', 'Tokens', 'Errors', 'Warnings'],
+    model.files.map(file => [
+      `\`${file.id}\``,
+      `${scoreBadge(file.scores.overall)} ${file.scores.overall}`,
+      lengthScore(file.scores),
+      file.scores.structure,
+      file.scores.progressiveDisclosure,
+      file.lines,
+      file.tokens,
+      file.feedback.error.length,
+      file.feedback.warning.length
+    ])
+  ));
+
+  if (model.comparison) {
+    out.push('', '## Changes Since Baseline', '', markdownTable(
+      ['File', 'Status', 'Score', 'Lines', 'Tokens', 'New findings', 'Resolved findings'],
+      model.comparison.files.filter(entry => entry.status !== 'unchanged').map(entry => [
+        `\`${entry.file}\``,
+        entry.status,
+        `${entry.score.before === null ? '-' : entry.score.before} → ${entry.score.after === null ? '-' : entry.score.after}`,
+        signed(entry.lines.delta),
+        signed(entry.tokens.delta),
+        entry.newFindings.length,
+        entry.resolvedFindings.length
+      ])
+    ));
+  }
+
+  out.push('', '## Feedback');
+  for (const file of model.files) {
+    out.push('', `### \`${file.id}\``);
+    for (const severity of SEVERITIES) {
+      const items = file.feedback[severity.key];
+      if (items.length === 0) continue;
+      out.push('', `**${severity.icon} ${severity.label}**`, '', ...items.map(text => `- ${text}`));
+    }
+  }
+
+  out.push('', '## Section Heatmap', '', heatLegend(band => band.square));
+  for (const file of model.files) {
+    if (file.sections.length === 0) continue;
+    const maxTokens = Math.max(1, ...file.sections.map(section => section.estimatedTokens));
+    out.push('', `### \`${file.id}\``, '', markdownTable(
+      ['Section', 'Lines', 'Tokens', 'Heat'],
+      file.sections.map(section => [
+        `${'&nbsp;&nbsp;'.repeat(section.depth - 1)}${section.title} (L${section.startLine})`,
+        section.lineCount,
+        section.estimatedTokens,
+        `${heatBand(section.score).square} ${'█'.repeat(Math.max(1, Math.round(section.estimatedTokens / maxTokens * BAR_WIDTH)))}`
+      ])
+    ));
+  }
+
+  out.push('', '## Redundancy', '');
+  out.push(model.redundancy.length === 0 ? 'No duplicate instructions found.' : markdownTable(
+    ['Similarity', 'Type', 'First', 'Second'],
+    model.redundancy.map(pair => [
+      pair.similarity,
+      pair.type,
+      `\`${pair.first.file}:${pair.first.line}\` ${preview(pair.first.text)}`,
+      `\`${pair.second.file}:${pair.second.line}\` ${preview(pair.second.text)}`
+    ])
+  ));
+
+  if (model.tree) {
+    out.push('', '## Skipped Links', '');
+    out.push(model.skipped.length === 0 ? 'Every link target was analyzed.' : markdownTable(
+      ['Reason', 'Target'],
+      model.skipped.map(item => [item.reason, `\`${item.target}\``])
+    ));
+    out.push('', '## Link Tree', '', markdownTree(model.tree));
+  }
+
+  return `${out.join('\n')}\n`;
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function htmlTable(header, rows, className = '') {
+  const head = header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('');
+  // Cells are escaped by the caller so that they can carry markup
+  const body = rows.map(row => `<tr>${row.join('')}</tr>`).join('\n');
+  return `<table${className ? ` class="${className}"` : ''}>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function cell(text, attributes = '') {
+  return `<td${attributes}>${escapeHtml(text)}</td>`;
+}
+
+// Green at 10, red at 0
+function scoreColor(score) {
+  return `hsl(${Math.round(Math.max(0, Math.min(10, score)) * 12)}, 70%, 85%)`;
+}
+
+function htmlTree(items) {
+  const entries = items.map(item => {
+    const where = item.line ? ` <span class="muted">line ${item.line}</span>` : '';
+    let label = `<code>${escapeHtml(item.id)}</code>${where}`;
+    if (item.status === 'not-found') label = `<code class="missing">${escapeHtml(item.id)}</code>${where} <span class="muted">not found</span>`;
+    else if (item.status !== 'analyzed') label += ' <span class="muted">not analyzed</span>';
+    else if (item.repeated) label += ' <span class="muted">see above</span>';
+    return `<li>${label}${item.children.length ? htmlTree(item.children) : ''}</li>`;
+  });
+  return `<ul class="tree">${entries.join('')}</ul>`;
+}
+
+const STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 72rem; padding: 0 1rem; color: #1f2328; line-height: 1.5; }
+h1 { font-size: 1.6rem; } h2 { border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; margin-top: 2rem; }
+table { border-collapse: collapse; margin: .5rem 0 1rem; } th, td { border: 1px solid #d0d7de; padding: .25rem .6rem; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; } td.number { text-align: right; font-variant-numeric: tabular-nums; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: .9em; }
+.muted { color: #656d76; font-size: .9em; } .missing { text-decoration: line-through; color: #cf222e; }
+.error { color: #cf222e; } .warning { color: #9a6700; } .passed { color: #1a7f37; }
+.bar { display: inline-block; height: .8em; background: #cf222e; opacity: .75; vertical-align: middle; }
+.passed-gate { color: #1a7f37; font-weight: bold; } .failed-gate { color: #cf222e; font-weight: bold; }
+ul.tree, ul.tree ul { list-style: none; padding-left: 1.2rem; } ul.tree li::before { content: "└ "; color: #8c959f; }
+`;
+
+/**
+ * Renders the report as a single self-contained HTML page
+ */
+function toHtml(model) {
+  const out = [];
+  const { summary } = model;
+  const number = value => cell(value, ' class="number"');
+
+  out.push(`<h1>${escapeHtml(model.title)}</h1>`);
+  out.push(`<p>${summary.files} file(s) analyzed · average score <strong>${summary.averageScore}</strong>/10 · worst ${summary.worstScore} (<code>${escapeHtml(summary.worstFile)}</code>) · ~${summary.totalTokens} tokens</p>`);
+  if (model.gate) {
+    out.push(model.gate.passed
+      ? '<p class="passed-gate">Quality gate: passed</p>'
+      : `<p class="failed-gate">Quality gate: failed (${model.gate.failures.length} finding(s))</p>`);
+  }
+
+  out.push('<h2>Scoreboard</h2>', htmlTable(
+    ['File', 'Overall', 'Length', 'Structure', 'Disclosure', 'Lines', 'Tokens', 'Errors', 'Warnings'],
+    model.files.map(file => [
+      `<td><code>${escapeHtml(file.id)}</code></td>`,
+      cell(file.scores.overall, ` class="number" style="background: ${scoreColor(file.scores.overall)}"`),
+      cell(lengthScore(file.scores), ` class="number" style="background: ${scoreColor(lengthScore(file.scores))}"`),
+      cell(file.scores.structure, ` class="number" style="background: ${scoreColor(file.scores.structure)}"`),
+      cell(file.scores.progressiveDisclosure, ` class="number" style="background: ${scoreColor(file.scores.progressiveDisclosure)}"`),
+      number(file.lines),
+      number(file.tokens),
+      number(file.feedback.error.length),
+      number(file.feedback.warning.length)
+    ])
+  ));
+
+  if (model.comparison) {
+    out.push('<h2>Changes Since Baseline</h2>', htmlTable(
+      ['File', 'Status', 'Score', 'Lines', 'Tokens', 'New findings', 'Resolved findings'],
+      model.comparison.files.filter(entry => entry.status !== 'unchanged').map(entry => [
+        `<td><code>${escapeHtml(entry.file)}</code></td>`,
+        cell(entry.status),
+        cell(`${entry.score.before === null ? '-' : entry.score.before} → ${entry.score.after === null ? '-' : entry.score.after}`),
+        number(signed(entry.lines.delta)),
+        number(signed(entry.tokens.delta)),
+        number(entry.newFindings.length),
+        number(entry.resolvedFindings.length)
+      ])
+    ));
+  }
+
+  out.push('<h2>Feedback</h2>');
+  for (const file of model.files) {
+    out.push(`<h3><code>${escapeHtml(file.id)}</code></h3>`);
+    for (const severity of SEVERITIES) {
+      const items = file.feedback[severity.key];
+      if (items.length === 0) continue;
+      out.push(`<h4 class="${severity.key}">${severity.icon} ${severity.label}</h4>`);
+      out.push(`<ul>${items.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`);
+    }
+  }
+
+  out.push('<h2>Section Heatmap</h2>', `<p class="muted">${escapeHtml(heatLegend(band => band.name))}</p>`);
+  for (const file of model.files) {
+    if (file.sections.length === 0) continue;
+    const maxTokens = Math.max(1, ...file.sections.map(section => section.estimatedTokens));
+    out.push(`<h3><code>${escapeHtml(file.id)}</code></h3>`, htmlTable(
+      ['Section', 'Lines', 'Tokens', ''],
+      file.sections.map(section => {
+        const share = section.estimatedTokens / maxTokens;
+        return [
+          `<td style="padding-left: ${(0.6 + (section.depth - 1) * 1.2).toFixed(1)}rem">${escapeHtml(section.title)} <span class="muted">L${section.startLine}</span></td>`,
+          cell(section.lineCount, ` class="number" style="background: ${heatBand(section.score).color}"`),
+          cell(section.estimatedTokens, ` class="number" style="background: rgba(207, 34, 46, ${(share * 0.5).toFixed(2)})"`),
+          `<td><span class="bar" style="width: ${Math.max(0.2, share * BAR_WIDTH * 0.6).toFixed(1)}rem"></span></td>`
+        ];
+      })
+    ));
+  }
+
+  out.push('<h2>Redundancy</h2>');
+  out.push(model.redundancy.length === 0 ? '<p>No duplicate instructions found.</p>' : htmlTable(
+    ['Similarity', 'Type', 'First', 'Second'],
+    model.redundancy.map(pair => [
+      number(pair.similarity),
+      cell(pair.type),
+      `<td><code>${escapeHtml(`${pair.first.file}:${pair.first.line}`)}</code> ${escapeHtml(preview(pair.first.text))}</td>`,
+      `<td><code>${escapeHtml(`${pair.second.file}:${pair.second.line}`)}</code> ${escapeHtml(preview(pair.second.text))}</td>`
+    ])
+  ));
+
+  if (model.tree) {
+    out.push('<h2>Skipped Links</h2>');
+    out.push(model.skipped.length === 0 ? '<p>Every link target was analyzed.</p>' : htmlTable(
+      ['Reason', 'Target'],
+      model.skipped.map(item => [cell(item.reason), `<td><code>${escapeHtml(item.target)}</code></td>`])
+    ));
+    out.push('<h2>Link Tree</h2>', htmlTree(model.tree));
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(model.title)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    ...out,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  buildReportModel,
+  toMarkdown,
+  toHtml
+};
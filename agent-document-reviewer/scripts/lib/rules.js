@@ -0,0 +1,446 @@
+/**
+ * Rule definitions, plugins and project configuration
+ *
+ * Every check in evaluateMetrics is a named rule with a severity ('error',
+ * 'warning' or 'off') and options. The defaults reproduce the built-in
+ * thresholds. A project tunes them in `.agentdocrc.json`, or under an
+ * `agentDocReviewer` key in package.json, found by walking up from the entry
+ * file:
+ *
+ *   {
+ *     "rules": {
+ *       "document-length": { "excellent": 300 },
+ *       "anchor-links": "off",
+ *       "section-count": ["error", { "max": 40 }]
+ *     },
+ *     "weights": { "length": 0.4, "structure": 0.3, "progressiveDisclosure": 0.3 },
+ *     "overrides": [
+ *       { "files": ["docs/reference/**"], "rules": { "document-length": { "excellent": 500, "acceptable": 1000, "long": 1500 } } }
+ *     ]
+ *   }
+ *
+ * Override globs are matched against paths relative to the config file. A
+ * document can turn rules off for itself with `<!-- adr-disable rule-id -->`.
+ *
+ * Custom rules come from local plugin modules (`--plugin ./rules/house.js`,
+ * or `"plugins": ["./rules/house.js"]` in the config, relative to it). A
+ * plugin exports `{ rules: { id: definition } }`, or a function that receives
+ * `{ registerRule(id, definition) }`. A definition is:
+ *
+ *   {
+ *     description: 'TODO markers left in instructions',
+ *     severity: 'warning',          // default severity: 'error' or 'warning'
+ *     category: 'structure',        // optional: score lowered by options.penalty ('length', 'structure', 'progressiveDisclosure')
+ *     options: { penalty: 1 },      // defaults, overridable in the config like built-in options
+ *     check(document, options) {    // returns [{ line, message, severity? }]
+ *       return document.lines
+ *         .filter(line => line.kind === 'text' && /\bTODO\b/.test(line.prose))
+ *         .map(line => ({ line: line.lineNumber, message: 'TODO left in instructions' }));
+ *     }
+ *   }
+ *
+ * `document` holds the file path and content, the tokenizer output (`lines`,
+ * `headings`, `links`, `tokens`), section spans, the built-in metrics, and
+ * `linked` ({ depth, entryPoint, linkedFrom, chain, linkedFiles }) from link analysis.
+ * A finding with `severity: 'warning'` stays a warning when the rule is an
+ * error, like the milder bands of built-in rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchGlob, toPosixPath } = require('./glob');
+
+const CONFIG_FILENAME = '.agentdocrc.json';
+const PACKAGE_JSON_KEY = 'agentDocReviewer';
+const SEVERITIES = ['error', 'warning', 'off'];
+const SCORE_CATEGORIES = ['length', 'structure', 'progressiveDisclosure'];
+// "no-todo" or "house/no-todo"
+const RULE_ID_REGEX = /^[a-z0-9][a-z0-9-]*(?:\/[a-z0-9][a-z0-9-]*)?$/;
+
+// Graded rules report milder bands as warnings; their severity applies to the worst band
+const RULES = {
+  'document-length': {
+    severity: 'error',
+    description: 'Line count bands (replaced by token-budget when --token-budget is set)',
+    options: { excellent: 200, acceptable: 500, long: 800 }
+  },
+  'token-budget': {
+    severity: 'error',
+    description: 'Estimated tokens against --token-budget, as multiples of the budget',
+    options: { acceptable: 2.5, long: 4 }
+  },
+  'size-limits': {
+    severity: 'error',
+    description: 'Tool size limits from --profile (soft limits are reported as warnings)',
+    options: {}
+  },
+  'heading-depth': {
+    severity: 'warning',
+    description: 'Headings nested deeper than max',
+    options: { max: 4, good: 3, penalty: 3 }
+  },
+  'section-count': {
+    severity: 'warning',
+    description: 'Too many sections in one document',
+    options: { high: 20, highPenalty: 1, max: 30, penalty: 3 }
+  },
+  'section-length': {
+    severity: 'warning',
+    description: 'Very short sections on average (over-fragmentation)',
+    options: { minAverage: 15, penalty: 2 }
+  },
+  'progressive-disclosure': {
+    severity: 'error',
+    description: 'Internal links in documents longer than optionalBelow lines',
+    options: { optionalBelow: 200, mediumBelow: 500, minInternalLinks: 3, minLinkRatio: 0.5 }
+  },
+  'anchor-links': {
+    severity: 'error',
+    description: 'Same-document #anchor links',
+    options: { penalty: 2 }
+  },
+  'link-quality': {
+    severity: 'warning',
+    description: 'Vague link text and links without a "when to read" trigger',
+    options: {}
+  },
+  'critical-placement': {
+    severity: 'error',
+    description: 'Critical instructions that first appear late',
+    options: {}
+  },
+  'duplicate-instructions': {
+    severity: 'warning',
+    description: 'Verbatim or paraphrased instructions stated more than once',
+    options: {}
+  },
+  'repeated-phrases': {
+    severity: 'warning',
+    description: 'Phrases repeated three or more times (word trigrams, or character runs in CJK text)',
+    options: {}
+  },
+  contradictions: {
+    severity: 'warning',
+    description: 'Conflicting instructions',
+    options: {}
+  },
+  'stale-references': {
+    severity: 'error',
+    description: 'Paths, scripts, Makefile targets and links that no longer resolve',
+    options: {}
+  },
+  'sensitive-content': {
+    severity: 'error',
+    description: 'API keys, private keys, secret assignments, internal URLs and email addresses (see lib/secrets.js)',
+    options: { internalHosts: [], allowedHosts: [], allowedEmails: [], entropy: true }
+  },
+  'unsafe-instructions': {
+    severity: 'warning',
+    description: 'Hidden directives, invisible characters, prompt-injection phrases, remote code execution and disabled safety checks (see lib/injection.js)',
+    options: { allowed: [] }
+  },
+  'split-plan': {
+    severity: 'warning',
+    description: 'Sections proposed for moving into new files',
+    options: {}
+  },
+  'read-coverage': {
+    severity: 'warning',
+    description: 'Critical instructions an agent would not reach within the --simulate-read budget',
+    options: {}
+  }
+};
+const RULE_IDS = Object.keys(RULES);
+
+const DEFAULT_WEIGHTS = { length: 0.4, structure: 0.3, progressiveDisclosure: 0.3 };
+
+const DISABLE_COMMENT_REGEX = /<!--\s*adr-disable\s+([^>]*?)\s*-->/g;
+
+function validatePluginList(plugins, source) {
+  if (plugins === undefined) return;
+  if (!Array.isArray(plugins) || plugins.some(spec => typeof spec !== 'string' || !spec)) {
+    throw new Error(`Invalid config in ${source}: plugins must be an array of module paths`);
+  }
+}
+
+/**
+ * Adds a custom rule to the registry
+ * @param {string} id - Rule id (e.g. "house/no-todo")
+ * @param {Object} definition - { check, severity, description, category, options } (see the header)
+ * @param {string|null} source - Plugin file that registers the rule (null when called directly)
+ */
+function registerRule(id, definition, source = null) {
+  const fail = message => {
+    throw new Error(`Invalid rule "${id}"${source ? ` in ${source}` : ''}: ${message}`);
+  };
+
+  if (typeof id !== 'string' || !RULE_ID_REGEX.test(id)) fail('rule ids are lowercase words joined by "-", optionally prefixed with "plugin-name/"');
+  if (RULES[id]) {
+    // The same plugin may be given with --plugin and in the config
+    if (source && RULES[id].source === source) return;
+    fail(RULES[id].check ? `already registered${RULES[id].source ? ` by ${RULES[id].source}` : ''}` : 'conflicts with a built-in rule');
+  }
+  if (!definition || typeof definition.check !== 'function') fail('check(document, options) must be a function');
+
+  const severity = definition.severity || 'warning';
+  if (severity !== 'error' && severity !== 'warning') fail(`invalid severity "${severity}" (use error or warning)`);
+  if (definition.category !== undefined && !SCORE_CATEGORIES.includes(definition.category)) {
+    fail(`invalid category "${definition.category}" (use ${SCORE_CATEGORIES.join(', ')})`);
+  }
+  const options = definition.options || {};
+  if (typeof options !== 'object' || Array.isArray(options)) fail('options must be an object of default values');
+
+  RULES[id] = {
+    severity,
+    description: definition.description || '',
+    category: definition.category || null,
+    options: { penalty: 0, ...options },
+    check: definition.check,
+    source
+  };
+  RULE_IDS.push(id);
+}
+
+/**
+ * Loads a local plugin module and registers its rules
+ * @param {string} modulePath - Path to the plugin (.js)
+ */
+function loadPlugin(modulePath) {
+  const file = path.resolve(modulePath);
+  let plugin;
+  try {
+    plugin = require(file);
+  } catch (error) {
+    throw new Error(`Cannot load plugin ${file}: ${error.message.split('\n')[0]}`);
+  }
+
+  if (typeof plugin === 'function') {
+    plugin({ registerRule: (id, definition) => registerRule(id, definition, file) });
+  } else if (plugin && plugin.rules && typeof plugin.rules === 'object') {
+    for (const [id, definition] of Object.entries(plugin.rules)) {
+      registerRule(id, definition, file);
+    }
+  } else {
+    throw new Error(`Plugin ${file} must export { rules } or a function that receives { registerRule }`);
+  }
+}
+
+/**
+ * Throws if a config object does not follow the schema above
+ */
+function validateConfig(config, source) {
+  const fail = message => {
+    throw new Error(`Invalid config in ${source}: ${message}`);
+  };
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const validateRules = (rules, where) => {
+    if (rules === undefined) return;
+    if (!isObject(rules)) fail(`${where} must be an object`);
+    for (const [id, entry] of Object.entries(rules)) {
+      if (!RULES[id]) fail(`unknown rule "${id}" (known rules: ${RULE_IDS.join(', ')})`);
+      const [severity, options] = Array.isArray(entry) ? entry : typeof entry === 'string' ? [entry, undefined] : [undefined, entry];
+      if (severity !== undefined && !SEVERITIES.includes(severity)) fail(`rule "${id}" has invalid severity "${severity}" (use ${SEVERITIES.join(', ')})`);
+      if (options === undefined) continue;
+      if (!isObject(options)) fail(`options of rule "${id}" must be an object`);
+      for (const [key, value] of Object.entries(options)) {
+        if (!(key in RULES[id].options)) fail(`rule "${id}" has no option "${key}"`);
+        if (Array.isArray(RULES[id].options[key])) {
+          if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) fail(`option "${key}" of rule "${id}" must be an array of strings`);
+          continue;
+        }
+        const expected = typeof RULES[id].options[key];
+        if (typeof value !== expected) fail(`option "${key}" of rule "${id}" must be a ${expected}`);
+        if (expected === 'number' && (!Number.isFinite(value) || value < 0)) fail(`option "${key}" of rule "${id}" must be a non-negative number`);
+      }
+    }
+  };
+  const validateWeights = (weights, where) => {
+    if (weights === undefined) return;
+    if (!isObject(weights)) fail(`${where} must be an object`);
+    for (const [key, value] of Object.entries(weights)) {
+      if (!(key in DEFAULT_WEIGHTS)) fail(`unknown weight "${key}" (use ${Object.keys(DEFAULT_WEIGHTS).join(', ')})`);
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) fail(`weight "${key}" must be a non-negative number`);
+    }
+  };
+
+  if (!isObject(config)) fail('config must be an object');
+  validatePluginList(config.plugins, source);
+  validateRules(config.rules, 'rules');
+  validateWeights(config.weights, 'weights');
+  if (config.overrides !== undefined) {
+    if (!Array.isArray(config.overrides)) fail('overrides must be an array');
+    config.overrides.forEach((override, index) => {
+      if (!isObject(override)) fail(`overrides[${index}] must be an object`);
+      const files = Array.isArray(override.files) ? override.files : [override.files];
+      if (files.length === 0 || files.some(pattern => typeof pattern !== 'string' || !pattern)) {
+        fail(`overrides[${index}].files must be a glob or an array of globs`);
+      }
+      validateRules(override.rules, `overrides[${index}].rules`);
+      validateWeights(override.weights, `overrides[${index}].weights`);
+    });
+  }
+}
+
+/**
+ * Reads a config file (.agentdocrc.json, or package.json with an agentDocReviewer key)
+ * @returns {Object|null} { file, directory, config }, or null for a package.json without the key
+ */
+function loadConfigFile(filePath) {
+  const file = path.resolve(filePath);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read config ${file}: ${error.message}`);
+  }
+
+  const config = path.basename(file) === 'package.json' ? (data ? data[PACKAGE_JSON_KEY] : undefined) : data;
+  if (config === undefined) return null;
+
+  // Plugins first: the rules they register may be configured in the same file
+  if (config && typeof config === 'object') {
+    validatePluginList(config.plugins, file);
+    (config.plugins || []).forEach(spec => loadPlugin(path.resolve(path.dirname(file), spec)));
+  }
+  validateConfig(config, file);
+  return { file, directory: path.dirname(file), config };
+}
+
+/**
+ * Finds the nearest config by walking up from a document's directory
+ * @param {string} filePath - Entry document
+ * @param {string|null} stopDir - Last directory to search (the --root-dir sandbox); defaults to the file system root
+ * @returns {Object|null} Result of loadConfigFile()
+ */
+function findConfig(filePath, stopDir = null) {
+  let directory = path.dirname(path.resolve(filePath));
+  const stop = stopDir ? path.resolve(stopDir) : null;
+
+  while (true) {
+    const rcPath = path.join(directory, CONFIG_FILENAME);
+    if (fs.existsSync(rcPath)) return loadConfigFile(rcPath);
+
+    const packagePath = path.join(directory, 'package.json');
+    if (fs.existsSync(packagePath)) {
+      const found = loadConfigFile(packagePath);
+      if (found) return found;
+    }
+
+    const parent = path.dirname(directory);
+    if (directory === stop || parent === directory) return null;
+    directory = parent;
+  }
+}
+
+function applyRuleEntries(rules, entries) {
+  for (const [id, entry] of Object.entries(entries || {})) {
+    const [severity, options] = Array.isArray(entry) ? entry : typeof entry === 'string' ? [entry, undefined] : [undefined, entry];
+    rules[id] = {
+      severity: severity || rules[id].severity,
+      options: { ...rules[id].options, ...(options || {}) }
+    };
+  }
+}
+
+/**
+ * Resolves the rules and weights that apply to one document
+ * @param {Object|null} loadedConfig - Result of findConfig() / loadConfigFile(), or null for defaults
+ * @param {string|null} filePath - Document the rules apply to (selects overrides)
+ * @returns {Object} { rules: { [id]: { severity, options } }, weights }
+ */
+function resolveRules(loadedConfig, filePath = null) {
+  const rules = {};
+  for (const id of RULE_IDS) {
+    rules[id] = { severity: RULES[id].severity, options: { ...RULES[id].options } };
+  }
+  let weights = { ...DEFAULT_WEIGHTS };
+  if (!loadedConfig) return { rules, weights };
+
+  const { config, directory } = loadedConfig;
+  applyRuleEntries(rules, config.rules);
+  weights = { ...weights, ...(config.weights || {}) };
+
+  if (filePath) {
+    const relativePath = toPosixPath(path.relative(directory, path.resolve(filePath)));
+    for (const override of config.overrides || []) {
+      const patterns = Array.isArray(override.files) ? override.files : [override.files];
+      if (!patterns.some(pattern => matchGlob(relativePath, pattern.replace(/^\.\//, '')))) continue;
+      applyRuleEntries(rules, override.rules);
+      weights = { ...weights, ...(override.weights || {}) };
+    }
+  }
+
+  return { rules, weights };
+}
+
+/**
+ * Lists rule ids turned off by `<!-- adr-disable rule-id[, rule-id] -->` comments outside code
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @returns {string[]}
+ */
+function findDisabledRules(tokens) {
+  const disabled = new Set();
+  for (const line of tokens.lines) {
+    if (line.kind === 'code' || line.kind === 'frontMatter') continue;
+    DISABLE_COMMENT_REGEX.lastIndex = 0;
+    let match;
+    while ((match = DISABLE_COMMENT_REGEX.exec(line.text)) !== null) {
+      match[1].split(/[\s,]+/).filter(Boolean).forEach(id => disabled.add(id));
+    }
+  }
+  return [...disabled];
+}
+
+/**
+ * Runs the enabled custom rules against a document
+ * @param {Object} document - Parsed document (see the header)
+ * @param {Object} ruleSet - resolveRules() result
+ * @param {string[]} disabledRules - Rule ids turned off in the document
+ * @returns {Array} [{ rule, severity, line, message }]
+ */
+function runCustomRules(document, ruleSet, disabledRules = []) {
+  const findings = [];
+
+  for (const id of RULE_IDS) {
+    const definition = RULES[id];
+    if (!definition.check) continue;
+    const { severity, options } = ruleSet.rules[id];
+    if (severity === 'off' || disabledRules.includes(id)) continue;
+
+    let results;
+    try {
+      results = definition.check(document, options) || [];
+    } catch (error) {
+      throw new Error(`Rule "${id}" failed on ${document.file}: ${error.message}`);
+    }
+
+    for (const result of Array.isArray(results) ? results : [results]) {
+      const finding = typeof result === 'string' ? { message: result } : result;
+      if (!finding || typeof finding.message !== 'string') {
+        throw new Error(`Rule "${id}" returned a finding without a message`);
+      }
+      findings.push({
+        rule: id,
+        severity: severity === 'warning' || finding.severity === 'warning' ? 'warning' : 'error',
+        line: Number.isInteger(finding.line) ? finding.line : null,
+        message: finding.message
+      });
+    }
+  }
+
+  return findings;
+}
+
+module.exports = {
+  RULES,
+  RULE_IDS,
+  CONFIG_FILENAME,
+  registerRule,
+  loadPlugin,
+  runCustomRules,
+  loadConfigFile,
+  findConfig,
+  resolveRules,
+  findDisabledRules
+};
@@ -0,0 +1,175 @@
+/**
+ * Section spans, per-section scores and split planning
+ *
+ * A section is a heading together with its whole subtree: it runs until the
+ * next heading of the same or a higher level. Averages hide one giant section
+ * behind many small ones, so each span is measured and scored on its own,
+ * and oversized subtrees are proposed as new files linked from the parent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { estimateTokens } = require('./tokens');
+const { countWords } = require('./language');
+
+// Section length bands (lines in the subtree) and their scores
+const SECTION_BANDS = [
+  { maxLines: 50, score: 10 },
+  { maxLines: 100, score: 8 },
+  { maxLines: 200, score: 5 }
+];
+const OVERSIZED_SECTION_SCORE = 2;
+// Default of the heading-depth rule's max option (see lib/rules.js)
+const MAX_HEADING_DEPTH = 4;
+
+// Parent documents are split until they are back in the excellent band
+const SPLIT_TARGET_LINES = 200;
+// Smaller sections are not worth a separate file
+const MIN_SPLIT_LINES = 40;
+
+function scoreSection(section, maxHeadingDepth) {
+  const band = SECTION_BANDS.find(item => section.lineCount <= item.maxLines);
+  const score = band ? band.score : OVERSIZED_SECTION_SCORE;
+  return section.depth > maxHeadingDepth ? Math.max(0, score - 2) : score;
+}
+
+/**
+ * Measures the span of every heading subtree
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @param {number[]} perLineTokens - Per-line token estimates from estimateDocumentTokens()
+ * @param {Object} options - { maxHeadingDepth } the heading-depth rule's max; deeper sections score lower
+ * @returns {Array} [{ depth, title, lineNumber, startLine, endLine, lineCount, wordCount, estimatedTokens, score }]
+ */
+function buildSectionSpans(tokens, perLineTokens, options = {}) {
+  const { maxHeadingDepth = MAX_HEADING_DEPTH } = options;
+  const totalLines = tokens.lines.length;
+
+  return tokens.headings.map((heading, index) => {
+    // The subtree ends before the next heading of the same or a higher level
+    const next = tokens.headings.slice(index + 1).find(other => other.depth <= heading.depth);
+    const endLine = next ? next.lineNumber - 1 : totalLines;
+    const spanLines = tokens.lines.slice(heading.lineNumber - 1, endLine);
+
+    const section = {
+      depth: heading.depth,
+      title: heading.title,
+      lineNumber: heading.lineNumber,
+      startLine: heading.lineNumber,
+      endLine,
+      lineCount: endLine - heading.lineNumber + 1,
+      wordCount: spanLines.reduce((sum, line) => sum + countWords(line.text), 0),
+      estimatedTokens: perLineTokens
+        .slice(heading.lineNumber - 1, endLine)
+        .reduce((sum, count) => sum + count, 0)
+    };
+    section.score = scoreSection(section, maxHeadingDepth);
+    return section;
+  });
+}
+
+/**
+ * Proposes a file name for a section (e.g. "Database Migrations" -> DATABASE-MIGRATIONS.md)
+ */
+function proposeFileName(section, taken) {
+  const slug = section.title
+    .replace(/[`*_[\]()]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || `SECTION-${section.lineNumber}`;
+
+  let name = `${slug}.md`;
+  for (let suffix = 2; taken(name); suffix++) {
+    name = `${slug}-${suffix}.md`;
+  }
+  return name;
+}
+
+function contains(outer, inner) {
+  return inner.startLine >= outer.startLine && inner.endLine <= outer.endLine;
+}
+
+/**
+ * Plans which sections to move into new files so the parent fits the target size
+ * @param {string} filePath - The analyzed document (new files are proposed next to it)
+ * @param {Object} metrics - Result of analyzeDocument() with section spans
+ * @param {Object} options - { maxLines: line target for the parent (default 200),
+ *                             maxTokens: also split until the parent fits this token budget }
+ * @returns {Object|null} { splits, projected } or null when no split is needed or possible
+ */
+function planSectionSplit(filePath, metrics, options = {}) {
+  const { maxLines = SPLIT_TARGET_LINES, maxTokens = null } = options;
+  const fits = (lines, tokens) => lines <= maxLines && (!maxTokens || tokens <= maxTokens);
+  if (fits(metrics.totalLines, metrics.estimatedTokens)) return null;
+
+  // A single top-level title is the document itself, not a section to move
+  const topLevel = metrics.sections.filter(section => section.depth === 1);
+  const minDepth = topLevel.length === 1 && topLevel[0].lineNumber <= 3 ? 2 : 1;
+  const candidates = metrics.sections
+    .filter(section => section.depth >= minDepth && section.lineCount >= MIN_SPLIT_LINES)
+    .sort((a, b) => b.lineCount - a.lineCount || a.lineNumber - b.lineNumber);
+
+  const directory = path.dirname(filePath);
+  const names = new Set();
+  const taken = name => names.has(name) || fs.existsSync(path.join(directory, name));
+
+  const chosen = [];
+  let lines = metrics.totalLines;
+  let tokens = metrics.estimatedTokens;
+
+  for (const section of candidates) {
+    if (fits(lines, tokens)) break;
+    if (chosen.some(other => contains(other, section) || contains(section, other))) continue;
+
+    const file = proposeFileName(section, taken);
+    names.add(file);
+    const heading = `${'#'.repeat(section.depth)} ${section.title}`;
+    // "Database Migrations" -> "database migrations"; acronyms such as API stay as written
+    const topic = section.title.replace(/[`*_]/g, '').split(/\s+/)
+      .map(word => (/^[A-Z][a-z]/.test(word) ? word.toLowerCase() : word))
+      .join(' ');
+    const replacement = `For ${topic}, see [${file}](${file}).`;
+    // The heading and a link line stay behind in the parent
+    const removedLines = section.lineCount - 2;
+    const removedTokens = section.estimatedTokens - estimateTokens(heading) - estimateTokens(replacement);
+
+    chosen.push({ ...section, file, heading, replacement, removedLines, removedTokens });
+    lines -= removedLines;
+    tokens -= removedTokens;
+  }
+
+  if (chosen.length === 0) return null;
+
+  const remainingSections = metrics.sections.filter(section =>
+    !chosen.some(split => contains(split, section) && split.lineNumber !== section.lineNumber));
+  const directives = metrics.criticalInstructions ? metrics.criticalInstructions.directives : [];
+
+  return {
+    splits: chosen
+      .sort((a, b) => a.lineNumber - b.lineNumber)
+      .map(split => ({
+        section: split.title,
+        depth: split.depth,
+        startLine: split.startLine,
+        endLine: split.endLine,
+        lineCount: split.lineCount,
+        estimatedTokens: split.estimatedTokens,
+        file: split.file,
+        replacement: `${split.heading}\n${split.replacement}`,
+        // Moved MUST/NEVER rules should keep a one-line summary in the parent
+        criticalInstructions: directives.filter(d => d.lineNumber >= split.startLine && d.lineNumber <= split.endLine).length
+      })),
+    projected: {
+      totalLines: lines,
+      estimatedTokens: tokens,
+      sectionCount: remainingSections.length,
+      maxDepth: remainingSections.reduce((max, section) => Math.max(max, section.depth), 0),
+      avgSectionLength: remainingSections.length > 0 ? Math.floor(lines / remainingSections.length) : 0,
+      addedInternalLinks: chosen.length
+    }
+  };
+}
+
+module.exports = {
+  buildSectionSpans,
+  planSectionSplit
+};
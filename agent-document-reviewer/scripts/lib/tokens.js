@@ -0,0 +1,109 @@
+/**
+ * Offline token estimator (no external dependencies)
+ *
+ * Approximates BPE tokenizers used by current LLMs without shipping a
+ * vocabulary. Prose, code and CJK text tokenize very differently, so each is
+ * estimated with its own rule:
+ * - Prose: common words are ~1 token, long words are split every ~6 chars
+ * - Code: identifiers are split at camelCase/snake_case boundaries and
+ *   punctuation is mostly 1 token per character
+ * - CJK (Han, Kana, Hangul): ~1 token per character
+ *
+ * Estimates are not tokenizer-exact, but they are deterministic and close
+ * enough to compare documents and budget context windows.
+ */
+
+const CJK_CHAR_REGEX = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af\u3000-\u303f\uff00-\uffef]/;
+const SEGMENT_REGEX = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af\u3000-\u303f\uff00-\uffef]|[A-Za-z\u00c0-\u024f]+|\d+|\s+|([^\sA-Za-z\d])\1*/g;
+
+/**
+ * Approximate context windows used for context-cost estimates (tokens)
+ */
+const MODEL_CONTEXT_WINDOWS = {
+  'claude-200k': 200000,
+  'gpt-4o-128k': 128000,
+  'gemini-1m': 1000000,
+  'local-32k': 32768,
+  'local-8k': 8192
+};
+
+function estimateWordTokens(word, isCode) {
+  if (isCode) {
+    // Split identifiers: fooBarBaz -> foo Bar Baz
+    const parts = word.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g) || [word];
+    return parts.reduce((sum, part) => sum + Math.max(1, Math.ceil(part.length / 6)), 0);
+  }
+  return Math.max(1, Math.ceil(word.length / 6));
+}
+
+/**
+ * Estimates the token count of a piece of text
+ * @param {string} text - Text to estimate
+ * @param {Object} options - { code: boolean } treat text as source code
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text, options = {}) {
+  const isCode = !!options.code;
+  let tokens = 0;
+
+  SEGMENT_REGEX.lastIndex = 0;
+  let match;
+  while ((match = SEGMENT_REGEX.exec(text)) !== null) {
+    const segment = match[0];
+
+    if (CJK_CHAR_REGEX.test(segment)) {
+      tokens += 1;
+    } else if (/^\s+$/.test(segment)) {
+      // A single space merges into the next word; newlines and indentation cost extra
+      if (segment.includes('\n')) tokens += 1;
+      else if (segment.length > 1) tokens += Math.ceil((segment.length - 1) / 4);
+    } else if (/^\d+$/.test(segment)) {
+      tokens += Math.ceil(segment.length / 3);
+    } else if (/^[A-Za-z\u00c0-\u024f]+$/.test(segment)) {
+      tokens += estimateWordTokens(segment, isCode);
+    } else {
+      // Runs of the same punctuation (e.g. "---", "|||") merge into fewer tokens
+      tokens += isCode ? segment.length : Math.ceil(segment.length / 4);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Estimates tokens for every line of a tokenized markdown document
+ * @param {Object} tokens - Result of tokenizeMarkdown()
+ * @returns {Object} { total, perLine } where perLine[i] is the estimate for line i + 1
+ */
+function estimateDocumentTokens(tokens) {
+  const perLine = tokens.lines.map(line => {
+    const isCode = line.kind === 'code' || line.kind === 'frontMatter';
+    // +1 for the newline that terminates each line
+    return estimateTokens(line.text, { code: isCode }) + 1;
+  });
+
+  return {
+    total: perLine.reduce((sum, count) => sum + count, 0),
+    perLine
+  };
+}
+
+/**
+ * Reports what share of each known context window a token count occupies
+ * @param {number} tokenCount - Estimated tokens
+ * @returns {Object} Map of model label to percentage of its context window
+ */
+function estimateContextCost(tokenCount) {
+  const cost = {};
+  for (const [model, windowSize] of Object.entries(MODEL_CONTEXT_WINDOWS)) {
+    cost[model] = Math.round(tokenCount / windowSize * 1000) / 10;
+  }
+  return cost;
+}
+
+module.exports = {
+  MODEL_CONTEXT_WINDOWS,
+  estimateTokens,
+  estimateDocumentTokens,
+  estimateContextCost
+};
@@ -0,0 +1,142 @@
+/**
+ * Watch mode (--watch)
+ *
+ * Watches the directories of every analyzed document and of link targets that
+ * do not exist yet, re-runs the link analysis after each edit and prints what
+ * changed. The analysis cache in lib/cache.js keeps the re-runs incremental:
+ * only edited documents and new link targets are analyzed again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosixPath } = require('./glob');
+
+// Editors write a file in several steps; changes are reported once things are quiet
+const DEBOUNCE_MS = 100;
+
+/**
+ * Watches files through their directories, which also sees editors that save by renaming
+ * @param {Function} onChange - Called with the changed absolute paths after each burst of events
+ * @returns {Object} { update(files), close() }
+ */
+function createFileWatcher(onChange) {
+  const watchers = new Map();
+  let files = new Set();
+  let pending = new Set();
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const changed = [...pending];
+    pending = new Set();
+    onChange(changed);
+  };
+
+  const listener = directory => (eventType, filename) => {
+    if (!filename) return;
+    const filePath = path.join(directory, filename.toString());
+    if (!files.has(filePath)) return;
+    pending.add(filePath);
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_MS);
+  };
+
+  return {
+    /**
+     * Replaces the set of watched files
+     * @param {string[]} nextFiles - Absolute paths (missing files are watched for creation)
+     */
+    update(nextFiles) {
+      files = new Set(nextFiles);
+      const directories = new Set([...files].map(file => path.dirname(file)).filter(dir => fs.existsSync(dir)));
+      for (const [directory, watcher] of watchers) {
+        if (directories.has(directory)) continue;
+        watcher.close();
+        watchers.delete(directory);
+      }
+      for (const directory of directories) {
+        if (!watchers.has(directory)) watchers.set(directory, fs.watch(directory, listener(directory)));
+      }
+    },
+
+    close() {
+      if (timer) clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    }
+  };
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function describeChange(label, change) {
+  if (change.delta === 0) return `${label} ${change.after}`;
+  return `${label} ${change.before} -> ${change.after} (${signed(change.delta)})`;
+}
+
+function describeFinding(finding) {
+  const icon = finding.severity === 'error' ? '❌' : '⚠️ ';
+  return `${icon} ${finding.line ? `line ${finding.line} ` : ''}${finding.rule ? `[${finding.rule}] ` : ''}${finding.message}`;
+}
+
+/**
+ * Renders the first analysis: one line per file and the totals
+ * @param {Object} linkedAnalysis - Result of analyzeEntryPoints()
+ * @param {string} rootDir - Paths are shown relative to it
+ */
+function formatOverview(linkedAnalysis, rootDir) {
+  const lines = [`Watching ${linkedAnalysis.analyzed.length} file(s) in ${rootDir} (press Ctrl+C to stop)`];
+  for (const item of linkedAnalysis.analyzed) {
+    const findings = item.evaluation.findings;
+    const errors = findings.filter(finding => finding.severity === 'error').length;
+    lines.push(`  ${toPosixPath(path.relative(rootDir, item.fullPath))}: score ${item.evaluation.scores.overall}, ` +
+      `${item.metrics.estimatedTokens} tokens, ${errors} error(s), ${findings.length - errors} warning(s)`);
+  }
+  for (const missing of linkedAnalysis.notFound) {
+    lines.push(`  ${toPosixPath(path.relative(rootDir, missing))}: not found`);
+  }
+  const { averageScore, totalEstimatedTokens } = linkedAnalysis.summary;
+  lines.push(`  Average score ${averageScore}, ${totalEstimatedTokens} tokens in total`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders what changed since the previous analysis (nothing when no file changed)
+ * @param {Object} comparison - compareAnalyses() of the previous and the current analysis
+ * @param {Object} stats - { hits, misses } of the analysis cache for this run
+ * @param {Date} time - When the change was picked up
+ */
+function formatDelta(comparison, stats, time = new Date()) {
+  const changed = comparison.files.filter(entry => entry.status !== 'unchanged');
+  if (changed.length === 0 && stats.misses === 0) return '';
+
+  const lines = [`[${time.toTimeString().slice(0, 8)}] Re-analyzed ${stats.misses} of ${stats.hits + stats.misses} file(s)`];
+  for (const entry of changed) {
+    if (entry.status === 'added') {
+      lines.push(`  ${entry.file}: added (score ${entry.score.after}, ${entry.tokens.after} tokens)`);
+      continue;
+    }
+    if (entry.status === 'dropped') {
+      lines.push(`  ${entry.file}: no longer analyzed (deleted or unlinked)`);
+      continue;
+    }
+    lines.push(`  ${entry.file}: ${describeChange('score', entry.score)}, ${describeChange('tokens', entry.tokens)}`);
+    lines.push(...entry.newFindings.map(finding => `    + ${describeFinding(finding)}`));
+    lines.push(...entry.resolvedFindings.map(finding => `    - ${describeFinding(finding)}`));
+  }
+  if (changed.length === 0) {
+    lines.push('  No score, size or finding changes');
+  } else {
+    const { averageScore, totalEstimatedTokens } = comparison.summary;
+    lines.push(`  ${describeChange('Average score', averageScore)}, ${describeChange('total tokens', totalEstimatedTokens)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  createFileWatcher,
+  formatOverview,
+  formatDelta
+};
@@ -0,0 +1,56 @@
+/**
+ * Programmatic API: analyzeFiles() / analyzeString() results and errors
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { analyzeFiles, analyzeString } = require('../agent-document-reviewer/scripts/analyze_document');
+const SCHEMA = require('../agent-document-reviewer/scripts/analyze_document.schema.json');
+const { writeTree } = require('./helpers');
+
+const assertRequired = (value, definition) => {
+  for (const key of definition.required) assert.ok(key in value, `missing "${key}"`);
+};
+
+test('returns the result described by the schema', () => {
+  const result = analyzeString('# Guide\n\n##### Deep\n\ntext\n', 'AGENTS.md');
+  assertRequired(result, SCHEMA);
+  assert.strictEqual(result.schemaVersion, 1);
+  assertRequired(result.summary, SCHEMA.definitions.summary);
+  for (const file of result.files) assertRequired(file, SCHEMA.definitions.file);
+  assert.ok(result.findings.length > 0);
+  for (const finding of result.findings) assertRequired(finding, SCHEMA.definitions.finding);
+});
+
+test('follows links into documents given as sources', t => {
+  const rootDir = writeTree(t);
+  fs.mkdirSync(path.join(rootDir, 'docs'));
+  const result = analyzeString('# Guide\n\nFor setup, see [setup](docs/setup.md).\n', 'AGENTS.md', {
+    rootDir,
+    sources: { [path.join(rootDir, 'docs', 'setup.md')]: '# Setup\n\nRun the installer.\n' }
+  });
+  assert.deepStrictEqual(result.files.map(file => [file.file, file.depth]), [['AGENTS.md', 0], ['docs/setup.md', 1]]);
+});
+
+test('returns skipped links as warnings instead of printing them', t => {
+  const rootDir = writeTree(t, {
+    'AGENTS.md': '# Guide\n\nSee [the old notes](../notes.md) and [setup](docs/setup.md).\n',
+    'docs/setup.md': '# Setup\n\nSee [deploy](deploy.md).\n',
+    'docs/deploy.md': '# Deploy\n'
+  });
+  const warn = t.mock.method(console, 'warn', () => {});
+  const result = analyzeFiles([path.join(rootDir, 'AGENTS.md')], { rootDir, maxDepth: 1 });
+  assert.deepStrictEqual(result.warnings.map(warning => warning.type), ['security', 'warning']);
+  assert.match(result.warnings[0].message, /^Blocked link outside root directory: \.\.\/notes\.md/);
+  assert.match(result.warnings[1].message, /^Reached max depth limit \(--max-depth=1\): 1 link\(s\) were not followed/);
+  assert.strictEqual(warn.mock.callCount(), 0);
+});
+
+test('throws instead of exiting on invalid input', () => {
+  assert.throws(() => analyzeFiles('AGENTS.md'), TypeError);
+  assert.throws(() => analyzeString(null), TypeError);
+  assert.throws(() => analyzeFiles([], { format: 'html' }), /Invalid format: html/);
+  assert.throws(() => analyzeFiles([], { lang: 'fr' }), /Invalid lang: fr/);
+});
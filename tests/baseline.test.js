@@ -0,0 +1,46 @@
+/**
+ * Comparisons between revisions (--baseline, --compare, --fail-on-regression)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const BEFORE = '# Guide\n\nRun the tests.\n';
+const AFTER = '# Guide\n\nRun the tests.\n\n##### Deep\n\nSee [the old notes](missing.md).\n';
+
+function run(cwd, args) {
+  return spawnSync(process.execPath, [SCRIPT, ...args], { cwd, encoding: 'utf-8' });
+}
+
+test('compares two directories and fails on a new error finding', t => {
+  const directory = writeTree(t, { 'before/AGENTS.md': BEFORE, 'after/AGENTS.md': AFTER });
+
+  const result = run(directory, ['--compare', 'before', 'after', '--fail-on-regression', 'AGENTS.md']);
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stderr, /Regression against baseline: 1 \(AGENTS\.md: 1 new error finding/);
+  const { comparison } = JSON.parse(result.stdout);
+  assert.deepStrictEqual(comparison.files[0].lines, { before: 4, after: 8, delta: 4 });
+  assert.deepStrictEqual(comparison.files[0].newFindings.map(finding => finding.rule).sort(), ['heading-depth', 'link-quality', 'stale-references']);
+  assert.strictEqual(comparison.summary.regressed, true);
+});
+
+test('does not report a finding that only moved to another line as new', t => {
+  const directory = writeTree(t, { 'AGENTS.md': AFTER });
+  const file = path.join(directory, 'AGENTS.md');
+  const baseline = run(directory, ['--root-dir', '.', 'AGENTS.md']);
+  assert.strictEqual(baseline.status, 0);
+  fs.writeFileSync(path.join(directory, 'baseline.json'), baseline.stdout);
+
+  fs.writeFileSync(file, AFTER.replace('Run the tests.\n', 'Run the tests.\n\nKeep changes small.\n'));
+  const result = run(directory, ['--root-dir', '.', '--baseline', 'baseline.json', '--fail-on-regression', 'AGENTS.md']);
+  assert.strictEqual(result.status, 0, result.stderr);
+  const { comparison } = JSON.parse(result.stdout);
+  assert.deepStrictEqual(comparison.files[0].newFindings, []);
+  assert.deepStrictEqual(comparison.files[0].resolvedFindings, []);
+});
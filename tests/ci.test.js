@@ -0,0 +1,72 @@
+/**
+ * CI gate exit codes (2 on a failed gate, 1 on usage errors) and CI output formats
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const DOCUMENT = [
+  '# Rules',
+  'Use JavaScript for all new code.',
+  'Keep functions small.',
+  'Never use JavaScript for new code.',
+  'Run the full test suite before every push.',
+  'Run the full test suite before every push.',
+  ''
+].join('\n\n');
+
+function run(t, args) {
+  const rootDir = writeTree(t, { 'AGENTS.md': DOCUMENT });
+  return spawnSync(process.execPath, [SCRIPT, '--no-include-links', ...args, 'AGENTS.md'], { cwd: rootDir, encoding: 'utf-8' });
+}
+
+test('exits 0 when the gate passes', t => {
+  const result = run(t, ['--min-score', '1', '--max-tokens', '5000']);
+  assert.strictEqual(result.status, 0, result.stderr);
+});
+
+test('exits 2 when a file scores below --min-score', t => {
+  const result = run(t, ['--min-score', '10']);
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stderr, /Quality gate failed: 1 finding\(s\) \(min-score\)/);
+});
+
+test('exits 2 on findings at the --fail-on severity', t => {
+  assert.strictEqual(run(t, ['--fail-on', 'error']).status, 0);
+
+  const result = run(t, ['--fail-on', 'warning', '--format', 'sarif']);
+  assert.strictEqual(result.status, 2);
+  const sarif = JSON.parse(result.stdout);
+  assert.strictEqual(sarif.version, '2.1.0');
+  const warnings = sarif.runs[0].results.filter(item => item.level === 'warning');
+  assert.deepStrictEqual(warnings.map(item => [item.ruleId, item.locations[0].physicalLocation.region.startLine]), [
+    ['section-length', 1],
+    ['duplicate-instructions', 11],
+    ['contradictions', 7]
+  ]);
+});
+
+test('exits 2 when a file exceeds --max-tokens', t => {
+  const result = run(t, ['--max-tokens', '5']);
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stderr, /\(max-tokens\)/);
+});
+
+test('exits 1 on invalid gate options', t => {
+  for (const args of [['--min-score', 'abc'], ['--fail-on', 'bogus']]) {
+    const result = run(t, args);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /^Error: Invalid --/m);
+  }
+});
+
+test('prints GitHub annotations with rule titles', t => {
+  const result = run(t, ['--format', 'github']);
+  assert.match(result.stdout, /^::warning file=AGENTS\.md,line=7,title=contradictions::/m);
+  assert.match(result.stdout, /^::warning file=AGENTS\.md,line=11,title=duplicate-instructions::/m);
+});
@@ -0,0 +1,69 @@
+/**
+ * Contradicting instructions: conflicting values and opposite polarity
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenizeMarkdown } = require('../agent-document-reviewer/scripts/lib/markdown');
+const { detectContradictions } = require('../agent-document-reviewer/scripts/lib/contradictions');
+const { analyzeString } = require('../agent-document-reviewer/scripts/analyze_document');
+
+const documentOf = (file, lines) => ({ file, tokens: tokenizeMarkdown(lines.join('\n\n')) });
+
+test('reports conflicting values of one subject between files', () => {
+  const contradictions = detectContradictions([
+    documentOf('AGENTS.md', ['Use npm to install dependencies.']),
+    documentOf('docs/setup.md', ['Use pnpm to install dependencies.'])
+  ], { crossFileOnly: true });
+  assert.strictEqual(contradictions.length, 1);
+  assert.strictEqual(contradictions[0].rule, 'package-manager');
+  assert.deepStrictEqual(contradictions[0].values, ['npm', 'pnpm']);
+  assert.deepStrictEqual(contradictions[0].statements.map(item => item.file), ['AGENTS.md', 'docs/setup.md']);
+});
+
+test('ignores agreeing statements in one file with crossFileOnly', () => {
+  const contradictions = detectContradictions([
+    documentOf('AGENTS.md', ['Use npm to install dependencies.', 'Use pnpm to install dependencies.']),
+    documentOf('docs/setup.md', ['Keep functions small.'])
+  ], { crossFileOnly: true });
+  assert.deepStrictEqual(contradictions, []);
+});
+
+test('does not read installing one package manager with another as a choice', () => {
+  const contradictions = detectContradictions([
+    documentOf('AGENTS.md', ['Install pnpm with `npm install -g pnpm`.', 'Run `pnpm test`.'])
+  ]);
+  assert.deepStrictEqual(contradictions, []);
+});
+
+test('does not read a sentence listing several values as a choice', () => {
+  const contradictions = detectContradictions([
+    documentOf('README.md', ['Checks `npm/pnpm/yarn run` scripts.', 'Works with npm, pnpm or yarn.']),
+    documentOf('AGENTS.md', ['Run `pnpm test` before you push.'])
+  ]);
+  assert.deepStrictEqual(contradictions, []);
+});
+
+test('reports an instruction and its negation as a polarity contradiction', () => {
+  const contradictions = detectContradictions([
+    documentOf('AGENTS.md', ['# Rules', 'Use JavaScript for all new code.', 'Never use JavaScript for new code.'])
+  ]);
+  assert.deepStrictEqual(contradictions.map(item => [item.type, item.statements.map(statement => statement.line)]), [
+    ['polarity', [3, 5]]
+  ]);
+});
+
+test('reports an instruction and its negation once, as a contradiction', () => {
+  const content = [
+    '# Rules',
+    'Use JavaScript for all new code.',
+    'Keep functions small.',
+    'Never use JavaScript for new code.',
+    'Run the full test suite before every push.',
+    'Run the full test suite before every push.'
+  ].join('\n\n');
+  const { findings } = analyzeString(content, 'AGENTS.md').files[0].evaluation;
+  const lines = rule => findings.filter(finding => finding.rule === rule).map(finding => finding.line);
+  assert.deepStrictEqual(lines('contradictions'), [7]);
+  assert.deepStrictEqual(lines('duplicate-instructions'), [11]);
+});
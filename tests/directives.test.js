@@ -0,0 +1,35 @@
+/**
+ * Critical instructions: extraction and placement against the front of the document
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenizeMarkdown } = require('../agent-document-reviewer/scripts/lib/markdown');
+const { extractDirectives, analyzeDirectivePlacement } = require('../agent-document-reviewer/scripts/lib/directives');
+
+const body = count => Array.from({ length: count }, (_, index) => `Line ${index} of text.`).join('\n');
+
+test('extracts directives from prose, not from code', () => {
+  const tokens = tokenizeMarkdown('# Guide\n\nYou MUST run the tests.\n\n> [!IMPORTANT]\n\n```\nALWAYS do this\n```\n\n必ずレビューを受けてください。\n');
+  assert.deepStrictEqual(extractDirectives(tokens).map(item => [item.lineNumber, item.keyword, item.strength]), [
+    [3, 'MUST', 'strong'],
+    [5, 'IMPORTANT', 'strong'],
+    [11, '必ず', 'normal']
+  ]);
+});
+
+test('scores directives after the first 100 lines as late', () => {
+  const tokens = tokenizeMarkdown(`# Guide\n\nYou MUST run the tests.\n\n${body(250)}\n\nNever commit secrets to git.\n`);
+  const placement = analyzeDirectivePlacement(extractDirectives(tokens), tokens.lines.length);
+  assert.strictEqual(placement.frontBoundary, 100);
+  assert.strictEqual(placement.frontLoaded, 1);
+  assert.deepStrictEqual(placement.late.map(item => [item.lineNumber, item.keyword]), [[256, 'never']]);
+  assert.strictEqual(placement.placementScore, 5);
+});
+
+test('does not count a late directive that restates an early one', () => {
+  const tokens = tokenizeMarkdown(`# Guide\n\nNever commit secrets to git.\n\n${body(250)}\n\nYou must never commit secrets to git.\n`);
+  const placement = analyzeDirectivePlacement(extractDirectives(tokens), tokens.lines.length);
+  assert.deepStrictEqual(placement.late, []);
+  assert.strictEqual(placement.placementScore, 10);
+});
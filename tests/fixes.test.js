@@ -0,0 +1,76 @@
+/**
+ * Safe rewrites (computeFixes) and their unified diff (--fix / --fix-dry-run)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeFixes, unifiedDiff } = require('../agent-document-reviewer/scripts/lib/fixes');
+
+const DOCUMENT = [
+  '# Guide',
+  '',
+  '## Contents',
+  '',
+  '- [Setup](#setup)',
+  '- [Usage](#usage)',
+  '',
+  '## Setup',
+  '',
+  'See [usage](#usage) first.',
+  '',
+  '##### Deep',
+  '',
+  '- Run the full test suite',
+  '- Run the full test suite',
+  '',
+  '```',
+  '- [sample](#anchor)',
+  '##### Not a heading',
+  '```',
+  ''
+].join('\n');
+
+test('rewrites anchor links, deep headings and duplicate bullets', () => {
+  const fixed = computeFixes(DOCUMENT);
+  assert.deepStrictEqual(fixed.changes.map(change => [change.line, change.rule, change.after]), [
+    [3, 'anchor-links', null],
+    [4, 'anchor-links', null],
+    [5, 'anchor-links', null],
+    [6, 'anchor-links', null],
+    [7, 'anchor-links', null],
+    [10, 'anchor-links', 'See usage first.'],
+    [12, 'heading-depth', '**Deep**'],
+    [15, 'duplicate-bullets', null]
+  ]);
+  assert.ok(fixed.content.includes('- [sample](#anchor)\n##### Not a heading'));
+  assert.strictEqual(fixed.lines.length, DOCUMENT.split('\n').length);
+});
+
+test('keeps CRLF line endings', () => {
+  const fixed = computeFixes('# Guide\r\n\r\n##### Deep\r\n\r\ntext\r\n');
+  assert.strictEqual(fixed.content, '# Guide\r\n\r\n**Deep**\r\n\r\ntext\r\n');
+});
+
+test('renders the rewrites as a unified diff', () => {
+  const content = '# Guide\n\nSee [usage](#usage) first.\n\n## Usage\n\ntext\n';
+  const diff = unifiedDiff('AGENTS.md', content, computeFixes(content).lines);
+  assert.strictEqual(diff, [
+    '--- a/AGENTS.md',
+    '+++ b/AGENTS.md',
+    '@@ -1,6 +1,6 @@',
+    ' # Guide',
+    ' ',
+    '-See [usage](#usage) first.',
+    '+See usage first.',
+    ' ',
+    ' ## Usage',
+    ' ',
+    ''
+  ].join('\n'));
+});
+
+test('renders no diff when nothing changes', () => {
+  const content = '# Guide\n\n## Usage\n\ntext\n';
+  assert.deepStrictEqual(computeFixes(content).changes, []);
+  assert.strictEqual(unifiedDiff('AGENTS.md', content, computeFixes(content).lines), '');
+});
@@ -0,0 +1,25 @@
+/**
+ * Shared test helpers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Writes files into a new temporary directory that is removed after the test
+ * @param {Object} t - node:test context
+ * @param {Object} files - { 'relative/path': content }
+ * @returns {string} The temporary directory
+ */
+function writeTree(t, files = {}) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adr-test-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, file), content);
+  }
+  return rootDir;
+}
+
+module.exports = { writeTree };
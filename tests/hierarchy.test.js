@@ -0,0 +1,47 @@
+/**
+ * Nested AGENTS.md discovery (--discover): scopes, override conflicts and rules repeated in every child
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const TREE = {
+  'AGENTS.md': '# Root\n\nNever commit generated build artifacts to the repository.\n\nRun the full test suite before every push.\n',
+  'packages/web/AGENTS.md': '# Web\n\nCommit generated build artifacts to the repository.\n\nRun the full test suite before every push.\n',
+  'packages/api/AGENTS.md': '# API\n\nRun the full test suite before every push.\n',
+  'node_modules/dependency/AGENTS.md': '# Dependency\n'
+};
+
+function discover(t) {
+  const rootDir = writeTree(t, TREE);
+  const result = spawnSync(process.execPath, [SCRIPT, '--discover', '--root-dir', rootDir], { encoding: 'utf-8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout).discovery;
+}
+
+test('finds nested files outside node_modules and lists the files that apply per scope', t => {
+  const discovery = discover(t);
+  assert.deepStrictEqual(discovery.files, ['AGENTS.md', 'packages/api/AGENTS.md', 'packages/web/AGENTS.md']);
+  const web = discovery.scopes.find(scope => scope.directory === 'packages/web');
+  assert.strictEqual(web.parent, 'AGENTS.md');
+  assert.deepStrictEqual(web.applies, ['AGENTS.md', 'packages/web/AGENTS.md']);
+});
+
+test('reports child rules that contradict an ancestor', t => {
+  const { conflicts } = discover(t);
+  assert.deepStrictEqual(conflicts.map(conflict => [conflict.parent.file, conflict.parent.line, conflict.child.file, conflict.child.line]), [
+    ['AGENTS.md', 3, 'packages/web/AGENTS.md', 3]
+  ]);
+});
+
+test('reports parent rules that every child restates', t => {
+  const { repeatedInChildren } = discover(t);
+  assert.strictEqual(repeatedInChildren.length, 1);
+  assert.strictEqual(repeatedInChildren[0].parent.line, 5);
+  assert.deepStrictEqual(repeatedInChildren[0].children.map(child => child.file), ['packages/api/AGENTS.md', 'packages/web/AGENTS.md']);
+});
@@ -0,0 +1,60 @@
+/**
+ * Inputs: directories, glob patterns and stdin
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const TREE = {
+  'docs/guide.md': '# Guide\n',
+  'docs/sub/setup.md': '# Setup\n',
+  'docs/notes.txt': 'not Markdown\n',
+  'node_modules/dependency/README.md': '# Dependency\n'
+};
+
+function run(rootDir, args, input) {
+  return spawnSync(process.execPath, [SCRIPT, '--root-dir', '.', ...args], { cwd: rootDir, input, encoding: 'utf-8' });
+}
+
+function analyzedFiles(rootDir, args) {
+  const result = run(rootDir, args);
+  assert.strictEqual(result.status, 0, result.stderr);
+  const realRoot = fs.realpathSync(rootDir);
+  return JSON.parse(result.stdout).linkedAnalysis.analyzed.map(item => path.relative(realRoot, item.fullPath));
+}
+
+test('expands directories to their Markdown files outside node_modules', t => {
+  assert.deepStrictEqual(analyzedFiles(writeTree(t, TREE), ['.']), ['docs/guide.md', 'docs/sub/setup.md']);
+});
+
+test('expands glob patterns', t => {
+  const rootDir = writeTree(t, TREE);
+  assert.deepStrictEqual(analyzedFiles(rootDir, ['docs/*/*.md']), ['docs/sub/setup.md']);
+  const missing = run(rootDir, ['missing/*.md']);
+  assert.strictEqual(missing.status, 1);
+  assert.match(missing.stderr, /^Error: No Markdown files match missing\/\*\.md/);
+});
+
+test('reads one document from stdin and follows its links from --stdin-filename', t => {
+  const rootDir = writeTree(t, TREE);
+  const result = run(rootDir, ['--stdin-filename', 'AGENTS.md', '-'], '# Agents\n\nSee [the guide](docs/guide.md) for details.\n');
+  assert.strictEqual(result.status, 0, result.stderr);
+  const realRoot = fs.realpathSync(rootDir);
+  const { analyzed } = JSON.parse(result.stdout).linkedAnalysis;
+  assert.deepStrictEqual(analyzed.map(item => [path.relative(realRoot, item.fullPath), item.depth]), [
+    ['AGENTS.md', 0],
+    ['docs/guide.md', 1]
+  ]);
+});
+
+test('accepts stdin only once', t => {
+  const result = run(writeTree(t, TREE), ['-', '-'], '# A\n');
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /^Error: "-" \(stdin\) can only be given once/);
+});
@@ -0,0 +1,58 @@
+/**
+ * CJK text: per-character word counts, language detection, localized feedback and repeated phrases
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { countWords, detectLanguage } = require('../agent-document-reviewer/scripts/lib/language');
+const { analyzeString } = require('../agent-document-reviewer/scripts/analyze_document');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const JAPANESE = [
+  '# ガイド',
+  'プルリクエストを作成する前にテストを実行してください。',
+  'マージの前にもプルリクエストを作成する前にテストを実行してください。',
+  'リリースではプルリクエストを作成する前にテストを実行してください。',
+  ''
+].join('\n\n');
+
+test('counts each CJK character as a word and Latin words as usual', () => {
+  assert.strictEqual(countWords('テストを実行'), 6);
+  assert.strictEqual(countWords('テストを実行 run tests'), 8);
+});
+
+test('detects the document language', () => {
+  assert.strictEqual(detectLanguage(JAPANESE), 'ja');
+  assert.strictEqual(detectLanguage('# Guide\n\nRun the tests before pushing.'), 'en');
+});
+
+function analyze(t, args) {
+  const rootDir = writeTree(t, { 'AGENTS.md': JAPANESE });
+  const result = spawnSync(process.execPath, [SCRIPT, ...args, 'AGENTS.md'], { cwd: rootDir, encoding: 'utf-8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+test('writes feedback in the document language', t => {
+  const { metrics, evaluation } = analyze(t, []);
+  assert.strictEqual(metrics.language, 'ja');
+  assert.ok(evaluation.feedback.includes('✅ ドキュメントの長さは理想的です(200行以下)'));
+});
+
+test('uses the --lang language for feedback', t => {
+  const { evaluation } = analyze(t, ['--lang', 'en']);
+  assert.ok(evaluation.feedback.includes('✅ Document length is excellent (≤200 lines)'));
+});
+
+test('reports repeated CJK phrases in the document language', () => {
+  const file = analyzeString(JAPANESE, 'AGENTS.md').files[0];
+  assert.strictEqual(file.metrics.language, 'ja');
+  const repeated = file.evaluation.findings.filter(finding => finding.rule === 'repeated-phrases');
+  assert.deepStrictEqual(repeated.map(finding => finding.line), [3]);
+  assert.match(repeated[0].message, /^「プルリクエストを作成する前にテストを実行してください」が3回出現します/);
+  assert.ok(file.evaluation.feedback.some(item => item.startsWith('⚠️  冗長な可能性があります')));
+});
@@ -0,0 +1,63 @@
+/**
+ * Link quality (descriptive text and "when to read" triggers) and the link graph
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { tokenizeMarkdown } = require('../agent-document-reviewer/scripts/lib/markdown');
+const { assessLinkQuality } = require('../agent-document-reviewer/scripts/lib/links');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const TREE = {
+  'AGENTS.md': '# Guide\n\nWhen you change the database schema, read [migrations](docs/migrations.md).\n\nSee [here](docs/style.md).\n',
+  'docs/migrations.md': '# Migrations\n\nBack to the [guide](../AGENTS.md).\n',
+  'docs/style.md': '# Style\n',
+  'docs/orphan.md': '# Orphan\n'
+};
+
+function linkGraph(t, format) {
+  const rootDir = writeTree(t, TREE);
+  const result = spawnSync(process.execPath, [SCRIPT, '--root-dir', '.', '--graph', format, 'AGENTS.md'], { cwd: rootDir, encoding: 'utf-8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return result.stdout;
+}
+
+test('scores descriptive link text and read triggers', () => {
+  const quality = assessLinkQuality(tokenizeMarkdown(TREE['AGENTS.md']), url => !/^https?:/.test(url));
+  assert.deepStrictEqual(quality.links.map(link => [link.text, link.descriptiveText, link.trigger, link.score]), [
+    ['migrations', true, true, 2],
+    ['here', false, false, 0]
+  ]);
+  assert.strictEqual(quality.score, 5);
+});
+
+test('reads link text that is a code span', () => {
+  const tokens = tokenizeMarkdown('# Guide\n\nFor the setup steps, read [`setup.md`](setup.md) or [`OTHER.md`](OTHER.md).\n');
+  const quality = assessLinkQuality(tokens, () => true);
+  assert.deepStrictEqual(quality.links.map(link => [link.text, link.descriptiveText]), [
+    ['`setup.md`', true],
+    ['`OTHER.md`', false]
+  ]);
+});
+
+test('builds the link graph with orphans and cycles', t => {
+  const graph = JSON.parse(linkGraph(t, 'json'));
+  assert.deepStrictEqual(graph.nodes.map(node => [node.id, node.depth, node.fanIn, node.fanOut]), [
+    ['AGENTS.md', 0, 1, 2],
+    ['docs/migrations.md', 1, 1, 1],
+    ['docs/style.md', 1, 1, 0]
+  ]);
+  assert.deepStrictEqual(graph.orphans, ['docs/orphan.md']);
+  assert.deepStrictEqual(graph.cycles, [['AGENTS.md', 'docs/migrations.md', 'AGENTS.md']]);
+});
+
+test('renders the graph as Mermaid', t => {
+  const mermaid = linkGraph(t, 'mermaid');
+  assert.match(mermaid, /^graph TD\n/);
+  assert.match(mermaid, /n0\["AGENTS\.md \(depth 0\)"\]/);
+  assert.match(mermaid, /n0 -->\|L3\| n1/);
+});
@@ -0,0 +1,93 @@
+/**
+ * Language server (--lsp): diagnostics and quick fixes for an open document
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { spawn } = require('child_process');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+// Sends Content-Length framed messages and resolves with every message the server wrote
+function session(messages) {
+  return new Promise((resolve, reject) => {
+    const server = spawn(process.execPath, [SCRIPT, '--lsp', '--stdio'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    const chunks = [];
+    server.stdout.on('data', chunk => chunks.push(chunk));
+    server.on('error', reject);
+    server.on('close', code => {
+      const received = [];
+      let buffer = Buffer.concat(chunks);
+      while (buffer.length > 0) {
+        const headerEnd = buffer.indexOf('\r\n\r\n');
+        const length = Number(buffer.slice(0, headerEnd).toString('ascii').match(/Content-Length: (\d+)/i)[1]);
+        received.push(JSON.parse(buffer.slice(headerEnd + 4, headerEnd + 4 + length).toString('utf8')));
+        buffer = buffer.slice(headerEnd + 4 + length);
+      }
+      resolve({ code, received });
+    });
+    for (const message of messages) {
+      const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+      server.stdin.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+    }
+    server.stdin.end();
+  });
+}
+
+test('publishes diagnostics and offers the --fix rewrites as quick fixes', async t => {
+  const text = '# Guide\n\n## Setup\n\n### Tools\n\n#### Linters\n\nRead [the notes](docs/missing.md).\n';
+  const rootDir = writeTree(t, {
+    'AGENTS.md': text,
+    '.agentdocrc.json': JSON.stringify({ rules: { 'heading-depth': { max: 3 } } })
+  });
+  const filePath = path.join(rootDir, 'AGENTS.md');
+  const uri = pathToFileURL(filePath).href;
+
+  const { code, received } = await session([
+    { id: 1, method: 'initialize', params: { rootUri: pathToFileURL(rootDir).href, capabilities: {} } },
+    { method: 'initialized', params: {} },
+    { method: 'textDocument/didOpen', params: { textDocument: { uri, languageId: 'markdown', version: 1, text } } },
+    {
+      id: 2,
+      method: 'textDocument/codeAction',
+      params: { textDocument: { uri }, range: { start: { line: 6, character: 0 }, end: { line: 6, character: 0 } }, context: { diagnostics: [] } }
+    },
+    { id: 3, method: 'shutdown' },
+    { method: 'exit' }
+  ]);
+  assert.strictEqual(code, 0);
+
+  const published = received.find(message => message.method === 'textDocument/publishDiagnostics');
+  assert.strictEqual(published.params.uri, uri);
+  const diagnostics = published.params.diagnostics.map(item => [item.code, item.range.start.line]);
+  assert.deepStrictEqual(diagnostics.filter(([rule]) => rule === 'heading-depth'), [['heading-depth', 6]]);
+  assert.deepStrictEqual(diagnostics.filter(([rule]) => rule === 'stale-references'), [['stale-references', 8]]);
+
+  const actions = received.find(message => message.id === 2).result;
+  assert.deepStrictEqual(actions.map(action => action.title), ['Turn the heading into bold text', 'Apply all safe fixes (1)']);
+  assert.deepStrictEqual(actions[0].edit.changes[uri].map(edit => edit.newText), ['**Linters**']);
+});
+
+test('marks each occurrence of a repeated phrase with the rule severity', async t => {
+  const text = '# Tests\n\nRun the tests first.\nRun the tests again.\nRun the tests once more.\nRun the tests at the end.\n';
+  const rootDir = writeTree(t, { 'AGENTS.md': text });
+  const uri = pathToFileURL(path.join(rootDir, 'AGENTS.md')).href;
+
+  const { received } = await session([
+    { id: 1, method: 'initialize', params: { rootUri: pathToFileURL(rootDir).href, capabilities: {} } },
+    { method: 'textDocument/didOpen', params: { textDocument: { uri, languageId: 'markdown', version: 1, text } } },
+    { id: 2, method: 'shutdown' },
+    { method: 'exit' }
+  ]);
+  const { diagnostics } = received.find(message => message.method === 'textDocument/publishDiagnostics').params;
+  const repeated = diagnostics.filter(item => item.code === 'repeated-phrases');
+  assert.deepStrictEqual(repeated.map(item => [item.range.start.line, item.range.start.character, item.severity]), [
+    [2, 0, 2],
+    [3, 0, 2],
+    [4, 0, 2],
+    [5, 0, 2]
+  ]);
+});
@@ -0,0 +1,64 @@
+/**
+ * Tokenizer: line classification, headings and links come from prose only
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenizeMarkdown, normalizeLabel } = require('../agent-document-reviewer/scripts/lib/markdown');
+
+const DOCUMENT = [
+  '---',
+  'title: Guide',
+  '---',
+  '# Title',
+  '',
+  '```sh',
+  '# not a heading',
+  '[sample](skip.md)',
+  '```',
+  '',
+  'See [the guide](docs/guide.md) and `[code](no.md)`.',
+  '<!-- [hidden](hidden.md) -->',
+  'Sub',
+  '---',
+  '',
+  '[Ref]: docs/ref.md',
+  'Use [ref].',
+  ''
+].join('\n');
+
+test('classifies front matter, code, comments and prose', () => {
+  const tokens = tokenizeMarkdown(DOCUMENT);
+  assert.deepStrictEqual(tokens.lines.slice(0, 13).map(line => line.kind), [
+    'frontMatter', 'frontMatter', 'frontMatter', 'text', 'blank',
+    'code', 'code', 'code', 'code', 'blank', 'text', 'comment', 'text'
+  ]);
+});
+
+test('takes ATX and setext headings from prose only', () => {
+  const { headings } = tokenizeMarkdown(DOCUMENT);
+  assert.deepStrictEqual(headings, [
+    { depth: 1, title: 'Title', lineNumber: 4 },
+    { depth: 2, title: 'Sub', lineNumber: 13, setext: true }
+  ]);
+});
+
+test('skips links in code blocks, code spans and HTML comments', () => {
+  const { links, definitions } = tokenizeMarkdown(DOCUMENT);
+  assert.deepStrictEqual(links.map(link => [link.type, link.url, link.lineNumber]), [
+    ['inline', 'docs/guide.md', 11],
+    ['reference', 'docs/ref.md', 17]
+  ]);
+  assert.strictEqual(definitions.get('ref').url, 'docs/ref.md');
+});
+
+test('does not open a comment at a code span that contains <!--', () => {
+  const tokens = tokenizeMarkdown('# Guide\n\nUse `<!--` to start a comment.\n\n## Links\n\nSee [setup](setup.md).\n');
+  assert.deepStrictEqual(tokens.lines.map(line => line.kind), ['text', 'blank', 'text', 'blank', 'text', 'blank', 'text', 'blank']);
+  assert.deepStrictEqual(tokens.headings.map(heading => heading.title), ['Guide', 'Links']);
+  assert.deepStrictEqual(tokens.links.map(link => link.url), ['setup.md']);
+});
+
+test('matches reference labels case-insensitively', () => {
+  assert.strictEqual(normalizeLabel('  Setup   Guide '), normalizeLabel('setup guide'));
+});
@@ -0,0 +1,67 @@
+/**
+ * MCP stdio server (--mcp): one JSON-RPC session from initialize to tools/call
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+// Sends the messages one per line, closes stdin and resolves with the responses by id
+function session(rootDir, messages) {
+  return new Promise((resolve, reject) => {
+    const server = spawn(process.execPath, [SCRIPT, '--mcp', '--root-dir', rootDir], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    server.stdout.on('data', chunk => { stdout += chunk; });
+    server.stderr.on('data', chunk => { stderr += chunk; });
+    server.on('error', reject);
+    server.on('close', code => {
+      const responses = new Map();
+      for (const line of stdout.split('\n').filter(Boolean)) {
+        const message = JSON.parse(line);
+        responses.set(message.id, message);
+      }
+      resolve({ code, stderr, responses });
+    });
+    server.stdin.end(messages.map(message => JSON.stringify({ jsonrpc: '2.0', ...message })).join('\n') + '\n');
+  });
+}
+
+test('answers tools/list and a tools/call round trip', async t => {
+  const rootDir = writeTree(t, {
+    'AGENTS.md': '# Guide\n\nSee [testing](docs/testing.md) before pushing.\n',
+    'docs/testing.md': '# Testing\n\nRun the full test suite before every push.\n'
+  });
+
+  const { code, stderr, responses } = await session(rootDir, [
+    { id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } } },
+    { method: 'notifications/initialized' },
+    { id: 2, method: 'tools/list' },
+    { id: 3, method: 'tools/call', params: { name: 'analyze_document', arguments: { path: 'AGENTS.md' } } },
+    { id: 4, method: 'tools/call', params: { name: 'analyze_document', arguments: { path: '../outside.md' } } },
+    { id: 5, method: 'no/such/method' }
+  ]);
+  assert.strictEqual(code, 0, stderr);
+
+  assert.strictEqual(responses.get(1).result.protocolVersion, '2025-06-18');
+  assert.strictEqual(responses.get(1).result.serverInfo.name, 'agent-document-reviewer');
+
+  const toolNames = responses.get(2).result.tools.map(tool => tool.name);
+  assert.ok(toolNames.includes('analyze_document'));
+  assert.ok(toolNames.includes('find_redundancy'));
+
+  const call = responses.get(3).result;
+  assert.ok(!call.isError);
+  assert.deepStrictEqual(call.structuredContent.files.map(file => file.file), ['AGENTS.md', 'docs/testing.md']);
+  assert.deepStrictEqual(JSON.parse(call.content[0].text), call.structuredContent);
+
+  const outside = responses.get(4).result;
+  assert.strictEqual(outside.isError, true);
+  assert.match(outside.content[0].text, /^Error: /);
+
+  assert.strictEqual(responses.get(5).error.code, -32601);
+});
@@ -0,0 +1,57 @@
+/**
+ * Custom rules: registerRule(), plugin modules and their findings
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { analyzeDocument, evaluateMetrics, registerRule } = require('../agent-document-reviewer/scripts/analyze_document');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const PLUGIN = `module.exports = {
+  rules: {
+    'house/no-todo': {
+      description: 'TODO markers left in instructions',
+      check(document) {
+        return document.lines
+          .filter(line => line.kind === 'text' && /\\bTODO\\b/.test(line.prose))
+          .map(line => ({ line: line.lineNumber, message: 'TODO left in instructions' }));
+      }
+    }
+  }
+};
+`;
+
+test('reports the findings of a plugin rule, with the severity set in the config', t => {
+  const rootDir = writeTree(t, {
+    'house.js': PLUGIN,
+    '.agentdocrc.json': JSON.stringify({ plugins: ['./house.js'], rules: { 'house/no-todo': 'error' } }),
+    'AGENTS.md': '# Guide\n\nTODO describe the release process.\n\n```\nTODO in code\n```\n'
+  });
+
+  const result = spawnSync(process.execPath, [SCRIPT, 'AGENTS.md'], { cwd: rootDir, encoding: 'utf-8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  const custom = JSON.parse(result.stdout).evaluation.feedback.filter(line => line.endsWith('[house/no-todo]'));
+  assert.deepStrictEqual(custom, ['❌ TODO left in instructions (line 3) [house/no-todo]']);
+});
+
+test('rejects invalid rule ids and definitions', () => {
+  assert.throws(() => registerRule('No Spaces', { check: () => [] }), /Invalid rule "No Spaces"/);
+  assert.throws(() => registerRule('heading-depth', { check: () => [] }), /conflicts with a built-in rule/);
+  assert.throws(() => registerRule('house/no-check', {}), /check\(document, options\) must be a function/);
+});
+
+test('runs rules registered from code', t => {
+  registerRule('house/no-fixme', {
+    severity: 'warning',
+    check: document => document.lines
+      .filter(line => line.kind === 'text' && line.prose.includes('FIXME'))
+      .map(line => ({ line: line.lineNumber, message: 'FIXME left in instructions' }))
+  });
+  const filePath = path.join(writeTree(t, { 'AGENTS.md': '# Guide\n\nFIXME add a section.\n' }), 'AGENTS.md');
+  const { feedback } = evaluateMetrics(analyzeDocument(filePath));
+  assert.ok(feedback.includes('⚠️  FIXME left in instructions (line 3) [house/no-fixme]'));
+});
@@ -0,0 +1,47 @@
+/**
+ * Tool profiles (--profile): entry points, @imports, how each file is loaded and size limits
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { tokenizeMarkdown } = require('../agent-document-reviewer/scripts/lib/markdown');
+const { extractAtImports } = require('../agent-document-reviewer/scripts/lib/profiles');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+function analyzeProfile(rootDir) {
+  const result = spawnSync(process.execPath, [SCRIPT, '--profile', 'claude-code', '--root-dir', rootDir], { encoding: 'utf-8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout).linkedAnalysis;
+}
+
+test('extracts @imports from prose only', () => {
+  const tokens = tokenizeMarkdown('# Project\n\nSee @docs/style.md for style.\n\n```\n@docs/sample.md\n```\n');
+  assert.deepStrictEqual(extractAtImports(tokens).map(item => [item.url, item.lineNumber]), [['docs/style.md', 3]]);
+});
+
+test('finds the tool entry points and follows imports from automatically loaded files', t => {
+  const rootDir = writeTree(t, {
+    'CLAUDE.md': '# Project\n\nSee @docs/style.md for style.\n',
+    'docs/style.md': '# Style\n\nUse two spaces.\n',
+    'src/CLAUDE.md': '# Source\n\nKeep modules small.\n'
+  });
+  const realRoot = fs.realpathSync(rootDir);
+  const { analyzed } = analyzeProfile(rootDir);
+  assert.deepStrictEqual(analyzed.map(item => [path.relative(realRoot, item.fullPath), item.loading]), [
+    ['CLAUDE.md', 'auto'],
+    ['docs/style.md', 'auto'],
+    ['src/CLAUDE.md', 'on-demand']
+  ]);
+});
+
+test('reports files over the tool size limit', t => {
+  const rootDir = writeTree(t, { 'CLAUDE.md': `# Project\n\n${'x'.repeat(41000)}\n` });
+  const [entry] = analyzeProfile(rootDir).analyzed;
+  assert.deepStrictEqual(entry.evaluation.limitViolations, [{ limit: 40000, actual: 41012, unit: 'characters' }]);
+  assert.ok(entry.evaluation.feedback.some(line => /Exceeds Claude Code limit of 40000 characters/.test(line)));
+});
@@ -0,0 +1,62 @@
+/**
+ * Reading simulation (--simulate-read): what an agent misses when it stops after a token budget
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseReadBudget } = require('../agent-document-reviewer/scripts/lib/reading');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const body = count => Array.from({ length: count }, (_, index) => `Line ${index} of the section body with several words.`).join('\n');
+
+function simulate(t, simulateRead) {
+  const rootDir = writeTree(t, {
+    'AGENTS.md': `# Guide\n\nYou MUST run the tests.\n\nSee [deploy](docs/deploy.md) when you release.\n\n## Details\n\n${body(60)}\n\nNever push to main.\n`,
+    'docs/deploy.md': '# Deploy\n\nAlways tag the release.\n'
+  });
+  return spawnSync(process.execPath, [SCRIPT, '--root-dir', '.', '--simulate-read', String(simulateRead), 'AGENTS.md'], {
+    cwd: rootDir,
+    encoding: 'utf-8'
+  });
+}
+
+function evaluationAt(t, simulateRead) {
+  const result = simulate(t, simulateRead);
+  assert.strictEqual(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout).linkedAnalysis.analyzed[0].evaluation;
+}
+
+test('parses token counts and percentages', () => {
+  assert.deepStrictEqual(parseReadBudget(4000), { tokens: 4000 });
+  assert.deepStrictEqual(parseReadBudget('30%'), { percent: 30 });
+  assert.strictEqual(parseReadBudget('many'), null);
+  assert.strictEqual(parseReadBudget(0), null);
+});
+
+test('reports where reading stops and the directives beyond it', t => {
+  const evaluation = evaluationAt(t, 300);
+  const coverage = evaluation.coverageAtBudget;
+  assert.strictEqual(coverage.readTokens, 300);
+  assert.strictEqual(coverage.coverage, Math.round(300 / coverage.totalTokens * 100));
+  assert.deepStrictEqual(coverage.files, { read: [], partial: ['AGENTS.md'], unread: ['docs/deploy.md'] });
+  assert.strictEqual(coverage.stoppedAt.section, 'Details');
+  assert.deepStrictEqual(coverage.directives.unread.map(item => [item.file, item.line]), [['AGENTS.md', 70], ['docs/deploy.md', 3]]);
+
+  assert.ok(evaluation.feedback.some(line => /2 critical instruction\(s\) fall outside a 300-token read.*"Never push to main\."/.test(line)));
+});
+
+test('reads everything within a full budget', t => {
+  const coverage = evaluationAt(t, '100%').coverageAtBudget;
+  assert.strictEqual(coverage.coverage, 100);
+  assert.deepStrictEqual(coverage.directives.unread, []);
+});
+
+test('rejects an invalid budget', t => {
+  const result = simulate(t, 'many');
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /^Error: Invalid --simulate-read value: many/);
+});
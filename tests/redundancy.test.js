@@ -0,0 +1,64 @@
+/**
+ * Duplicate and paraphrased instructions, negated pairs and repeated phrases
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenizeMarkdown } = require('../agent-document-reviewer/scripts/lib/markdown');
+const { extractInstructions, findDuplicateInstructions } = require('../agent-document-reviewer/scripts/lib/redundancy');
+const { analyzeString } = require('../agent-document-reviewer/scripts/analyze_document');
+
+function instructionsOf(lines) {
+  return extractInstructions(tokenizeMarkdown(lines.join('\n\n')));
+}
+
+const pairLines = pair => [pair.first.line, pair.second.line];
+
+test('finds verbatim duplicates within a file', () => {
+  const instructions = instructionsOf([
+    '# Rules',
+    'Run the full test suite before every push.',
+    'Keep functions small.',
+    'Run the full test suite before every push.'
+  ]);
+  const pairs = findDuplicateInstructions([{ file: 'AGENTS.md', instructions }]);
+  assert.deepStrictEqual(pairs.map(pair => [pair.type, ...pairLines(pair)]), [['verbatim', 3, 7]]);
+});
+
+test('does not pair an instruction with its negation', () => {
+  const instructions = instructionsOf([
+    '# Rules',
+    'Use JavaScript for all new code.',
+    'Never use JavaScript for new code.'
+  ]);
+  const documents = [{ file: 'AGENTS.md', instructions }];
+  assert.deepStrictEqual(findDuplicateInstructions(documents), []);
+  assert.deepStrictEqual(findDuplicateInstructions(documents, { polarity: 'opposite' }).map(pairLines), [[3, 5]]);
+});
+
+test('reports only pairs between files with crossFileOnly', () => {
+  const line = 'Run the full test suite before every push.';
+  const documents = [
+    { file: 'AGENTS.md', instructions: instructionsOf([line, line]) },
+    { file: 'docs/testing.md', instructions: instructionsOf([line]) }
+  ];
+  const pairs = findDuplicateInstructions(documents, { crossFileOnly: true });
+  assert.ok(pairs.length > 0);
+  assert.ok(pairs.every(pair => pair.first.file !== pair.second.file));
+});
+
+test('reports repeated phrases as their own rule with the first line', () => {
+  const content = [
+    '# Tests',
+    '',
+    'Run the tests first.',
+    'Run the tests again.',
+    'Run the tests once more.',
+    'Run the tests at the end.',
+    ''
+  ].join('\n');
+  const { findings } = analyzeString(content, 'AGENTS.md').files[0].evaluation;
+  const repeated = findings.filter(finding => finding.rule === 'repeated-phrases');
+  assert.deepStrictEqual(repeated.map(finding => finding.line), [3]);
+  assert.match(repeated[0].message, /"run the tests" appears \d times/);
+});
@@ -0,0 +1,49 @@
+/**
+ * Stale references: paths, package.json scripts, Makefile targets and links checked against the repository
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const TREE = {
+  'package.json': JSON.stringify({ scripts: { test: 'node test.js' } }),
+  Makefile: 'build:\n\techo build\n',
+  'scripts/setup.sh': 'echo setup\n',
+  'docs/notes.md': '# Notes\n',
+  'AGENTS.md': [
+    '# Guide',
+    'Run `scripts/setup.sh` then `scripts/missing.sh`.',
+    'Use `npm run test` and `npm run lint`.',
+    'Run `make build` and `make deploy`.',
+    'See [notes](docs/notes.md) and [the old docs](docs/missing.md).',
+    'Never commit `.env` files or edit `CHANGELOG.md` by hand.',
+    ''
+  ].join('\n\n')
+};
+
+function analyze(rootDir, args) {
+  const result = spawnSync(process.execPath, [SCRIPT, '--format', 'full', ...args, 'AGENTS.md'], { cwd: rootDir, encoding: 'utf-8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+test('reports only the references that do not exist, and bare file names as concepts', t => {
+  const rootDir = writeTree(t, TREE);
+  const [entry] = analyze(rootDir, ['--root-dir', '.']).linkedAnalysis.analyzed;
+  assert.deepStrictEqual(entry.metrics.staleReferences.map(item => [item.line, item.type, item.reference]), [
+    [3, 'path', 'scripts/missing.sh'],
+    [5, 'script', 'npm run lint'],
+    [7, 'make-target', 'make deploy'],
+    [9, 'link', 'docs/missing.md']
+  ]);
+});
+
+test('skips the check without a root directory', t => {
+  const rootDir = writeTree(t, { 'AGENTS.md': TREE['AGENTS.md'] });
+  assert.strictEqual(analyze(rootDir, []).metrics.staleReferences, null);
+});
@@ -0,0 +1,49 @@
+/**
+ * Markdown and self-contained HTML reports (--format markdown|html)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+const DOCUMENT = '# Top <script>alert(1)</script>\n\ntext\n\n##### Deep & deeper\n\nshort\n';
+
+function report(t, format) {
+  const directory = writeTree(t, { 'AGENTS.md': DOCUMENT });
+  const result = spawnSync(process.execPath, [SCRIPT, '--no-include-links', '--format', format, 'AGENTS.md'], {
+    cwd: directory,
+    encoding: 'utf-8'
+  });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return result.stdout;
+}
+
+// The legend without its color names or swatches
+const legendText = text => text.match(/Heat follows the section score:.*longer\), (.*?)(?:<\/p>)?$/m)[1];
+
+test('renders a scoreboard and a heatmap that follows the section score', t => {
+  const markdown = report(t, 'markdown');
+  assert.match(markdown, /^# Agent Document Review: AGENTS\.md$/m);
+  assert.match(markdown, /^\| `AGENTS\.md` \| 🟢 \d+ \|/m);
+  // A short section nested deeper than level 4 is one band hotter
+  assert.match(markdown, /Deep & deeper \(L5\) \| 4 \| \d+ \| 🟨 /);
+});
+
+test('writes a self-contained HTML report with escaped content', t => {
+  const html = report(t, 'html');
+  assert.match(html, /^<!DOCTYPE html>/i);
+  assert.ok(!/<script/i.test(html));
+  assert.ok(!/\b(?:src|href)="https?:/i.test(html));
+  assert.ok(html.includes('Top &lt;script&gt;alert(1)&lt;/script&gt;'));
+  assert.match(html, /Deep &amp; deeper <span class="muted">L5<\/span><\/td><td class="number" style="background: #fff8c5">/);
+});
+
+test('shares one heatmap legend between Markdown and HTML', t => {
+  const markdownLegend = legendText(report(t, 'markdown'));
+  const htmlLegend = legendText(report(t, 'html'));
+  assert.strictEqual(htmlLegend, markdownLegend);
+});
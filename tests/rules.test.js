@@ -0,0 +1,65 @@
+/**
+ * Configurable rules: .agentdocrc.json entries, overrides and adr-disable comments
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { resolveRules } = require('../agent-document-reviewer/scripts/lib/rules');
+const { analyzeFiles } = require('../agent-document-reviewer/scripts/analyze_document');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+function feedbackOf(t, files) {
+  const rootDir = writeTree(t, files);
+  const result = spawnSync(process.execPath, [SCRIPT, 'AGENTS.md'], { cwd: rootDir, encoding: 'utf-8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout).evaluation.feedback;
+}
+
+test('applies rule entries, then the overrides matching the document', () => {
+  const loaded = {
+    directory: '/project',
+    config: {
+      rules: { 'document-length': ['warning', { excellent: 300 }], 'anchor-links': 'off' },
+      overrides: [{ files: 'docs/reference/**', rules: { 'document-length': { excellent: 800 } } }]
+    }
+  };
+  const root = resolveRules(loaded, '/project/AGENTS.md').rules;
+  assert.strictEqual(root['anchor-links'].severity, 'off');
+  assert.strictEqual(root['document-length'].severity, 'warning');
+  assert.strictEqual(root['document-length'].options.excellent, 300);
+  assert.strictEqual(resolveRules(loaded, '/project/docs/reference/api.md').rules['document-length'].options.excellent, 800);
+});
+
+test('reads rule severities from .agentdocrc.json', t => {
+  const content = '# Guide\n\n##### Deep\n\ntext\n';
+  assert.ok(feedbackOf(t, { 'AGENTS.md': content }).some(line => /Deep nesting detected/.test(line)));
+  const config = JSON.stringify({ rules: { 'heading-depth': 'off' } });
+  assert.ok(!feedbackOf(t, { 'AGENTS.md': content, '.agentdocrc.json': config }).some(line => /Deep nesting detected/.test(line)));
+});
+
+test('turns rules off for one document with an adr-disable comment', t => {
+  const content = '# Guide\n\n<!-- adr-disable heading-depth -->\n\n##### Deep\n\ntext\n';
+  assert.ok(!feedbackOf(t, { 'AGENTS.md': content }).some(line => /Deep nesting detected/.test(line)));
+});
+
+test('uses the configured heading-depth max for findings, section scores and --fix', t => {
+  const rootDir = writeTree(t, {
+    '.agentdocrc.json': JSON.stringify({ rules: { 'heading-depth': { max: 3 } } }),
+    'AGENTS.md': '# Guide\n\n## Setup\n\n### Tools\n\n#### Linters\n\ntext\n'
+  });
+
+  const file = analyzeFiles([path.join(rootDir, 'AGENTS.md')], { rootDir, format: 'full' }).files[0];
+  const headingFindings = file.evaluation.findings.filter(finding => finding.rule === 'heading-depth');
+  assert.deepStrictEqual(headingFindings.map(finding => finding.line), [7]);
+  assert.deepStrictEqual(file.metrics.sections.map(section => section.score), [10, 10, 10, 8]);
+
+  const result = spawnSync(process.execPath, [SCRIPT, '--root-dir', rootDir, '--fix-dry-run', path.join(rootDir, 'AGENTS.md')], {
+    encoding: 'utf-8'
+  });
+  assert.strictEqual(result.status, 0);
+  assert.match(result.stdout, /^-#### Linters\n\+\*\*Linters\*\*$/m);
+});
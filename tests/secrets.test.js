@@ -0,0 +1,42 @@
+/**
+ * Secrets and sensitive content: detection and masked previews
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenizeMarkdown } = require('../agent-document-reviewer/scripts/lib/markdown');
+const { scanSensitiveContent } = require('../agent-document-reviewer/scripts/lib/secrets');
+
+// Split so that secret scanners do not flag the test itself
+const GITHUB_TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8';
+const AWS_KEY_ID = 'AKIA' + 'IOSFODNN7EXAMPLE';
+
+const DOCUMENT = [
+  '# Setup',
+  `Use token ${GITHUB_TOKEN} for the API.`,
+  'See http://10.0.0.5/wiki for the runbook.',
+  `AWS key ${AWS_KEY_ID} here.`,
+  ''
+].join('\n\n');
+
+test('reports tokens and internal URLs by line and type', () => {
+  const findings = scanSensitiveContent(tokenizeMarkdown(DOCUMENT));
+  assert.deepStrictEqual(findings.map(finding => [finding.line, finding.type, finding.label]), [
+    [3, 'token', 'GitHub token'],
+    [5, 'internal-url', 'internal URL'],
+    [7, 'token', 'AWS access key ID']
+  ]);
+});
+
+test('never shows the secret in the preview', () => {
+  const previews = scanSensitiveContent(tokenizeMarkdown(DOCUMENT)).map(finding => finding.preview);
+  assert.strictEqual(previews[0], 'Use token ghp_************ for the API.');
+  for (const secret of [GITHUB_TOKEN, AWS_KEY_ID, '10.0.0.5']) {
+    assert.ok(previews.every(preview => !preview.includes(secret)), secret);
+  }
+});
+
+test('skips allowed hosts', () => {
+  const findings = scanSensitiveContent(tokenizeMarkdown(DOCUMENT), { allowedHosts: ['10.0.0.5'] });
+  assert.ok(!findings.some(finding => finding.type === 'internal-url'));
+});
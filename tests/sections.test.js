@@ -0,0 +1,58 @@
+/**
+ * Section spans, per-section scores and split planning
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tokenizeMarkdown } = require('../agent-document-reviewer/scripts/lib/markdown');
+const { estimateDocumentTokens } = require('../agent-document-reviewer/scripts/lib/tokens');
+const { buildSectionSpans, planSectionSplit } = require('../agent-document-reviewer/scripts/lib/sections');
+const { analyzeDocument } = require('../agent-document-reviewer/scripts/analyze_document');
+const { writeTree } = require('./helpers');
+
+function spansOf(content) {
+  const tokens = tokenizeMarkdown(content);
+  return buildSectionSpans(tokens, estimateDocumentTokens(tokens).perLine);
+}
+
+const body = count => Array.from({ length: count }, (_, index) => `Line ${index} of the section body.`).join('\n');
+
+test('spans each heading subtree until the next heading of the same or a higher level', () => {
+  const spans = spansOf('# Guide\n\n## Setup\n\ntext\n\n### Tools\n\nmore\n\n## Usage\n\nend\n');
+  assert.deepStrictEqual(spans.map(span => [span.title, span.startLine, span.endLine]), [
+    ['Guide', 1, 14],
+    ['Setup', 3, 10],
+    ['Tools', 7, 10],
+    ['Usage', 11, 14]
+  ]);
+});
+
+test('scores long sections and headings deeper than level 4 lower', () => {
+  const spans = spansOf(`# Guide\n\n## Long\n\n${body(120)}\n\n##### Deep\n\nshort\n`);
+  assert.deepStrictEqual(spans.map(span => [span.title, span.score]), [
+    ['Guide', 5],
+    ['Long', 5],
+    ['Deep', 8]
+  ]);
+});
+
+function planFor(t, content) {
+  const filePath = path.join(writeTree(t, { 'AGENTS.md': content }), 'AGENTS.md');
+  return planSectionSplit(filePath, analyzeDocument(filePath));
+}
+
+test('proposes moving the largest section into a linked file', t => {
+  const content = `# Guide\n\nIntro.\n\n## Small\n\n${body(20)}\n\n## Database Migrations\n\n${body(150)}\n\n` +
+    `## Release Process\n\n${body(120)}\n`;
+  const plan = planFor(t, content);
+  assert.deepStrictEqual(plan.splits.map(split => [split.section, split.file]), [
+    ['Database Migrations', 'DATABASE-MIGRATIONS.md']
+  ]);
+  assert.match(plan.splits[0].replacement, /\[DATABASE-MIGRATIONS\.md\]\(DATABASE-MIGRATIONS\.md\)/);
+  assert.ok(plan.projected.totalLines <= 200);
+});
+
+test('proposes no split for a short document', t => {
+  assert.strictEqual(planFor(t, '# Guide\n\nShort.\n'), null);
+});
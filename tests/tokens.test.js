@@ -0,0 +1,33 @@
+/**
+ * Offline token estimates: per-line counts, CJK density and context-window cost
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenizeMarkdown } = require('../agent-document-reviewer/scripts/lib/markdown');
+const {
+  estimateTokens,
+  estimateDocumentTokens,
+  estimateContextCost
+} = require('../agent-document-reviewer/scripts/lib/tokens');
+
+test('estimates CJK text as denser than English text of the same length', () => {
+  const english = 'Run the tests';
+  const japanese = 'テストを実行してください。';
+  assert.ok(english.length >= japanese.length);
+  assert.ok(estimateTokens(japanese) > estimateTokens(english));
+});
+
+test('gives one estimate per line that adds up to the document total', () => {
+  const content = '# Title\n\nRun the tests before pushing.\n\n```\nnpm test\n```\n';
+  const estimate = estimateDocumentTokens(tokenizeMarkdown(content));
+  assert.strictEqual(estimate.perLine.length, content.split('\n').length);
+  assert.strictEqual(estimate.perLine.reduce((sum, count) => sum + count, 0), estimate.total);
+  assert.ok(estimate.total > 0);
+});
+
+test('reports the share of each context window in percent', () => {
+  const cost = estimateContextCost(2000);
+  assert.strictEqual(cost['claude-200k'], 1);
+  assert.ok(cost['local-8k'] > cost['claude-200k']);
+});
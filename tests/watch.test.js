@@ -0,0 +1,60 @@
+/**
+ * --watch: content-hash analysis cache and incremental re-analysis after an edit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createAnalysisCache } = require('../agent-document-reviewer/scripts/lib/cache');
+const { writeTree } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '../agent-document-reviewer/scripts/analyze_document.js');
+
+test('analyzes a file again only when its content or context changes', () => {
+  const cache = createAnalysisCache();
+  let runs = 0;
+  const analyze = () => ({ run: ++runs });
+
+  assert.deepStrictEqual(cache.get('/a.md', '# A', { depth: 0 }, analyze), { run: 1 });
+  assert.deepStrictEqual(cache.get('/a.md', '# A', { depth: 0 }, analyze), { run: 1 });
+  assert.deepStrictEqual(cache.get('/a.md', '# A', { depth: 1 }, analyze), { run: 2 });
+  assert.deepStrictEqual(cache.get('/a.md', '# A changed', { depth: 1 }, analyze), { run: 3 });
+  assert.deepStrictEqual(cache.takeStats(), { hits: 1, misses: 3 });
+
+  // Callers get their own copy
+  cache.get('/a.md', '# A changed', { depth: 1 }, analyze).run = 99;
+  assert.deepStrictEqual(cache.get('/a.md', '# A changed', { depth: 1 }, analyze), { run: 3 });
+});
+
+test('reports the new findings of an edited file', async t => {
+  const rootDir = writeTree(t, { 'AGENTS.md': '# Guide\n\nRun the tests.\n' });
+  const file = path.join(rootDir, 'AGENTS.md');
+
+  const watcher = spawn(process.execPath, [SCRIPT, '--watch', '--root-dir', rootDir, file], { stdio: ['ignore', 'pipe', 'pipe'] });
+  t.after(() => watcher.kill());
+
+  let stdout = '';
+  const waitFor = pattern => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${pattern} in:\n${stdout}`)), 10000);
+    const check = () => {
+      if (!pattern.test(stdout)) return;
+      clearTimeout(timer);
+      watcher.stdout.off('data', onData);
+      resolve();
+    };
+    const onData = chunk => {
+      stdout += chunk;
+      check();
+    };
+    watcher.stdout.on('data', onData);
+    check();
+  });
+
+  await waitFor(/Average score/);
+  assert.match(stdout, /^Watching 1 file\(s\)/);
+  fs.writeFileSync(file, '# Guide\n\nRun the tests.\n\n##### Deep\n\nDetails.\n');
+  await waitFor(/Re-analyzed 1 of 1 file\(s\)[\s\S]*Average score/);
+  assert.match(stdout, /\+ ⚠️ {2}line 5 \[heading-depth\]/);
+});